@@ -0,0 +1,64 @@
+// Copyright (C) 2020  Argent Labs Ltd. <https://argent.xyz>
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+
+// You should have received a copy of the GNU General Public License
+// along with this program.  If not, see <http://www.gnu.org/licenses/>.
+
+// SPDX-License-Identifier: GPL-3.0-only
+pragma solidity ^0.6.10;
+
+import "./base/Owned.sol";
+
+/**
+ * @title Create2Deployer
+ * @notice Deploys contracts with CREATE2 at addresses that only depend on the sender, the salt and the init code,
+ * so that the infrastructure can have the same addresses on every network.
+ * The salt is bound to the sender so that nobody else can occupy the sender's addresses, and the ownership of
+ * Owned contracts, initially given to this deployer, can be handed over to the sender.
+ */
+contract Create2Deployer {
+
+    event Deployed(address indexed _contract, address indexed _sender, bytes32 _salt);
+
+    /**
+     * @notice Deploys a contract with CREATE2.
+     * @param _salt The salt, combined with the sender address.
+     * @param _initCode The creation code of the contract followed by its ABI-encoded constructor arguments.
+     * @param _transferOwnership True to make the sender the owner of the deployed Owned contract.
+     * @return addr The address of the deployed contract.
+     */
+    function deploy(bytes32 _salt, bytes calldata _initCode, bool _transferOwnership) external returns (address addr) {
+        bytes32 salt = keccak256(abi.encodePacked(msg.sender, _salt));
+        bytes memory initCode = _initCode;
+        // solium-disable-next-line security/no-inline-assembly
+        assembly {
+            addr := create2(0, add(initCode, 0x20), mload(initCode), salt)
+        }
+        require(addr != address(0), "C2D: deployment failed");
+        if (_transferOwnership) {
+            Owned(addr).changeOwner(msg.sender);
+        }
+        emit Deployed(addr, msg.sender, _salt);
+    }
+
+    /**
+     * @notice Computes the address at which a contract would be deployed.
+     * @param _sender The account calling deploy.
+     * @param _salt The salt.
+     * @param _initCodeHash The keccak256 hash of the init code.
+     * @return The address of the contract.
+     */
+    function computeAddress(address _sender, bytes32 _salt, bytes32 _initCodeHash) external view returns (address) {
+        bytes32 salt = keccak256(abi.encodePacked(_sender, _salt));
+        return address(uint160(uint256(keccak256(abi.encodePacked(bytes1(0xff), address(this), salt, _initCodeHash)))));
+    }
+}
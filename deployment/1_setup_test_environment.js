@@ -1,3 +1,4 @@
+const path = require("path");
 const ENSRegistry = require("../build/ENSRegistry");
 const ENSRegistryWithFallback = require("../build/ENSRegistryWithFallback");
 const Kyber = require("../build/KyberNetworkTest");
@@ -7,7 +8,6 @@ const UniswapExchange = require("../lib/uniswap/UniswapExchange");
 const MakerMigration = require("../build/MockScdMcdMigration");
 
 const utils = require("../utils/utilities.js");
-const DeployManager = require("../utils/deploy-manager.js");
 
 const TEST_ERC20_SUPPLY = 1000000000; // 10**9
 const TEST_ERC20_DECIMALS = 10;
@@ -16,8 +16,7 @@ const TEST_ERC20_RATE = 6 * 10 ** 14; // 1 AGT = 0.0006 ETH
 const BYTES32_NULL = "0x0000000000000000000000000000000000000000000000000000000000000000";
 
 // For development purpose
-async function deployENSRegistry(deployer, owner, domain) {
-  const { gasPrice } = deployer.defaultOverrides;
+async function deployENSRegistry(deployer, gas, owner, domain) {
   // Deploy the public ENS registry
   const ensRegistryWithoutFallback = await deployer.deploy(ENSRegistry);
   const ENSWrapper = await deployer.deploy(ENSRegistryWithFallback, {}, ensRegistryWithoutFallback.contractAddress);
@@ -28,35 +27,31 @@ async function deployENSRegistry(deployer, owner, domain) {
   const domainName = parts[0];
 
   // Create the 'eth' and 'xyz' namespaces
-  const setSubnodeOwnerXYZ = await ENSWrapper.contract.setSubnodeOwner(BYTES32_NULL, utils.sha3(extension), owner, { gasPrice });
+  const setSubnodeOwnerXYZ = await gas.send(ENSWrapper.contract, "setSubnodeOwner", [BYTES32_NULL, utils.sha3(extension), owner]);
   await ENSWrapper.verboseWaitForTransaction(setSubnodeOwnerXYZ, `Setting Subnode Owner for ${extension}`);
 
   // Create the 'argentx.xyz' wallet ENS namespace
-  const setSubnodeOwnerArgent = await ENSWrapper.contract.setSubnodeOwner(utils.namehash(extension), utils.sha3(domainName), owner, { gasPrice });
+  const setSubnodeOwnerArgent = await gas.send(ENSWrapper.contract, "setSubnodeOwner", [utils.namehash(extension), utils.sha3(domainName), owner]);
   await ENSWrapper.verboseWaitForTransaction(setSubnodeOwnerArgent, `Setting Subnode Owner for ${domainName}.${extension}`);
 
   return ENSWrapper.contractAddress;
 }
 
 // For development purpose
-async function deployKyber(deployer) {
-  const { gasPrice } = deployer.defaultOverrides;
+async function deployKyber(deployer, gas) {
   const KyberWrapper = await deployer.deploy(Kyber);
   const ERC20Wrapper = await deployer.deploy(ERC20, {}, [KyberWrapper.contractAddress], TEST_ERC20_SUPPLY, TEST_ERC20_DECIMALS);
 
-  const addToken = await KyberWrapper.contract.addToken(ERC20Wrapper.contractAddress, TEST_ERC20_RATE, TEST_ERC20_DECIMALS, { gasPrice });
+  const addToken = await gas.send(KyberWrapper.contract, "addToken", [ERC20Wrapper.contractAddress, TEST_ERC20_RATE, TEST_ERC20_DECIMALS]);
   await KyberWrapper.verboseWaitForTransaction(addToken, "Add test token to Kyber");
 
   return KyberWrapper.contractAddress;
 }
 
-const deploy = async (network) => {
-  const manager = new DeployManager(network);
-  await manager.setup();
-
+const deploy = async (network, manager) => {
   const { configurator } = manager;
   const { deployer } = manager;
-  const { gasPrice } = deployer.defaultOverrides;
+  const { gas } = manager;
 
   const { config } = configurator;
 
@@ -64,13 +59,13 @@ const deploy = async (network) => {
 
   if (config.ENS.deployOwnRegistry) {
     // on some testnets, we use our own ENSRegistry
-    const address = await deployENSRegistry(deployer, deploymentAccount, config.ENS.domain);
+    const address = await deployENSRegistry(deployer, gas, deploymentAccount, config.ENS.domain);
     configurator.updateENSRegistry(address);
   }
 
   if (config.Kyber.deployOwn) {
     // Deploy Kyber Network if needed
-    const address = await deployKyber(deployer);
+    const address = await deployKyber(deployer, gas);
     configurator.updateKyberContract(address);
   }
 
@@ -78,7 +73,7 @@ const deploy = async (network) => {
     const UniswapFactoryWrapper = await deployer.deploy(UniswapFactory);
     configurator.updateUniswapFactory(UniswapFactoryWrapper.contractAddress);
     const UniswapExchangeTemplateWrapper = await deployer.deploy(UniswapExchange);
-    const initializeFactoryTx = await UniswapFactoryWrapper.contract.initializeFactory(UniswapExchangeTemplateWrapper.contractAddress, { gasPrice });
+    const initializeFactoryTx = await gas.send(UniswapFactoryWrapper.contract, "initializeFactory", [UniswapExchangeTemplateWrapper.contractAddress]);
     await UniswapFactoryWrapper.verboseWaitForTransaction(initializeFactoryTx, "Initializing UniswapFactory");
   }
 
@@ -97,9 +92,12 @@ const deploy = async (network) => {
   }
 
   // save configuration
-  await configurator.save();
+  await configurator.save(path.basename(__filename, ".js"));
+  configurator.printJournal();
 };
 
 module.exports = {
   deploy,
+  requires: [],
+  idempotent: false,
 };
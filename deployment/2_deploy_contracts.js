@@ -1,3 +1,4 @@
+const path = require("path");
 const BaseWallet = require("../build/BaseWallet");
 const ModuleRegistry = require("../build/ModuleRegistry");
 const CompoundRegistry = require("../build/CompoundRegistry");
@@ -12,61 +13,80 @@ const ScdMcdMigration = require("../build/ScdMcdMigration");
 
 const utils = require("../utils/utilities.js");
 
-const DeployManager = require("../utils/deploy-manager.js");
 const MultisigExecutor = require("../utils/multisigexecutor.js");
 
-const deploy = async (network) => {
+const deploy = async (network, manager) => {
   // //////////////////////////////////
   // Setup
   // //////////////////////////////////
 
-  const manager = new DeployManager(network);
-  await manager.setup();
 
   const { configurator } = manager;
   const { deployer } = manager;
   const { abiUploader } = manager;
-  const { gasPrice } = deployer.defaultOverrides;
+  const { gas } = manager;
 
   const newConfig = configurator.config;
   const prevConfig = configurator.copyConfig();
-  console.log("Previous Config:", prevConfig);
+  console.log("Previous Config:", configurator.redactedConfig());
 
   const deploymentWallet = deployer.signer;
   const deploymentAccount = await deploymentWallet.getAddress();
   const walletRootEns = prevConfig.ENS.domain;
+  // the previous multisig may have to hand the ENS name over to the new ENSManager: without autosign, this step could
+  // not be run again once that call is signed, as it deploys new contracts, so it is refused before deploying anything
+  const previousMultiSigWrapper = deployer.wrapDeployedContract(MultiSig, prevConfig.contracts.MultiSigWallet);
+  const multisigExecutor = new MultisigExecutor(previousMultiSigWrapper, deploymentWallet, prevConfig.multisig.autosign, gas);
 
   // //////////////////////////////////
   // Deploy contracts
   // //////////////////////////////////
 
-  // Deploy the Base Wallet Library
-  const BaseWalletWrapper = await deployer.deploy(BaseWallet);
-  // Deploy the MultiSig
-  const MultiSigWrapper = await deployer.deploy(MultiSig, {}, newConfig.multisig.threshold, newConfig.multisig.owners);
-  // Deploy TokenPriceProvider
-  const TokenPriceProviderWrapper = await deployer.deploy(TokenPriceProvider, {}, newConfig.Kyber.contract);
-  // Deploy Module Registry
-  const ModuleRegistryWrapper = await deployer.deploy(ModuleRegistry);
-  // Deploy Compound Registry
-  const CompoundRegistryWrapper = await deployer.deploy(CompoundRegistry);
-  // Deploy the ENS Resolver
-  const ENSResolverWrapper = await deployer.deploy(ENSResolver);
-  // Deploy the ENS Manager
-  const ENSManagerWrapper = await deployer.deploy(ENSManager, {},
-    walletRootEns, utils.namehash(walletRootEns), newConfig.ENS.ensRegistry, ENSResolverWrapper.contractAddress);
-  // Deploy the Wallet Factory
-  const WalletFactoryWrapper = await deployer.deploy(WalletFactory, {},
-    ModuleRegistryWrapper.contractAddress, BaseWalletWrapper.contractAddress, ENSManagerWrapper.contractAddress);
+  // Deploy the infrastructure (at deterministic addresses when settings.create2 is set)
+  const {
+    BaseWallet: BaseWalletWrapper,
+    MultiSigWallet: MultiSigWrapper,
+    TokenPriceProvider: TokenPriceProviderWrapper,
+    ModuleRegistry: ModuleRegistryWrapper,
+    CompoundRegistry: CompoundRegistryWrapper,
+    ENSResolver: ENSResolverWrapper,
+    ENSManager: ENSManagerWrapper,
+    WalletFactory: WalletFactoryWrapper,
+  } = await manager.deployAll([
+    // Deploy the Base Wallet Library
+    { name: "BaseWallet", contract: BaseWallet },
+    // Deploy the MultiSig
+    { name: "MultiSigWallet", contract: MultiSig, args: [newConfig.multisig.threshold, newConfig.multisig.owners] },
+    // Deploy TokenPriceProvider
+    { name: "TokenPriceProvider", contract: TokenPriceProvider, args: [newConfig.Kyber.contract] },
+    // Deploy Module Registry
+    { name: "ModuleRegistry", contract: ModuleRegistry },
+    // Deploy Compound Registry
+    { name: "CompoundRegistry", contract: CompoundRegistry },
+    // Deploy the ENS Resolver
+    { name: "ENSResolver", contract: ENSResolver },
+    // Deploy the ENS Manager
+    {
+      name: "ENSManager",
+      contract: ENSManager,
+      args: (addresses) => [walletRootEns, utils.namehash(walletRootEns), newConfig.ENS.ensRegistry, addresses.ENSResolver],
+    },
+    // Deploy the Wallet Factory
+    {
+      name: "WalletFactory",
+      contract: WalletFactory,
+      args: (addresses) => [addresses.ModuleRegistry, addresses.BaseWallet, addresses.ENSManager],
+    },
+  ]);
 
   // Deploy and configure Maker Registry
   const ScdMcdMigrationWrapper = await deployer.wrapDeployedContract(ScdMcdMigration, newConfig.defi.maker.migration);
   const vatAddress = await ScdMcdMigrationWrapper.vat();
   const MakerRegistryWrapper = await deployer.deploy(MakerRegistry, {}, vatAddress);
   const wethJoinAddress = await ScdMcdMigrationWrapper.wethJoin();
-  const addCollateralTransaction = await MakerRegistryWrapper.contract.addCollateral(wethJoinAddress, { gasPrice });
+  const addCollateralTransaction = await gas.send(MakerRegistryWrapper.contract, "addCollateral", [wethJoinAddress]);
   await MakerRegistryWrapper.verboseWaitForTransaction(addCollateralTransaction, `Adding join adapter ${wethJoinAddress} to the MakerRegistry`);
-  const changeMakerRegistryOwnerTx = await MakerRegistryWrapper.contract.changeOwner(newConfig.contracts.MultiSigWallet, { gasPrice });
+  const changeMakerRegistryOwnerTx = await gas.send(MakerRegistryWrapper.contract, "changeOwner", [newConfig.contracts.MultiSigWallet]);
   await MakerRegistryWrapper.verboseWaitForTransaction(changeMakerRegistryOwnerTx, "Set the MultiSig as the owner of the MakerRegistry");
 
   // /////////////////////////////////////////////////
@@ -80,16 +100,13 @@ const deploy = async (network) => {
 
   if (previousWalletEnsOwner.toLowerCase() === deploymentAccount.toLowerCase()) {
     // newly registered name -> change its owner from deploymentAccount to ENSManager address
-    const setOwnerTransaction = await ENSRegistryWrapper.contract.setOwner(utils.namehash(walletRootEns), ENSManagerWrapper.contractAddress,
-      { gasPrice });
+    const setOwnerTransaction = await gas.send(ENSRegistryWrapper.contract, "setOwner",
+      [utils.namehash(walletRootEns), ENSManagerWrapper.contractAddress]);
     await ENSRegistryWrapper.verboseWaitForTransaction(setOwnerTransaction, "Replace deployment account by ENSManager as new owner of walletENS");
   } else if (previousWalletEnsOwner.toLowerCase() === prevConfig.contracts.ENSManager.toLowerCase()) {
     // change the owner from the previous ENSManager.address to the new one
     console.log("change the owner from the previous ENSManager to the new one");
-    const previousMultiSigWrapper = deployer.wrapDeployedContract(MultiSig, prevConfig.contracts.MultiSigWallet);
     const previousENSManagerWrapper = deployer.wrapDeployedContract(ENSManager, prevConfig.contracts.ENSManager);
-
-    const multisigExecutor = new MultisigExecutor(previousMultiSigWrapper, deploymentWallet, prevConfig.multisig.autosign, { gasPrice });
     console.log(`Owner of ${walletRootEns} changed from old ENSManager to new ENSManager...`);
     await multisigExecutor.executeCall(previousENSManagerWrapper, "changeRootnodeOwner", [ENSManagerWrapper.contractAddress]);
   } else {
@@ -102,7 +119,7 @@ const deploy = async (network) => {
 
   for (const underlying in newConfig.defi.compound.markets) {
     const cToken = newConfig.defi.compound.markets[underlying];
-    const addUnderlyingTransaction = await CompoundRegistryWrapper.contract.addCToken(underlying, cToken, { gasPrice });
+    const addUnderlyingTransaction = await gas.send(CompoundRegistryWrapper.contract, "addCToken", [underlying, cToken]);
     await CompoundRegistryWrapper.verboseWaitForTransaction(addUnderlyingTransaction,
       `Adding unerlying ${underlying} with cToken ${cToken} to the registry`);
   }
@@ -121,7 +138,8 @@ const deploy = async (network) => {
     CompoundRegistry: CompoundRegistryWrapper.contractAddress,
     BaseWallet: BaseWalletWrapper.contractAddress,
   });
-  await configurator.save();
+  await configurator.save(path.basename(__filename, ".js"));
+  configurator.printJournal();
 
   await Promise.all([
     abiUploader.upload(MultiSigWrapper, "contracts"),
@@ -137,4 +155,6 @@ const deploy = async (network) => {
 
 module.exports = {
   deploy,
+  requires: [],
+  idempotent: false,
 };
@@ -5,22 +5,18 @@ const WalletFactory = require("../build/WalletFactory");
 const TokenPriceProvider = require("../build-legacy/v1.6.0/TokenPriceProvider");
 const CompoundRegistry = require("../build/CompoundRegistry");
 
-const DeployManager = require("../utils/deploy-manager.js");
 
-const deploy = async (network) => {
+const deploy = async (network, manager) => {
   // //////////////////////////////////
   // Setup
   // //////////////////////////////////
 
-  const manager = new DeployManager(network);
-  await manager.setup();
 
   const { configurator } = manager;
   const { deployer } = manager;
-  const { gasPrice } = deployer.defaultOverrides;
 
   const { config } = configurator;
-  console.log("Config:", config);
+  console.log("Config:", configurator.redactedConfig());
 
   const ENSResolverWrapper = await deployer.wrapDeployedContract(ENSResolver, config.contracts.ENSResolver);
   const ENSManagerWrapper = await deployer.wrapDeployedContract(ENSManager, config.contracts.ENSManager);
@@ -33,29 +29,23 @@ const deploy = async (network) => {
   // Set contracts' managers
   // //////////////////////////////////
 
-  const ENSResolverAddManagerTx1 = await ENSResolverWrapper.contract.addManager(config.contracts.ENSManager, { gasPrice });
-  await ENSResolverWrapper.verboseWaitForTransaction(ENSResolverAddManagerTx1, "Set the ENS Manager as the manager of the ENS Resolver");
-
-  const ENSResolverAddManagerTx2 = await ENSResolverWrapper.contract.addManager(config.contracts.MultiSigWallet, { gasPrice });
-  await ENSResolverWrapper.verboseWaitForTransaction(ENSResolverAddManagerTx2, "Set the Multisig as the manager of the ENS Resolver");
-
-  const ENSManagerAddManagerTx = await ENSManagerWrapper.contract.addManager(config.contracts.WalletFactory, { gasPrice });
-  await ENSManagerWrapper.verboseWaitForTransaction(ENSManagerAddManagerTx, "Set the WalletFactory as the manager of the ENS Manager");
-
-  for (const idx in config.backend.accounts) {
-    const account = config.backend.accounts[idx];
-    const WalletFactoryAddManagerTx = await WalletFactoryWrapper.contract.addManager(account, { gasPrice });
-    await WalletFactoryWrapper.verboseWaitForTransaction(WalletFactoryAddManagerTx, `Set ${account} as the manager of the WalletFactory`);
-
-    const TokenPriceProviderAddManagerTx = await TokenPriceProviderWrapper.contract.addManager(account, { gasPrice });
-    await TokenPriceProviderWrapper.verboseWaitForTransaction(TokenPriceProviderAddManagerTx,
-      `Set ${account} as the manager of the TokenPriceProvider`);
-  }
+  // the managers are independent of each other and sent together
+  const managers = [
+    { wrapper: ENSResolverWrapper, args: [config.contracts.ENSManager], label: "Set the ENS Manager as the manager of the ENS Resolver" },
+    { wrapper: ENSResolverWrapper, args: [config.contracts.MultiSigWallet], label: "Set the Multisig as the manager of the ENS Resolver" },
+    { wrapper: ENSManagerWrapper, args: [config.contracts.WalletFactory], label: "Set the WalletFactory as the manager of the ENS Manager" },
+  ];
+  config.backend.accounts.forEach((account) => managers.push(
+    { wrapper: WalletFactoryWrapper, args: [account], label: `Set ${account} as the manager of the WalletFactory` },
+    { wrapper: TokenPriceProviderWrapper, args: [account], label: `Set ${account} as the manager of the TokenPriceProvider` },
+  ));
+  await manager.sendParallel(managers.map((action) => ({ ...action, method: "addManager" })));
 
   // //////////////////////////////////
   // Set contracts' owners
   // //////////////////////////////////
 
+  // only once the managers are set, since only the owner can add them
   const wrappers = [
     ENSResolverWrapper,
     ENSManagerWrapper,
@@ -63,13 +53,16 @@ const deploy = async (network) => {
     ModuleRegistryWrapper,
     CompoundRegistryWrapper,
     TokenPriceProviderWrapper];
-  for (let idx = 0; idx < wrappers.length; idx += 1) {
-    const wrapper = wrappers[idx];
-    const changeOwnerTx = await wrapper.contract.changeOwner(config.contracts.MultiSigWallet, { gasPrice });
-    await wrapper.verboseWaitForTransaction(changeOwnerTx, `Set the MultiSig as the owner of ${wrapper._contract.contractName}`);
-  }
+  await manager.sendParallel(wrappers.map((wrapper) => ({
+    wrapper,
+    method: "changeOwner",
+    args: [config.contracts.MultiSigWallet],
+    label: `Set the MultiSig as the owner of ${wrapper._contract.contractName}`,
+  })));
 };
 
 module.exports = {
   deploy,
+  requires: [2],
+  idempotent: false,
 };
@@ -2,44 +2,41 @@ const ENS = require("../build/ENSRegistryWithFallback");
 const ENSReverseRegistrar = require("../build/ReverseRegistrar");
 
 const utils = require("../utils/utilities.js");
-const DeployManager = require("../utils/deploy-manager.js");
 
 const BYTES32_NULL = "0x0000000000000000000000000000000000000000000000000000000000000000";
 
-async function deployENSReverseRegistrar(deployer, config, owner, overrides) {
+async function deployENSReverseRegistrar(deployer, gas, config, owner) {
   const ENSRegistryWrapper = deployer.wrapDeployedContract(ENS, config.ENS.ensRegistry);
   const ENSReverseRegistrarWrapper = await deployer.deploy(ENSReverseRegistrar, {}, config.ENS.ensRegistry, config.contracts.ENSResolver);
 
-  const setSubnodeOwnerTx1 = await ENSRegistryWrapper.contract.setSubnodeOwner(BYTES32_NULL, utils.sha3("reverse"), owner, overrides);
+  const setSubnodeOwnerTx1 = await gas.send(ENSRegistryWrapper.contract, "setSubnodeOwner", [BYTES32_NULL, utils.sha3("reverse"), owner]);
   await ENSRegistryWrapper.verboseWaitForTransaction(setSubnodeOwnerTx1, "Create the reverse namespace");
 
-  const setSubnodeOwnerTx2 = await ENSRegistryWrapper.contract.setSubnodeOwner(
+  const setSubnodeOwnerTx2 = await gas.send(ENSRegistryWrapper.contract, "setSubnodeOwner", [
     utils.namehash("reverse"),
     utils.sha3("addr"),
     ENSReverseRegistrarWrapper.contractAddress,
-    overrides,
-  );
+  ]);
   await ENSRegistryWrapper.verboseWaitForTransaction(setSubnodeOwnerTx2,
     "Create the addr.reverse namespace and make the ENS reverse registrar the owner");
 }
 
-const deploy = async (network) => {
-  const manager = new DeployManager(network);
-  await manager.setup();
-
+const deploy = async (network, manager) => {
   const { configurator } = manager;
   const { deployer } = manager;
-  const { gasPrice } = deployer.defaultOverrides;
+  const { gas } = manager;
 
   const { config } = configurator;
 
   const deploymentAccount = await deployer.signer.getAddress();
 
   if (config.ENS.deployOwnRegistry) {
-    await deployENSReverseRegistrar(deployer, config, deploymentAccount, { gasPrice });
+    await deployENSReverseRegistrar(deployer, gas, config, deploymentAccount);
   }
 };
 
 module.exports = {
   deploy,
+  requires: [3],
+  idempotent: false,
 };
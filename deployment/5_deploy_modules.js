@@ -1,179 +1,53 @@
+const path = require("path");
 const childProcess = require("child_process");
-const GuardianStorage = require("../build/GuardianStorage");
-const TransferStorage = require("../build/TransferStorage");
 
-const GuardianManager = require("../build/GuardianManager");
-const TokenExchanger = require("../build/TokenExchanger");
-const LockManager = require("../build/LockManager");
-const RecoveryManager = require("../build-legacy/v1.6.0/RecoveryManager");
-const ApprovedTransfer = require("../build/ApprovedTransfer");
-const TransferManager = require("../build-legacy/v1.6.0/TransferManager");
-const NftTransfer = require("../build/NftTransfer");
-const CompoundManager = require("../build/CompoundManager");
-const MakerV2Manager = require("../build/MakerV2Manager");
+const ManifestEngine = require("../utils/manifest-engine.js");
 
-const DeployManager = require("../utils/deploy-manager.js");
+const manifest = require("./manifests/5_deploy_modules.json");
 
 // ///////////////////////////////////////////////////////
 //                 Version 1.4
 // ///////////////////////////////////////////////////////
 
-const deploy = async (network) => {
+const deploy = async (network, manager) => {
   // //////////////////////////////////
   // Setup
   // //////////////////////////////////
 
-  const manager = new DeployManager(network);
-  await manager.setup();
 
   const { configurator } = manager;
-  const { deployer } = manager;
-  const { abiUploader } = manager;
 
-  const { config } = configurator;
-  console.log(config);
+  console.log(configurator.redactedConfig());
 
-  // //////////////////////////////////
-  // Deploy Storage
-  // //////////////////////////////////
-
-  // Deploy the Guardian Storage
-  const GuardianStorageWrapper = await deployer.deploy(GuardianStorage);
-  // Deploy the Transfer Storage
-  const TransferStorageWrapper = await deployer.deploy(TransferStorage);
+  // deployments already completed by a previous run of this step are skipped
+  const checkpoint = await manager.checkpoint(path.basename(__filename, ".js"));
 
   // //////////////////////////////////
-  // Deploy Modules
+  // Deploy Storage and Modules
   // //////////////////////////////////
 
-  // Deploy the GuardianManager module
-  const GuardianManagerWrapper = await deployer.deploy(
-    GuardianManager,
-    {},
-    config.contracts.ModuleRegistry,
-    GuardianStorageWrapper.contractAddress,
-    config.settings.securityPeriod || 0,
-    config.settings.securityWindow || 0,
-  );
-    // Deploy the LockManager module
-  const LockManagerWrapper = await deployer.deploy(
-    LockManager,
-    {},
-    config.contracts.ModuleRegistry,
-    GuardianStorageWrapper.contractAddress,
-    config.settings.lockPeriod || 0,
-  );
-    // Deploy the RecoveryManager module
-  const RecoveryManagerWrapper = await deployer.deploy(
-    RecoveryManager,
-    {},
-    config.contracts.ModuleRegistry,
-    GuardianStorageWrapper.contractAddress,
-    config.settings.recoveryPeriod || 0,
-    config.settings.lockPeriod || 0,
-    config.settings.securityPeriod || 0,
-    config.settings.securityWindow || 0,
-  );
-    // Deploy the ApprovedTransfer module
-  const ApprovedTransferWrapper = await deployer.deploy(
-    ApprovedTransfer,
-    {},
-    config.contracts.ModuleRegistry,
-    GuardianStorageWrapper.contractAddress,
-  );
-    // Deploy the TransferManager module
-  const TransferManagerWrapper = await deployer.deploy(
-    TransferManager,
-    {},
-    config.contracts.ModuleRegistry,
-    TransferStorageWrapper.contractAddress,
-    GuardianStorageWrapper.contractAddress,
-    config.contracts.TokenPriceProvider,
-    config.settings.securityPeriod || 0,
-    config.settings.securityWindow || 0,
-    config.settings.defaultLimit || "1000000000000000000",
-    "0x0000000000000000000000000000000000000000",
-  );
-    // Deploy the TokenExchanger module
-  const TokenExchangerWrapper = await deployer.deploy(
-    TokenExchanger,
-    {},
-    config.contracts.ModuleRegistry,
-    GuardianStorageWrapper.contractAddress,
-    config.Kyber.contract,
-    config.contracts.MultiSigWallet,
-    config.settings.feeRatio || 0,
-  );
-    // Deploy the NFTTransfer module
-  const NftTransferWrapper = await deployer.deploy(
-    NftTransfer,
-    {},
-    config.contracts.ModuleRegistry,
-    GuardianStorageWrapper.contractAddress,
-    config.CryptoKitties.contract,
-  );
-    // Deploy the CompoundManager module
-  const CompoundManagerWrapper = await deployer.deploy(
-    CompoundManager,
-    {},
-    config.contracts.ModuleRegistry,
-    GuardianStorageWrapper.contractAddress,
-    config.defi.compound.comptroller,
-    config.contracts.CompoundRegistry,
-  );
-    // Deploy MakerManagerV2
-  const MakerV2ManagerWrapper = await deployer.deploy(
-    MakerV2Manager,
-    {},
-    config.contracts.ModuleRegistry,
-    GuardianStorageWrapper.contractAddress,
-    config.defi.maker.migration,
-    config.defi.maker.pot,
-    config.defi.maker.jug,
-    config.contracts.MakerRegistry,
-    config.defi.uniswap.factory,
-  );
+  const engine = new ManifestEngine(manager, checkpoint);
+  await engine.run(manifest);
 
   // /////////////////////////////////////////////////
   // Update config and Upload ABIs
   // /////////////////////////////////////////////////
 
-  configurator.updateModuleAddresses({
-    GuardianStorage: GuardianStorageWrapper.contractAddress,
-    TransferStorage: TransferStorageWrapper.contractAddress,
-    GuardianManager: GuardianManagerWrapper.contractAddress,
-    LockManager: LockManagerWrapper.contractAddress,
-    RecoveryManager: RecoveryManagerWrapper.contractAddress,
-    ApprovedTransfer: ApprovedTransferWrapper.contractAddress,
-    TransferManager: TransferManagerWrapper.contractAddress,
-    TokenExchanger: TokenExchangerWrapper.contractAddress,
-    NftTransfer: NftTransferWrapper.contractAddress,
-    CompoundManager: CompoundManagerWrapper.contractAddress,
-    MakerV2Manager: MakerV2ManagerWrapper.contractAddress,
-  });
-
   const gitHash = childProcess.execSync("git rev-parse HEAD").toString("utf8").replace(/\n$/, "");
   configurator.updateGitHash(gitHash);
 
-  await configurator.save();
-
-  await Promise.all([
-    abiUploader.upload(GuardianStorageWrapper, "modules"),
-    abiUploader.upload(TransferStorageWrapper, "modules"),
-    abiUploader.upload(GuardianManagerWrapper, "modules"),
-    abiUploader.upload(LockManagerWrapper, "modules"),
-    abiUploader.upload(RecoveryManagerWrapper, "modules"),
-    abiUploader.upload(ApprovedTransferWrapper, "modules"),
-    abiUploader.upload(TransferManagerWrapper, "modules"),
-    abiUploader.upload(TokenExchangerWrapper, "modules"),
-    abiUploader.upload(NftTransferWrapper, "modules"),
-    abiUploader.upload(MakerV2ManagerWrapper, "modules"),
-    abiUploader.upload(CompoundManagerWrapper, "modules"),
-  ]);
-
-  console.log("Config:", config);
+  await configurator.save(path.basename(__filename, ".js"));
+  configurator.printJournal();
+
+  await engine.uploadAbis(manifest);
+
+  await checkpoint.complete();
+
+  console.log("Config:", configurator.redactedConfig());
 };
 
 module.exports = {
   deploy,
+  requires: [2],
+  idempotent: false,
 };
@@ -13,26 +13,23 @@ const MakerV2Manager = require("../build/MakerV2Manager");
 
 const utils = require("../utils/utilities.js");
 
-const DeployManager = require("../utils/deploy-manager.js");
 const MultisigExecutor = require("../utils/multisigexecutor.js");
 
-const deploy = async (network) => {
+const deploy = async (network, manager) => {
   // //////////////////////////////////
   // Setup
   // //////////////////////////////////
 
-  const manager = new DeployManager(network);
-  await manager.setup();
 
   const { configurator } = manager;
   const { deployer } = manager;
   const { versionUploader } = manager;
-  const { gasPrice } = deployer.defaultOverrides;
+  const { gas } = manager;
 
   const deploymentWallet = deployer.signer;
 
   const { config } = configurator;
-  console.log("Config:", config);
+  console.log("Config:", configurator.redactedConfig());
 
   const GuardianManagerWrapper = await deployer.wrapDeployedContract(GuardianManager, config.modules.GuardianManager);
   const LockManagerWrapper = await deployer.wrapDeployedContract(LockManager, config.modules.LockManager);
@@ -63,12 +60,17 @@ const deploy = async (network) => {
   // Register modules
   // //////////////////////////////////
 
-  const multisigExecutor = new MultisigExecutor(MultiSigWrapper, deploymentWallet, config.multisig.autosign, { gasPrice });
+  const multisigExecutor = new MultisigExecutor(MultiSigWrapper, deploymentWallet, config.multisig.autosign, gas, { resumable: true });
 
   for (let idx = 0; idx < wrappers.length; idx += 1) {
     const wrapper = wrappers[idx];
-    await multisigExecutor.executeCall(ModuleRegistryWrapper, "registerModule",
-      [wrapper.contractAddress, utils.asciiToBytes32(wrapper._contract.contractName)]);
+    // modules registered by a previous run, e.g. one stopped until a proposal is signed, are skipped
+    if (await ModuleRegistryWrapper.contract["isRegisteredModule(address)"](wrapper.contractAddress)) {
+      console.log(`${wrapper._contract.contractName} is already registered`);
+    } else {
+      await multisigExecutor.executeCall(ModuleRegistryWrapper, "registerModule",
+        [wrapper.contractAddress, utils.asciiToBytes32(wrapper._contract.contractName)]);
+    }
   }
 
   // //////////////////////////////////
@@ -87,4 +89,6 @@ const deploy = async (network) => {
 
 module.exports = {
   deploy,
+  requires: [5],
+  idempotent: false,
 };
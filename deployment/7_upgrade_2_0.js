@@ -1,28 +1,16 @@
 const semver = require("semver");
 const childProcess = require("child_process");
+const path = require("path");
 const MultiSig = require("../build/MultiSigWallet");
 const ModuleRegistry = require("../build/ModuleRegistry");
 const Upgrader = require("../build/SimpleUpgrader");
-const DeployManager = require("../utils/deploy-manager.js");
+const ManifestEngine = require("../utils/manifest-engine.js");
 const MultisigExecutor = require("../utils/multisigexecutor.js");
 
-const LimitStorage = require("../build/LimitStorage");
-const TokenPriceStorage = require("../build/TokenPriceStorage");
-
-const ApprovedTransfer = require("../build/ApprovedTransfer");
-const CompoundManager = require("../build/CompoundManager");
-const GuardianManager = require("../build/GuardianManager");
-const LockManager = require("../build/LockManager");
-const NftTransfer = require("../build/NftTransfer");
-const RecoveryManager = require("../build/RecoveryManager");
-const TokenExchanger = require("../build/TokenExchanger");
-const MakerV2Manager = require("../build/MakerV2Manager");
-const TransferManager = require("../build/TransferManager");
-
-const BaseWallet = require("../build/BaseWallet");
-const WalletFactory = require("../build/WalletFactory");
 const ENSManager = require("../build/ArgentENSManager");
 
+const manifest = require("./manifests/7_upgrade_2_0.json");
+
 const utils = require("../utils/utilities.js");
 
 const TARGET_VERSION = "2.0.0";
@@ -40,215 +28,57 @@ const MODULES_TO_DISABLE = ["MakerManager"];
 
 const BACKWARD_COMPATIBILITY = 1;
 
-const deploy = async (network) => {
+const deploy = async (network, manager) => {
   if (!["kovan", "kovan-fork", "staging", "prod"].includes(network)) {
     console.warn("------------------------------------------------------------------------");
     console.warn(`WARNING: The MakerManagerV2 module is not fully functional on ${network}`);
     console.warn("------------------------------------------------------------------------");
   }
 
-  const newModuleWrappers = [];
   const newVersion = {};
 
   // //////////////////////////////////
   // Setup
   // //////////////////////////////////
 
-  const manager = new DeployManager(network);
-  await manager.setup();
 
   const { configurator } = manager;
   const { deployer } = manager;
-  const { abiUploader } = manager;
   const { versionUploader } = manager;
-  const { gasPrice } = deployer.defaultOverrides;
+  const { gas } = manager;
   const deploymentWallet = deployer.signer;
   const { config } = configurator;
 
   const ModuleRegistryWrapper = await deployer.wrapDeployedContract(ModuleRegistry, config.contracts.ModuleRegistry);
   const MultiSigWrapper = await deployer.wrapDeployedContract(MultiSig, config.contracts.MultiSigWallet);
-  const multisigExecutor = new MultisigExecutor(MultiSigWrapper, deploymentWallet, config.multisig.autosign, { gasPrice });
+  // the multisig transactions are checkpointed, so the step resumes once a proposal is signed
+  const multisigExecutor = new MultisigExecutor(MultiSigWrapper, deploymentWallet, config.multisig.autosign, gas, { resumable: true });
   const ENSManagerWrapper = await deployer.wrapDeployedContract(ENSManager, config.contracts.ENSManager);
 
-  // //////////////////////////////////
-  // Deploy infrastructure contracts
-  // //////////////////////////////////
-
-  // Deploy the Base Wallet Library
-  const BaseWalletWrapper = await deployer.deploy(BaseWallet);
-  // Deploy the Wallet Factory
-  const WalletFactoryWrapper = await deployer.deploy(WalletFactory, {},
-    ModuleRegistryWrapper.contractAddress, BaseWalletWrapper.contractAddress, ENSManagerWrapper.contractAddress);
-  // Deploy the new LimitStorage
-  const LimitStorageWrapper = await deployer.deploy(LimitStorage);
-  // Deploy the new TokenPriceStorage
-  const TokenPriceStorageWrapper = await deployer.deploy(TokenPriceStorage);
-
-  // //////////////////////////////////
-  // Deploy new modules
-  // //////////////////////////////////
-  const ApprovedTransferWrapper = await deployer.deploy(
-    ApprovedTransfer,
-    {},
-    config.contracts.ModuleRegistry,
-    config.modules.GuardianStorage,
-  );
-  newModuleWrappers.push(ApprovedTransferWrapper);
-
-  const CompoundManagerWrapper = await deployer.deploy(
-    CompoundManager,
-    {},
-    config.contracts.ModuleRegistry,
-    config.modules.GuardianStorage,
-    config.defi.compound.comptroller,
-    config.contracts.CompoundRegistry,
-  );
-  newModuleWrappers.push(CompoundManagerWrapper);
-
-  const GuardianManagerWrapper = await deployer.deploy(
-    GuardianManager,
-    {},
-    config.contracts.ModuleRegistry,
-    config.modules.GuardianStorage,
-    config.settings.securityPeriod || 0,
-    config.settings.securityWindow || 0,
-  );
-  newModuleWrappers.push(GuardianManagerWrapper);
-
-  const LockManagerWrapper = await deployer.deploy(
-    LockManager,
-    {},
-    config.contracts.ModuleRegistry,
-    config.modules.GuardianStorage,
-    config.settings.lockPeriod || 0,
-  );
-  newModuleWrappers.push(LockManagerWrapper);
-
-  const NftTransferWrapper = await deployer.deploy(
-    NftTransfer,
-    {},
-    config.contracts.ModuleRegistry,
-    config.modules.GuardianStorage,
-    config.CryptoKitties.contract,
-  );
-  newModuleWrappers.push(NftTransferWrapper);
-
-  const RecoveryManagerWrapper = await deployer.deploy(
-    RecoveryManager,
-    {},
-    config.contracts.ModuleRegistry,
-    config.modules.GuardianStorage,
-    config.settings.recoveryPeriod || 0,
-    config.settings.lockPeriod || 0,
-  );
-  newModuleWrappers.push(RecoveryManagerWrapper);
-
-  const TokenExchangerWrapper = await deployer.deploy(
-    TokenExchanger,
-    {},
-    config.contracts.ModuleRegistry,
-    config.modules.GuardianStorage,
-    config.Kyber.contract,
-    config.contracts.MultiSigWallet,
-    config.settings.feeRatio || 0,
-  );
-  newModuleWrappers.push(TokenExchangerWrapper);
-
-  const MakerV2ManagerWrapper = await deployer.deploy(
-    MakerV2Manager,
-    {},
-    config.contracts.ModuleRegistry,
-    config.modules.GuardianStorage,
-    config.defi.maker.migration,
-    config.defi.maker.pot,
-    config.defi.maker.jug,
-    config.contracts.MakerRegistry,
-    config.defi.uniswap.factory,
-  );
-  newModuleWrappers.push(MakerV2ManagerWrapper);
-
-  const TransferManagerWrapper = await deployer.deploy(
-    TransferManager,
-    {},
-    config.contracts.ModuleRegistry,
-    config.modules.TransferStorage,
-    config.modules.GuardianStorage,
-    LimitStorageWrapper.contractAddress,
-    TokenPriceStorageWrapper.contractAddress,
-    config.settings.securityPeriod || 0,
-    config.settings.securityWindow || 0,
-    config.settings.defaultLimit || "1000000000000000000",
-    ["test", "staging", "prod"].includes(network) ? config.modules.TransferManager : "0x0000000000000000000000000000000000000000",
-  );
-  newModuleWrappers.push(TransferManagerWrapper);
+  // deployments and transactions already completed by a previous run of this step are skipped
+  const checkpoint = await manager.checkpoint(path.basename(__filename, ".js"));
 
   // //////////////////////////////////
-  // Set contracts' managers
+  // Deploy infrastructure contracts and new modules, set their managers and owners
   // //////////////////////////////////
-  await multisigExecutor.executeCall(ENSManagerWrapper, "addManager", [WalletFactoryWrapper.contractAddress]);
 
-  for (const idx in config.backend.accounts) {
-    const account = config.backend.accounts[idx];
-    const WalletFactoryAddManagerTx = await WalletFactoryWrapper.contract.addManager(account, { gasPrice });
-    await WalletFactoryWrapper.verboseWaitForTransaction(WalletFactoryAddManagerTx, `Set ${account} as the manager of the WalletFactory`);
+  const engine = new ManifestEngine(manager, checkpoint);
+  const { WalletFactory: WalletFactoryWrapper } = await engine.run(manifest);
+  const newModuleWrappers = MODULES_TO_ENABLE.map((name) => engine.wrappers[name]);
 
-    const TokenPriceStorageAddManagerTx = await TokenPriceStorageWrapper.contract.addManager(account, { gasPrice });
-    await TokenPriceStorageWrapper.verboseWaitForTransaction(TokenPriceStorageAddManagerTx,
-      `Set ${account} as the manager of the TokenPriceStorage`);
-  }
-
-  // //////////////////////////////////
-  // Set contracts' owners
-  // //////////////////////////////////
-
-  let changeOwnerTx = await WalletFactoryWrapper.contract.changeOwner(config.contracts.MultiSigWallet, { gasPrice });
-  await WalletFactoryWrapper.verboseWaitForTransaction(changeOwnerTx, "Set the MultiSig as the owner of WalletFactory");
-
-  changeOwnerTx = await TokenPriceStorageWrapper.contract.changeOwner(config.contracts.MultiSigWallet, { gasPrice });
-  await TokenPriceStorageWrapper.verboseWaitForTransaction(changeOwnerTx, "Set the MultiSig as the owner of TokenPriceStorageWrapper");
+  await checkpoint.transaction("ENSManager.addManager(WalletFactory)",
+    () => multisigExecutor.executeCall(ENSManagerWrapper, "addManager", [WalletFactoryWrapper.contractAddress]));
 
   // /////////////////////////////////////////////////
   // Update config and Upload ABIs
   // /////////////////////////////////////////////////
 
-  configurator.updateModuleAddresses({
-    LimitStorage: LimitStorageWrapper.contractAddress,
-    TokenPriceStorage: TokenPriceStorageWrapper.contractAddress,
-    ApprovedTransfer: ApprovedTransferWrapper.contractAddress,
-    CompoundManager: CompoundManagerWrapper.contractAddress,
-    GuardianManager: GuardianManagerWrapper.contractAddress,
-    LockManager: LockManagerWrapper.contractAddress,
-    NftTransfer: NftTransferWrapper.contractAddress,
-    RecoveryManager: RecoveryManagerWrapper.contractAddress,
-    TokenExchanger: TokenExchangerWrapper.contractAddress,
-    MakerV2Manager: MakerV2ManagerWrapper.contractAddress,
-    TransferManager: TransferManagerWrapper.contractAddress,
-  });
-
-  configurator.updateInfrastructureAddresses({
-    BaseWallet: BaseWalletWrapper.contractAddress,
-    WalletFactory: WalletFactoryWrapper.contractAddress,
-  });
-
   const gitHash = childProcess.execSync("git rev-parse HEAD").toString("utf8").replace(/\n$/, "");
   configurator.updateGitHash(gitHash);
-  await configurator.save();
+  await configurator.save(path.basename(__filename, ".js"));
+  configurator.printJournal();
 
-  await Promise.all([
-    abiUploader.upload(LimitStorageWrapper, "modules"),
-    abiUploader.upload(TokenPriceStorageWrapper, "contracts"),
-    abiUploader.upload(ApprovedTransferWrapper, "modules"),
-    abiUploader.upload(CompoundManagerWrapper, "modules"),
-    abiUploader.upload(GuardianManagerWrapper, "contracts"),
-    abiUploader.upload(LockManagerWrapper, "contracts"),
-    abiUploader.upload(NftTransferWrapper, "contracts"),
-    abiUploader.upload(RecoveryManagerWrapper, "modules"),
-    abiUploader.upload(TokenExchangerWrapper, "contracts"),
-    abiUploader.upload(MakerV2ManagerWrapper, "modules"),
-    abiUploader.upload(TransferManagerWrapper, "modules"),
-    abiUploader.upload(BaseWalletWrapper, "contracts"),
-    abiUploader.upload(WalletFactoryWrapper, "contracts"),
-  ]);
+  await engine.uploadAbis(manifest);
 
   // //////////////////////////////////
   // Register new modules
@@ -256,8 +86,9 @@ const deploy = async (network) => {
 
   for (let idx = 0; idx < newModuleWrappers.length; idx += 1) {
     const wrapper = newModuleWrappers[idx];
-    await multisigExecutor.executeCall(ModuleRegistryWrapper, "registerModule",
-      [wrapper.contractAddress, utils.asciiToBytes32(wrapper._contract.contractName)]);
+    await checkpoint.transaction(`ModuleRegistry.registerModule(${wrapper._contract.contractName})`,
+      () => multisigExecutor.executeCall(ModuleRegistryWrapper, "registerModule",
+        [wrapper.contractAddress, utils.asciiToBytes32(wrapper._contract.contractName)]));
   }
 
   // //////////////////////////////////
@@ -293,18 +124,21 @@ const deploy = async (network) => {
 
     const upgraderName = `${version.fingerprint}_${fingerprint}`;
 
-    const UpgraderWrapper = await deployer.deploy(
+    const UpgraderWrapper = await checkpoint.deployAs(
+      `Upgrader ${upgraderName}`,
       Upgrader,
       {},
       config.contracts.ModuleRegistry,
       toRemove.map((module) => module.address),
       toAdd.map((module) => module.address),
     );
-    await multisigExecutor.executeCall(ModuleRegistryWrapper, "registerModule",
-      [UpgraderWrapper.contractAddress, utils.asciiToBytes32(upgraderName)]);
+    await checkpoint.transaction(`ModuleRegistry.registerModule(${upgraderName})`,
+      () => multisigExecutor.executeCall(ModuleRegistryWrapper, "registerModule",
+        [UpgraderWrapper.contractAddress, utils.asciiToBytes32(upgraderName)]));
 
-    await multisigExecutor.executeCall(ModuleRegistryWrapper, "registerUpgrader",
-      [UpgraderWrapper.contractAddress, utils.asciiToBytes32(upgraderName)]);
+    await checkpoint.transaction(`ModuleRegistry.registerUpgrader(${upgraderName})`,
+      () => multisigExecutor.executeCall(ModuleRegistryWrapper, "registerUpgrader",
+        [UpgraderWrapper.contractAddress, utils.asciiToBytes32(upgraderName)]));
   }
 
   // //////////////////////////////////
@@ -312,9 +146,13 @@ const deploy = async (network) => {
   // //////////////////////////////////
 
   await versionUploader.upload(newVersion);
+
+  await checkpoint.complete();
 };
 
 
 module.exports = {
   deploy,
+  requires: [6],
+  idempotent: false,
 };
@@ -19,7 +19,6 @@ const NftTransfer = require("../build/NftTransfer");
 const CompoundManager = require("../build/CompoundManager");
 const MakerV2Manager = require("../build/MakerV2Manager");
 
-const DeployManager = require("../utils/deploy-manager");
 const TestManager = require("../utils/test-manager");
 const MultisigExecutor = require("../utils/multisigexecutor.js");
 
@@ -86,10 +85,7 @@ class Benchmark {
   // //// setup ////////
   // ///////////////////
 
-  async setup() {
-    const manager = new DeployManager(this.network);
-    await manager.setup();
-
+  async setup(manager) {
     const { configurator } = manager;
 
     this.deployer = manager.deployer;
@@ -118,7 +114,7 @@ class Benchmark {
     this.WalletFactoryWrapper = await this.deployer.wrapDeployedContract(WalletFactory, config.contracts.WalletFactory);
     this.BaseWalletWrapper = await this.deployer.wrapDeployedContract(BaseWallet, config.contracts.BaseWallet);
 
-    this.multisigExecutor = new MultisigExecutor(this.MultiSigWrapper, this.signers[0], true);
+    this.multisigExecutor = new MultisigExecutor(this.MultiSigWrapper, this.signers[0], true, manager.gas);
   }
 
   async setupWallet() {
@@ -461,9 +457,9 @@ class Benchmark {
   }
 }
 
-const deploy = async (network) => {
+const deploy = async (network, manager) => {
   const benchmark = new Benchmark(network);
-  await benchmark.setup();
+  await benchmark.setup(manager);
   let methods = benchmark.getAllEstimateMethods();
   const argvMethods = process.argv.filter((x) => x.startsWith("estimate"));
   if (argvMethods.length > 0) {
@@ -483,4 +479,6 @@ const deploy = async (network) => {
 
 module.exports = {
   deploy,
+  requires: [],
+  idempotent: true,
 };
@@ -0,0 +1,107 @@
+// Usage: node deployment/run.js --network kovan --steps 5,6 [--reset-step] [--plan] [--yes] [--mark-applied]
+//
+// Runs deployment steps in order with a single DeployManager, after checking that the steps they require (their
+// `requires`) are applied on the network or run before them. Every step run is recorded as applied on the network.
+// A step which is not idempotent is only applied again after confirmation, or with --yes.
+// --mark-applied records the steps as applied without running them, for networks deployed before this runner.
+// Once the steps are run, the code at every address of the config is checked against the build artifacts.
+// AWS credentials for remotely managed networks are taken from the environment (e.g. AWS_PROFILE=argent-kovan).
+
+const childProcess = require("child_process");
+const fs = require("fs");
+const inquirer = require("inquirer");
+const path = require("path");
+
+const BytecodeVerifier = require("../utils/bytecode-verifier.js");
+const DeployManager = require("../utils/deploy-manager.js");
+
+const STEP_FILE = /^([0-9]+)_.+\.js$/;
+
+// Step file names (without extension) by step number
+function listSteps() {
+  const steps = {};
+  fs.readdirSync(__dirname).forEach((file) => {
+    const match = file.match(STEP_FILE);
+    if (match) steps[parseInt(match[1], 10)] = path.basename(file, ".js");
+  });
+  return steps;
+}
+
+async function confirm(message) {
+  const { confirmed } = await inquirer.prompt([{
+    type: "confirm", name: "confirmed", message, default: false,
+  }]);
+  return confirmed;
+}
+
+async function main() {
+  // Read Command Line Arguments
+  let idx = process.argv.indexOf("--network");
+  const network = process.argv[idx + 1];
+  idx = process.argv.indexOf("--steps");
+  const numbers = idx > 0 ? process.argv[idx + 1].split(",").map((number) => parseInt(number, 10)) : [];
+  const yes = process.argv.includes("--yes");
+  const markApplied = process.argv.includes("--mark-applied");
+  if (!network || numbers.length === 0) {
+    throw new Error("Usage: node deployment/run.js --network kovan --steps 5,6 [--reset-step] [--plan] [--yes] [--mark-applied]");
+  }
+
+  const available = listSteps();
+  const steps = numbers.sort((a, b) => a - b).map((number) => {
+    if (!available[number]) throw new Error(`There is no deployment step ${number}`);
+    const name = available[number];
+    return { name, module: require(`./${name}.js`) }; // eslint-disable-line global-require, import/no-dynamic-require
+  });
+
+  const manager = new DeployManager(network);
+  await manager.withLock(async () => {
+    await manager.setup();
+    const appliedSteps = await manager.appliedSteps();
+
+    // Check requirements and re-applications before running anything
+    const scheduled = [];
+    for (const step of steps) {
+      for (const number of step.module.requires || []) {
+        const required = available[number];
+        if (!appliedSteps.last(required) && !scheduled.includes(required)) {
+          throw new Error(`${step.name} requires ${required}, which is not applied on ${network} (add ${number} to --steps)`);
+        }
+      }
+      const applied = appliedSteps.last(step.name);
+      if (applied && !step.module.idempotent && !markApplied && !yes) {
+        const date = new Date(applied.appliedAt * 1000).toISOString();
+        const confirmed = await confirm(`${step.name} was already applied on ${network} on ${date} (commit ${applied.gitCommit}), apply it again?`);
+        if (!confirmed) throw new Error(`${step.name} is already applied on ${network}`);
+      }
+      scheduled.push(step.name);
+    }
+
+    const gitCommit = childProcess.execSync("git rev-parse HEAD").toString("utf8").replace(/\n$/, "");
+    const account = await manager.deployer.signer.getAddress();
+    for (const step of steps) {
+      if (markApplied) {
+        console.log(`Marking ${step.name} as applied on ${network}`);
+      } else {
+        console.log(`Running ${step.name} on ${network}`);
+        manager.startStep(step.name);
+        await step.module.deploy(network, manager);
+      }
+      await appliedSteps.record(step.name, { gitCommit, account });
+    }
+
+    if (!markApplied) {
+      const verifier = new BytecodeVerifier(manager.deployer.provider);
+      const failures = (await verifier.verifyConfig(manager.configurator.config))
+        .filter((result) => ["mismatch", "no code"].includes(result.status));
+      failures.forEach((result) => console.error(`${result.name} at ${result.address}: ${result.status} ${result.detail || ""}`));
+      if (failures.length > 0) {
+        console.error(`${failures.length} contract(s) of the config do not match the build artifacts (see scripts/verifyBytecode.js)`);
+        process.exitCode = 1;
+      }
+    }
+  });
+}
+
+main().catch((err) => {
+  throw err;
+});
@@ -0,0 +1,46 @@
+// Usage: node scripts/audit.js --network kovan [--json]
+//
+// Checks every address of the network config against the chain and exits with a non-zero code on drift.
+// With --json the report is printed as JSON instead of a table.
+
+const Table = require("cli-table2");
+
+const DeployManager = require("../utils/deploy-manager.js");
+const ConfigAuditor = require("../utils/config-auditor.js");
+
+async function main() {
+  // Read Command Line Arguments
+  const idx = process.argv.indexOf("--network");
+  const network = process.argv[idx + 1];
+  const json = process.argv.includes("--json");
+
+  // Setup deployer
+  const manager = new DeployManager(network);
+  await manager.setup();
+  const { configurator } = manager;
+  const { deployer } = manager;
+  const { config } = configurator;
+
+  const auditor = new ConfigAuditor(config, deployer.provider);
+  const report = await auditor.audit();
+
+  if (json) {
+    console.log(JSON.stringify({ network, ...report }, null, 2));
+  } else {
+    const table = new Table({ head: ["Contract", "Address", "Check", "Expected", "Actual", "Status"] });
+    report.checks.forEach((check) => {
+      table.push([check.name, check.address, check.check, String(check.expected), String(check.actual), check.ok ? "OK" : "DRIFT"]);
+    });
+    console.log(table.toString());
+    const failures = report.checks.filter((check) => !check.ok).length;
+    console.log(failures > 0 ? `${failures} check(s) drifted from the ${network} config` : `The ${network} config matches the chain`);
+  }
+
+  if (report.drift) {
+    process.exitCode = 1;
+  }
+}
+
+main().catch((err) => {
+  throw err;
+});
@@ -1,3 +1,5 @@
+const ethers = require("ethers");
+
 const CompoundRegistry = require("../build/CompoundRegistry");
 const MultiSig = require("../build/MultiSigWallet");
 
@@ -33,23 +35,31 @@ async function main() {
 
   // Setup deployer
   const manager = new DeployManager(network);
-  await manager.setup();
-  const { configurator } = manager;
-  const { deployer } = manager;
-  const deploymentWallet = deployer.signer;
-  const { config } = configurator;
-
-  const CompoundRegistryWrapper = await deployer.wrapDeployedContract(CompoundRegistry, config.contracts.CompoundRegistry);
-  const MultiSigWrapper = await deployer.wrapDeployedContract(MultiSig, config.contracts.MultiSigWallet);
-  const multisigExecutor = new MultisigExecutor(MultiSigWrapper, deploymentWallet, config.multisig.autosign);
-
-  if (add) {
-    console.log(`Adding token ${token} to Compound`);
-    await multisigExecutor.executeCall(CompoundRegistryWrapper, "addCToken", [token, ctoken]);
-  } else {
-    console.log(`Removing token ${token} from Compound`);
-    await multisigExecutor.executeCall(CompoundRegistryWrapper, "removeCToken", [token]);
-  }
+  await manager.withLock(async () => {
+    await manager.setup();
+    const { configurator } = manager;
+    const { deployer } = manager;
+    const deploymentWallet = deployer.signer;
+    const { config } = configurator;
+
+    const CompoundRegistryWrapper = await deployer.wrapDeployedContract(CompoundRegistry, config.contracts.CompoundRegistry);
+    const MultiSigWrapper = await deployer.wrapDeployedContract(MultiSig, config.contracts.MultiSigWallet);
+    const multisigExecutor = new MultisigExecutor(MultiSigWrapper, deploymentWallet, config.multisig.autosign, manager.gas, { resumable: true });
+
+    // a change proposed by a previous run, and since executed, is not proposed again
+    const current = await CompoundRegistryWrapper.contract.getCToken(token);
+    if (add && current.toLowerCase() === ctoken.toLowerCase()) {
+      console.log(`Token ${token} is already in Compound with cToken ${ctoken}`);
+    } else if (!add && current === ethers.constants.AddressZero) {
+      console.log(`Token ${token} is not in Compound`);
+    } else if (add) {
+      console.log(`Adding token ${token} to Compound`);
+      await multisigExecutor.executeCall(CompoundRegistryWrapper, "addCToken", [token, ctoken]);
+    } else {
+      console.log(`Removing token ${token} from Compound`);
+      await multisigExecutor.executeCall(CompoundRegistryWrapper, "removeCToken", [token]);
+    }
+  });
 }
 
 main().catch((err) => {
@@ -0,0 +1,69 @@
+// Usage: node scripts/configHistory.js --network kovan --list
+//        node scripts/configHistory.js --network kovan --diff <snapshot> [<snapshot>]
+//        node scripts/configHistory.js --network kovan --restore <snapshot>
+//
+// When --diff is given a single snapshot it is compared with the current config.
+
+const Table = require("cli-table2");
+
+const Configurator = require("../utils/configurator.js");
+const DeployManager = require("../utils/deploy-manager.js");
+
+async function main() {
+  // Read Command Line Arguments
+  let idx = process.argv.indexOf("--network");
+  const network = process.argv[idx + 1];
+
+  // The config history does not need a deployer, only the configurator
+  const { configurator } = new DeployManager(network);
+  await configurator.load(false, false);
+
+  if (process.argv.includes("--list")) {
+    const snapshots = await configurator.listSnapshots();
+    const table = new Table({ head: ["Snapshot", "Date", "Step", "Account", "Git commit", "Changes"] });
+    snapshots.forEach((snapshot) => {
+      table.push([
+        snapshot.id,
+        new Date(snapshot.timestamp * 1000).toISOString(),
+        snapshot.step || "",
+        snapshot.account || "",
+        snapshot.gitCommit || "",
+        (snapshot.journal || []).map((entry) => entry.path).join("\n"),
+      ]);
+    });
+    console.log(table.toString());
+    return;
+  }
+
+  idx = process.argv.indexOf("--diff");
+  if (idx > -1) {
+    const from = process.argv[idx + 1];
+    const to = process.argv[idx + 2] && !process.argv[idx + 2].startsWith("--") ? process.argv[idx + 2] : undefined;
+    const before = (await configurator.loadSnapshot(from)).config;
+    const after = to ? (await configurator.loadSnapshot(to)).config : configurator.config;
+    const changes = Configurator.diff(before, after);
+    if (changes.length === 0) {
+      console.log("No differences");
+      return;
+    }
+    const table = new Table({ head: ["Key", from, to || "current"] });
+    changes.forEach((change) => table.push([change.path, JSON.stringify(change.before), JSON.stringify(change.after)]));
+    console.log(table.toString());
+    return;
+  }
+
+  idx = process.argv.indexOf("--restore");
+  if (idx > -1) {
+    const id = process.argv[idx + 1];
+    console.log(`Restoring the ${network} config from snapshot ${id}...`);
+    await configurator.restore(id);
+    console.log("Config restored.");
+    return;
+  }
+
+  console.log("Error: Use --list, --diff or --restore");
+}
+
+main().catch((err) => {
+  throw err;
+});
@@ -13,55 +13,55 @@ async function main() {
   const network = process.argv[idx + 1];
 
   const deployManager = new DeployManager(network);
-  await deployManager.setup();
+  await deployManager.withLock(async () => {
+    await deployManager.setup();
+    const { configurator } = deployManager;
+    const { deployer } = deployManager;
+    const manager = deployer.signer;
 
-  const { configurator } = deployManager;
-  const { deployer } = deployManager;
-  const manager = deployer.signer;
+    idx = process.argv.indexOf("--ens");
+    const walletEns = idx > -1 ? process.argv[idx + 1] : Math.random().toString(36).replace(/[^a-z]+/g, "").substr(0, 5);
 
-  idx = process.argv.indexOf("--ens");
-  const walletEns = idx > -1 ? process.argv[idx + 1] : Math.random().toString(36).replace(/[^a-z]+/g, "").substr(0, 5);
+    idx = process.argv.indexOf("--owner");
+    const owner = idx > -1 ? process.argv[idx + 1] : manager.address;
 
-  idx = process.argv.indexOf("--owner");
-  const owner = idx > -1 ? process.argv[idx + 1] : manager.address;
+    const { config } = configurator;
+    console.log("Config:", configurator.redactedConfig());
 
-  const { config } = configurator;
-  console.log("Config:", config);
+    const walletFactoryWrapper = await deployer.wrapDeployedContract(WalletFactory, config.contracts.WalletFactory);
+    const multisigWrapper = await deployer.wrapDeployedContract(MultiSigWallet, config.contracts.MultiSigWallet);
+    const multisigExecutor = new MultisigExecutor(multisigWrapper, manager, config.multisig.autosign, deployManager.gas);
 
-  const walletFactoryWrapper = await deployer.wrapDeployedContract(WalletFactory, config.contracts.WalletFactory);
-  const multisigWrapper = await deployer.wrapDeployedContract(MultiSigWallet, config.contracts.MultiSigWallet);
-  const multisigExecutor = new MultisigExecutor(multisigWrapper, manager, config.multisig.autosign);
+    // Make manager a temporary manager of WalletFactory to facilitate wallet initialization
+    let revokeManager = false;
+    if (!await walletFactoryWrapper.managers(manager.address)) {
+      console.log(`Adding accounts[0] (${manager.address}) as Manager of WalletFactory...`);
+      await multisigExecutor.executeCall(walletFactoryWrapper, "addManager", [manager.address]);
+      revokeManager = true;
+    }
 
-  // Make manager a temporary manager of WalletFactory to facilitate wallet initialization
-  let revokeManager = false;
-  if (!await walletFactoryWrapper.managers(manager.address)) {
-    console.log(`Adding accounts[0] (${manager.address}) as Manager of WalletFactory...`);
-    await multisigExecutor.executeCall(walletFactoryWrapper, "addManager", [manager.address]);
-    revokeManager = true;
-  }
+    // Create Wallet
+    console.log("Creating new wallet...");
+    const modules = [
+      "GuardianManager",
+      "LockManager",
+      "RecoveryManager",
+      "ApprovedTransfer",
+      "TransferManager",
+      "TokenExchanger",
+      "MakerV2Manager",
+    ].map((name) => config.modules[name]).filter((x) => x);
+    const tx = await deployManager.gas.send(walletFactoryWrapper.contract.connect(manager), "createWallet", [owner, modules, walletEns]);
+    const txReceipt = await walletFactoryWrapper.verboseWaitForTransaction(tx);
+    const walletAddress = txReceipt.events.find((log) => log.event === "WalletCreated").args._wallet;
+    console.log(`New wallet ${walletEns}.${config.ENS.domain} successfully created at address ${walletAddress} for owner ${owner}.`);
 
-  // Create Wallet
-  console.log("Creating new wallet...");
-  const modules = [
-    "GuardianManager",
-    "LockManager",
-    "RecoveryManager",
-    "ApprovedTransfer",
-    "TransferManager",
-    "TokenExchanger",
-    "MakerV2Manager",
-  ].map((name) => config.modules[name]).filter((x) => x);
-  const tx = await ((walletFactoryWrapper.from && walletFactoryWrapper.from(manager))
-    || walletFactoryWrapper).createWallet(owner, modules, walletEns);
-  const txReceipt = await walletFactoryWrapper.verboseWaitForTransaction(tx);
-  const walletAddress = txReceipt.events.find((log) => log.event === "WalletCreated").args._wallet;
-  console.log(`New wallet ${walletEns}.${config.ENS.domain} successfully created at address ${walletAddress} for owner ${owner}.`);
-
-  // Remove temporary manager from WalletFactory
-  if (revokeManager === true) {
-    console.log(`Removing manager (${manager.address}) as Manager of WalletFactory...`);
-    await multisigExecutor.executeCall(walletFactoryWrapper, "revokeManager", [manager.address]);
-  }
+    // Remove temporary manager from WalletFactory
+    if (revokeManager === true) {
+      console.log(`Removing manager (${manager.address}) as Manager of WalletFactory...`);
+      await multisigExecutor.executeCall(walletFactoryWrapper, "revokeManager", [manager.address]);
+    }
+  });
 }
 
 main().catch((err) => {
@@ -1,11 +1,15 @@
 #!/bin/bash
 #
-# Usage: ./deploy.sh [network] [aws-profile-suffix] [...steps]
-#        ./deploy.sh [network] [...steps] (if network == aws-profile-suffix)
+# Compiles the contracts and runs deployment steps with deployment/run.js, using the argent-[aws-profile-suffix] AWS profile.
+#
+# Usage: ./deploy.sh [network] [aws-profile-suffix] [--reset-step] [--plan] [--yes] [...steps]
+#        ./deploy.sh [network] [--reset-step] [--plan] [--yes] [...steps] (if network == aws-profile-suffix)
 #
 # Examples: ./deploy.sh dev 1 2 3 4
 #           ./deploy.sh ganache 1 2 3 4 5 6
 #           ./deploy.sh ropsten dev 5 6
+#           ./deploy.sh ropsten dev --reset-step 5 (redeploys everything instead of resuming an interrupted step 5)
+#           ./deploy.sh kovan --plan 5 6 (reports what steps 5 and 6 would do, running them on a local fork of kovan)
 
 
 set -e # stop the script if any subprocess fails
@@ -14,28 +18,29 @@ NETWORK=$1
 shift
 
 re='^[0-9]+$'
-if [[ $1 =~ $re ]] ; then
+if [[ $1 =~ $re || $1 == --* ]] ; then
     PROFILE=$NETWORK
 else
     PROFILE=$1
     shift
 fi
 
+OPTIONS=()
+while [[ $1 == --* ]]; do
+    OPTIONS+=("$1")
+    shift
+done
+
+STEPS=$(IFS=,; echo "$*")
+
 npm run compile:lib
 npm run compile
 
-for IDX in "$@"
-do
-    FILE=`ls ./deployment/${IDX}_*.js`
-    if [ ! -z "${CI:-}" ]; then
-        echo "Waiting for ganache to launch on port 8545..."
-        while ! nc -z localhost 8545; do sleep 1; done
-        echo "ganache running on port 8545"
-        npx etherlime deploy --file $FILE --network $NETWORK --compile false
-    else
-        AWS_PROFILE=argent-$PROFILE AWS_SDK_LOAD_CONFIG=true npx etherlime deploy --file $FILE --network $NETWORK --compile false
-    fi
-    if [ $? -ne 0 ]; then
-        exit 1 # exit with failure status
-    fi
-done
+if [ ! -z "${CI:-}" ]; then
+    echo "Waiting for ganache to launch on port 8545..."
+    while ! nc -z localhost 8545; do sleep 1; done
+    echo "ganache running on port 8545"
+    node ./deployment/run.js --network $NETWORK --steps $STEPS "${OPTIONS[@]}"
+else
+    AWS_PROFILE=argent-$PROFILE AWS_SDK_LOAD_CONFIG=true node ./deployment/run.js --network $NETWORK --steps $STEPS "${OPTIONS[@]}"
+fi
@@ -21,26 +21,27 @@ async function deploy() {
   const upgraderName = "0x4ef2f261_0xee7263da";
 
   const manager = new DeployManager(network);
-  await manager.setup();
-
-  const { configurator } = manager;
-  const { deployer } = manager;
-  const deploymentWallet = deployer.signer;
-  const { config } = configurator;
-
-  const ModuleRegistryWrapper = await deployer.wrapDeployedContract(ModuleRegistry, config.contracts.ModuleRegistry);
-  const MultiSigWrapper = await deployer.wrapDeployedContract(MultiSig, config.contracts.MultiSigWallet);
-  const multisigExecutor = new MultisigExecutor(MultiSigWrapper, deploymentWallet, config.multisig.autosign);
-
-  const UpgraderWrapper = await deployer.deploy(
-    Upgrader,
-    {},
-    modulesToRemove,
-    modulesToAdd,
-  );
-
-  await multisigExecutor.executeCall(ModuleRegistryWrapper, "registerUpgrader",
-    [UpgraderWrapper.contractAddress, utils.asciiToBytes32(upgraderName)]);
+  await manager.withLock(async () => {
+    await manager.setup();
+    const { configurator } = manager;
+    const { deployer } = manager;
+    const deploymentWallet = deployer.signer;
+    const { config } = configurator;
+
+    const ModuleRegistryWrapper = await deployer.wrapDeployedContract(ModuleRegistry, config.contracts.ModuleRegistry);
+    const MultiSigWrapper = await deployer.wrapDeployedContract(MultiSig, config.contracts.MultiSigWallet);
+    const multisigExecutor = new MultisigExecutor(MultiSigWrapper, deploymentWallet, config.multisig.autosign, manager.gas);
+
+    const UpgraderWrapper = await deployer.deploy(
+      Upgrader,
+      {},
+      modulesToRemove,
+      modulesToAdd,
+    );
+
+    await multisigExecutor.executeCall(ModuleRegistryWrapper, "registerUpgrader",
+      [UpgraderWrapper.contractAddress, utils.asciiToBytes32(upgraderName)]);
+  });
 }
 
 module.exports = {
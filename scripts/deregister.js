@@ -17,18 +17,24 @@ async function main() {
 
   // Setup deployer
   const manager = new DeployManager(network);
-  await manager.setup();
-  const { configurator } = manager;
-  const { deployer } = manager;
-  const deploymentWallet = deployer.signer;
-  const { config } = configurator;
-
-  const ModuleRegistryWrapper = await deployer.wrapDeployedContract(ModuleRegistry, config.contracts.ModuleRegistry);
-  const MultiSigWrapper = await deployer.wrapDeployedContract(MultiSig, config.contracts.MultiSigWallet);
-  const multisigExecutor = new MultisigExecutor(MultiSigWrapper, deploymentWallet, config.multisig.autosign);
-
-  // deregister
-  await multisigExecutor.executeCall(ModuleRegistryWrapper, "deregisterModule", [targetModule]);
+  await manager.withLock(async () => {
+    await manager.setup();
+    const { configurator } = manager;
+    const { deployer } = manager;
+    const deploymentWallet = deployer.signer;
+    const { config } = configurator;
+
+    const ModuleRegistryWrapper = await deployer.wrapDeployedContract(ModuleRegistry, config.contracts.ModuleRegistry);
+    const MultiSigWrapper = await deployer.wrapDeployedContract(MultiSig, config.contracts.MultiSigWallet);
+    const multisigExecutor = new MultisigExecutor(MultiSigWrapper, deploymentWallet, config.multisig.autosign, manager.gas, { resumable: true });
+
+    // a deregistration proposed by a previous run, and since executed, is not proposed again
+    if (!await ModuleRegistryWrapper.contract["isRegisteredModule(address)"](targetModule)) {
+      console.log(`${targetModule} is not registered`);
+      return;
+    }
+    await multisigExecutor.executeCall(ModuleRegistryWrapper, "deregisterModule", [targetModule]);
+  });
 }
 
 main().catch((err) => {
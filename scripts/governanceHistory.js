@@ -0,0 +1,73 @@
+// Usage: node scripts/governanceHistory.js --network kovan [--from-block 16988040] [--rpc https://...] [--json history.json]
+//
+// Rebuilds the governance log of the MultiSigWallet of a network from its events: owners added and removed, threshold
+// changes, executed transactions (decoded against the build artifacts and named from the config, with the owners
+// who signed them) and ETH received. Prints a chronological report, and writes it as JSON with --json.
+// --rpc overrides the node of the network config. Signers are only recovered when the log starts before the
+// deployment of the multisig, i.e. without --from-block or with an earlier one.
+
+const ethers = require("ethers");
+const fs = require("fs");
+const Table = require("cli-table2");
+
+const DeployManager = require("../utils/deploy-manager.js");
+const DeployPlan = require("../utils/deploy-plan.js");
+const GovernanceHistory = require("../utils/governance-history.js");
+const ProposalDecoder = require("../utils/proposal-decoder.js");
+
+function option(name) {
+  const idx = process.argv.indexOf(name);
+  return idx > 0 ? process.argv[idx + 1] : undefined;
+}
+
+// What changed, for the report
+function details(entry, decoder) {
+  const name = (address) => decoder.label(address) || address;
+  if (entry.event === "OwnerAdded" || entry.event === "OwnerRemoved") return `${name(entry.owner)}, ${entry.owners.length} owner(s)`;
+  if (entry.event === "ThresholdChanged") return `${entry.threshold} of ${entry.owners.length} owner(s)`;
+  if (entry.event === "Received") return `${ethers.utils.formatEther(entry.value)} ETH from ${name(entry.from)}`;
+  return entry.summary;
+}
+
+async function main() {
+  // Read Command Line Arguments
+  const network = option("--network");
+  const fromBlock = parseInt(option("--from-block") || 0, 10);
+  const jsonFile = option("--json");
+
+  // The history does not need a deployer nor the secrets of the config, only its addresses and a node, whose URL may
+  // hold the secrets of the deployer (e.g. its Infura key)
+  const { configurator } = new DeployManager(network);
+  const config = await configurator.load(true, false);
+  const rpc = option("--rpc") || DeployPlan.nodeUrl(await configurator.resolvedCopy("settings.deployer"));
+  const provider = new ethers.providers.JsonRpcProvider(rpc);
+
+  const decoder = new ProposalDecoder(config);
+  const history = await new GovernanceHistory(provider, config.contracts.MultiSigWallet, decoder).load(fromBlock);
+
+  const table = new Table({ head: ["Date", "Block", "Event", "Details", "Signers / Sender"] });
+  history.entries.forEach((entry) => {
+    const signers = entry.signers
+      ? entry.signers.map(({ address, owner }) => `${decoder.label(address) || address}${owner ? "" : " (not an owner)"}`).join("\n")
+      : entry.sender;
+    table.push([
+      new Date(entry.timestamp * 1000).toISOString(),
+      entry.blockNumber,
+      entry.event,
+      details(entry, decoder),
+      signers,
+    ]);
+  });
+  console.log(table.toString());
+  console.log(`MultiSigWallet ${history.multisig}: ${history.threshold} of ${history.owners.length} owner(s) at block ${history.toBlock}`);
+  history.owners.forEach((owner) => console.log(`  ${owner}${decoder.label(owner) ? ` (${decoder.label(owner)})` : ""}`));
+
+  if (jsonFile) {
+    fs.writeFileSync(jsonFile, `${JSON.stringify({ network, ...history }, null, 2)}\n`);
+    console.log(`History written to ${jsonFile}`);
+  }
+}
+
+main().catch((err) => {
+  throw err;
+});
@@ -0,0 +1,62 @@
+// Usage: node scripts/ledger.js --network kovan [--step 5_deploy_modules] [--contract TransferManager]
+//                                [--from 2020-09-01] [--to 2020-09-30] [--csv ledger.csv]
+//
+// Lists the transactions recorded in the ledger of a network, optionally only those sent by a step or script,
+// to a contract or between two dates (inclusive), with their total gas and cost. With --csv the entries are
+// exported to a CSV file instead.
+
+const fs = require("fs");
+const ethers = require("ethers");
+const Table = require("cli-table2");
+
+const DeployManager = require("../utils/deploy-manager.js");
+const TransactionLedger = require("../utils/transaction-ledger.js");
+
+function option(name) {
+  const idx = process.argv.indexOf(name);
+  return idx > 0 ? process.argv[idx + 1] : undefined;
+}
+
+async function main() {
+  // Read Command Line Arguments
+  const network = option("--network");
+  const filter = {
+    source: option("--step"),
+    contract: option("--contract"),
+    from: option("--from"),
+    to: option("--to"),
+  };
+  const csv = option("--csv");
+
+  const { configurator } = new DeployManager(network);
+  const ledger = new TransactionLedger(configurator.loader, network);
+  const entries = TransactionLedger.filter(await ledger.load(), filter);
+
+  if (csv) {
+    fs.writeFileSync(csv, TransactionLedger.toCsv(entries));
+    console.log(`Exported ${entries.length} transaction(s) to ${csv}`);
+    return;
+  }
+
+  const table = new Table({ head: ["Date", "Source", "Contract", "Method", "Tx hash", "Block", "Gas used", "Gas price (gwei)", "Cost (ETH)"] });
+  entries.forEach((entry) => table.push([
+    new Date(entry.timestamp * 1000).toISOString(),
+    entry.source,
+    entry.contract || "",
+    entry.method || entry.label || "",
+    entry.txHash,
+    entry.block,
+    entry.gasUsed,
+    ethers.utils.formatUnits(entry.gasPrice, "gwei"),
+    entry.cost,
+  ]));
+  console.log(table.toString());
+
+  const gas = entries.reduce((sum, entry) => sum.add(entry.gasUsed), ethers.utils.bigNumberify(0));
+  const cost = entries.reduce((sum, entry) => sum.add(ethers.utils.parseEther(entry.cost)), ethers.utils.bigNumberify(0));
+  console.log(`${entries.length} transaction(s), ${gas.toString()} gas, ${ethers.utils.formatEther(cost)} ETH`);
+}
+
+main().catch((err) => {
+  throw err;
+});
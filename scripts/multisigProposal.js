@@ -0,0 +1,108 @@
+// Usage: node scripts/multisigProposal.js propose --network kovan --contract ModuleRegistry --method registerModule
+//          --params '["0x9ABb5Db4B23A866ffd649716c6ce2674b2C28C17", "0x4775617264..."]' [--out proposals]
+//        node scripts/multisigProposal.js sign --proposal proposals/12-ModuleRegistry.registerModule.json
+//          (--keystore owner.json | --key-env OWNER_PRIVATE_KEY) [--network kovan]
+//        node scripts/multisigProposal.js submit --network kovan --proposal proposals/12-ModuleRegistry.registerModule.json
+//
+// Collects the signatures of a multisig transaction asynchronously. `propose` writes the call of `--method` on the
+// config contract or module `--contract`, to be executed by the MultiSigWallet of the config at its current nonce.
+// Each owner then appends a signature with `sign`, which works offline and shows the decoded call, named from the
+// config of --network when given (scripts/verifyProposal.js checks a proposal completely). `submit` executes the
+// transaction once the threshold is met, as long as no other multisig transaction was executed since the proposal.
+
+const ethers = require("ethers");
+const path = require("path");
+
+const MultiSig = require("../build/MultiSigWallet");
+
+const DeployManager = require("../utils/deploy-manager.js");
+const MultisigExecutor = require("../utils/multisigexecutor.js");
+const MultisigProposal = require("../utils/multisig-proposal.js");
+const PrivateKeyLoader = require("../utils/private-key-loader.js");
+const ProposalDecoder = require("../utils/proposal-decoder.js");
+
+function option(name) {
+  const idx = process.argv.indexOf(name);
+  return idx > 0 ? process.argv[idx + 1] : undefined;
+}
+
+async function setup(manager) {
+  await manager.setup();
+  const { deployer } = manager;
+  const { config } = manager.configurator;
+  const multisigWrapper = await deployer.wrapDeployedContract(MultiSig, config.contracts.MultiSigWallet);
+  // only used to submit proposals, which it never makes itself
+  const executor = new MultisigExecutor(multisigWrapper, deployer.signer, false, manager.gas, { resumable: true });
+  return {
+    deployer, config, multisigWrapper, executor,
+  };
+}
+
+async function propose() {
+  const name = option("--contract");
+  const method = option("--method");
+  const params = JSON.parse(option("--params") || "[]");
+  // proposing sends nothing, so it does not take the deployment lock
+  const { deployer, config, multisigWrapper } = await setup(new DeployManager(option("--network")));
+
+  const address = config.contracts[name] || config.modules[name];
+  if (!address) throw new Error(`${name} is neither a contract nor a module of the config`);
+  // eslint-disable-next-line global-require, import/no-dynamic-require
+  const contractWrapper = await deployer.wrapDeployedContract(require(`../build/${name}`), address);
+  if (!contractWrapper.contract.interface.functions[method]) throw new Error(`${name} has no method ${method}`);
+
+  const proposal = await MultisigProposal.create(multisigWrapper, contractWrapper, method, params);
+  const file = path.join(option("--out") || "proposals", proposal.fileName);
+  proposal.save(file);
+  console.log(`Proposed ${name}.${method} at multisig nonce ${proposal.nonce} (${proposal.threshold} signature(s) required): ${file}`);
+  console.log(`SignHash: ${proposal.signHash}`);
+}
+
+async function sign() {
+  const file = option("--proposal");
+  const proposal = MultisigProposal.load(file);
+  if (proposal.expectedSignHash !== proposal.signHash) {
+    throw new Error(`The signHash ${proposal.signHash} of the proposal does not match its transaction, see scripts/verifyProposal.js`);
+  }
+  // what is signed, with the names of the config of --network if given (read without its secrets, as signing is offline)
+  const network = option("--network");
+  const decoder = new ProposalDecoder(network ? await new DeployManager(network).configurator.load(true, false) : {});
+  decoder.render(decoder.decode(proposal)).forEach((line) => console.log(line));
+  console.log(`nonce: ${proposal.nonce}, signHash: ${proposal.signHash}`);
+
+  const keystore = option("--keystore");
+  const keyEnv = option("--key-env");
+  let privateKey;
+  if (keystore) {
+    privateKey = await new PrivateKeyLoader({ type: "keystore", options: { path: keystore } }).fetch();
+  } else if (keyEnv && process.env[keyEnv]) {
+    privateKey = await new PrivateKeyLoader({ type: "plain", options: { value: process.env[keyEnv] } }).fetch();
+  } else {
+    throw new Error("The signing key is required: --keystore <path> or --key-env <variable>");
+  }
+
+  const signer = new ethers.Wallet(privateKey);
+  await proposal.sign(signer);
+  proposal.save(file);
+  console.log(`Signed by ${await signer.getAddress()}: ${proposal.signatures.length} of ${proposal.threshold} signature(s)`);
+}
+
+async function submit() {
+  const proposal = MultisigProposal.load(option("--proposal"));
+  const manager = new DeployManager(option("--network"));
+  await manager.withLock(async () => {
+    const { executor } = await setup(manager);
+    await executor.submit(proposal);
+  });
+}
+
+async function main() {
+  const commands = { propose, sign, submit };
+  const command = commands[process.argv[2]];
+  if (!command) throw new Error(`Unknown command ${process.argv[2]}, expected one of ${Object.keys(commands).join(", ")}`);
+  await command();
+}
+
+main().catch((err) => {
+  throw err;
+});
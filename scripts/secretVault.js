@@ -0,0 +1,54 @@
+// Usage: node scripts/secretVault.js [--vault utils/config/vault.json] --list
+//        node scripts/secretVault.js [--vault utils/config/vault.json] --set <name>
+//        node scripts/secretVault.js [--vault utils/config/vault.json] --delete <name>
+//
+// Manages the password-encrypted vault read by `{ "$secret": { "provider": "vault", "name": <name> } }` config values.
+// The password is read from SECRET_VAULT_PASSWORD or asked, and the value of --set is always asked.
+
+const inquirer = require("inquirer");
+const path = require("path");
+
+const { SecretVault } = require("../utils/secret-resolver.js");
+
+async function main() {
+  // Read Command Line Arguments
+  let idx = process.argv.indexOf("--vault");
+  const vaultPath = idx > -1 ? process.argv[idx + 1] : path.join(__dirname, "../utils/config/vault.json");
+
+  const password = process.env.SECRET_VAULT_PASSWORD || (await inquirer.prompt([
+    { type: "password", name: "password", message: `Password of the secret vault ${vaultPath}:` },
+  ])).password;
+  const vault = SecretVault.open(vaultPath, password);
+  // decrypting a secret checks the password before the vault is modified
+  if (vault.names.length > 0) vault.get(vault.names[0]);
+
+  if (process.argv.includes("--list")) {
+    vault.names.forEach((name) => console.log(name));
+    return;
+  }
+
+  idx = process.argv.indexOf("--set");
+  if (idx > -1) {
+    const name = process.argv[idx + 1];
+    const { value } = await inquirer.prompt([{ type: "password", name: "value", message: `Value of ${name}:` }]);
+    vault.set(name, value);
+    vault.save();
+    console.log(`Secret ${name} saved in ${vaultPath}`);
+    return;
+  }
+
+  idx = process.argv.indexOf("--delete");
+  if (idx > -1) {
+    const name = process.argv[idx + 1];
+    vault.delete(name);
+    vault.save();
+    console.log(`Secret ${name} deleted from ${vaultPath}`);
+    return;
+  }
+
+  console.log("Error: Use --list, --set or --delete");
+}
+
+main().catch((err) => {
+  throw err;
+});
@@ -14,17 +14,23 @@ async function main() {
 
   // Setup deployer
   const manager = new DeployManager(network);
-  await manager.setup();
-  const { configurator } = manager;
-  const { deployer } = manager;
-  const deploymentWallet = deployer.signer;
-  const { config } = configurator;
-
-  const MultiSigWrapper = await deployer.wrapDeployedContract(MultiSig, config.contracts.MultiSigWallet);
-  const multisigExecutor = new MultisigExecutor(MultiSigWrapper, deploymentWallet, config.multisig.autosign);
-
-  // deregister
-  await multisigExecutor.executeCall(MultiSigWrapper, "changeThreshold", [threshold]);
+  await manager.withLock(async () => {
+    await manager.setup();
+    const { configurator } = manager;
+    const { deployer } = manager;
+    const deploymentWallet = deployer.signer;
+    const { config } = configurator;
+
+    const MultiSigWrapper = await deployer.wrapDeployedContract(MultiSig, config.contracts.MultiSigWallet);
+    const multisigExecutor = new MultisigExecutor(MultiSigWrapper, deploymentWallet, config.multisig.autosign, manager.gas, { resumable: true });
+
+    // a change proposed by a previous run, and since executed, is not proposed again
+    if ((await MultiSigWrapper.contract.threshold()).eq(threshold)) {
+      console.log(`The threshold is already ${threshold}`);
+      return;
+    }
+    await multisigExecutor.executeCall(MultiSigWrapper, "changeThreshold", [threshold]);
+  });
 }
 
 main().catch((err) => {
@@ -0,0 +1,31 @@
+// Usage: node scripts/showConfig.js --network kovan [--config settings.securityPeriod=60] [--json]
+//
+// Prints the effective config of a network, after merging base.json, the network and environment configs
+// and the CONFIG_OVERRIDE_* / --config overrides, together with the layer each value comes from.
+// With --json only the merged config is printed.
+
+const Table = require("cli-table2");
+
+const DeployManager = require("../utils/deploy-manager.js");
+
+async function main() {
+  // Read Command Line Arguments
+  const idx = process.argv.indexOf("--network");
+  const network = process.argv[idx + 1];
+
+  const { configurator } = new DeployManager(network);
+  await configurator.load(true, false); // secrets are shown as references
+
+  if (process.argv.includes("--json")) {
+    console.log(JSON.stringify(configurator.config, null, 2));
+    return;
+  }
+
+  const table = new Table({ head: ["Key", "Value", "Layer"] });
+  configurator.explain().forEach((entry) => table.push([entry.path, JSON.stringify(entry.value), entry.layer]));
+  console.log(table.toString());
+}
+
+main().catch((err) => {
+  throw err;
+});
@@ -0,0 +1,73 @@
+// Usage: node scripts/treasury.js balance --network kovan
+//        node scripts/treasury.js transfer --network kovan --to 0x9ABb5Db4B23A866ffd649716c6ce2674b2C28C17 --amount 1.5
+//        node scripts/treasury.js call --network kovan --to 0x9ABb5Db4B23A866ffd649716c6ce2674b2C28C17 --data 0xa9059cbb...
+//          [--value 0.1]
+//
+// Treasury operations of the MultiSigWallet of the config. Amounts are in ETH. `transfer` sends ETH from the multisig,
+// `call` sends any calldata, e.g. to a contract without artifact in build/. Both are signed as the other multisig
+// transactions: with the deployment key when `multisig.autosign` is set, through a proposal file otherwise.
+
+const ethers = require("ethers");
+
+const MultiSig = require("../build/MultiSigWallet");
+
+const DeployManager = require("../utils/deploy-manager.js");
+const MultisigExecutor = require("../utils/multisigexecutor.js");
+
+function option(name) {
+  const idx = process.argv.indexOf(name);
+  return idx > 0 ? process.argv[idx + 1] : undefined;
+}
+
+function address(name) {
+  const value = option(name);
+  try {
+    return ethers.utils.getAddress(value);
+  } catch (error) {
+    throw new Error(`${name} must be an address, got ${value}`);
+  }
+}
+
+// Prints the balance of the multisig of the config of `manager`, then runs the transfer or call `command`
+async function run(manager, command) {
+  await manager.setup();
+  const { deployer } = manager;
+  const { config } = manager.configurator;
+
+  const multisigWrapper = await deployer.wrapDeployedContract(MultiSig, config.contracts.MultiSigWallet);
+  const balance = await deployer.provider.getBalance(multisigWrapper.contractAddress);
+  console.log(`MultiSigWallet ${multisigWrapper.contractAddress}: ${ethers.utils.formatEther(balance)} ETH`);
+  if (command === "balance") return;
+
+  // every command is a single multisig transaction, proposed again as is when the command is run again
+  const multisigExecutor = new MultisigExecutor(multisigWrapper, deployer.signer, config.multisig.autosign, manager.gas, { resumable: true });
+  const to = address("--to");
+  if (command === "transfer") {
+    const amount = ethers.utils.parseEther(option("--amount"));
+    if (amount.gt(balance)) throw new Error(`The multisig only holds ${ethers.utils.formatEther(balance)} ETH`);
+    await multisigExecutor.executeTransfer(to, amount);
+  } else {
+    const data = option("--data");
+    if (!ethers.utils.isHexString(data)) throw new Error(`--data must be hex calldata, got ${data}`);
+    await multisigExecutor.executeRaw(to, ethers.utils.parseEther(option("--value") || "0"), data);
+  }
+}
+
+async function main() {
+  // Read Command Line Arguments
+  const command = process.argv[2];
+  const network = option("--network");
+  if (!["balance", "transfer", "call"].includes(command)) throw new Error(`Unknown command ${command}, expected balance, transfer or call`);
+
+  // Setup deployer: the balance is read without the deployment lock
+  const manager = new DeployManager(network);
+  if (command === "balance") {
+    await run(manager, command);
+  } else {
+    await manager.withLock(() => run(manager, command));
+  }
+}
+
+main().catch((err) => {
+  throw err;
+});
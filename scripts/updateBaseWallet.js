@@ -1,5 +1,6 @@
 // Usage: ./execute.sh updateBaseWallet.js staging
 
+const path = require("path");
 const BaseWallet = require("../build/BaseWallet");
 const WalletFactory = require("../build/WalletFactory");
 const MultiSigWallet = require("../build/MultiSigWallet");
@@ -14,34 +15,39 @@ async function main() {
   const network = idx > -1 ? process.argv[idx + 1] : defaultNetwork;
 
   const deployManager = new DeployManager(network);
-  await deployManager.setup();
-  const { configurator } = deployManager;
-  const { deployer } = deployManager;
-  const manager = deployer.signer;
-  const { config } = configurator;
-  console.log("Config:", config);
-
-  // Deploy new BaseWallet
-  console.log("Deploying new BaseWallet...");
-  const BaseWalletWrapper = await deployer.deploy(BaseWallet);
-
-  // Setup WalletFactory with new BaseWallet
-  console.log("Setting up WalletFactory with new BaseWallet...");
-  const walletFactoryWrapper = await deployer.wrapDeployedContract(WalletFactory, config.contracts.WalletFactory);
-  const multisigWrapper = await deployer.wrapDeployedContract(MultiSigWallet, config.contracts.MultiSigWallet);
-  const multisigExecutor = new MultisigExecutor(multisigWrapper, manager, config.multisig.autosign);
-  await multisigExecutor.executeCall(
-    walletFactoryWrapper,
-    "changeWalletImplementation",
-    [BaseWalletWrapper.contractAddress],
-  );
-
-  console.log("Saving new config...");
-  configurator.updateInfrastructureAddresses({ BaseWallet: BaseWalletWrapper.contractAddress });
-  await configurator.save();
-  await deployManager.abiUploader.upload(BaseWalletWrapper, "contracts");
-
-  console.log("BaseWallet Update DONE.");
+  await deployManager.withLock(async () => {
+    await deployManager.setup();
+    const { configurator } = deployManager;
+    const { deployer } = deployManager;
+    const manager = deployer.signer;
+    const { config } = configurator;
+    console.log("Config:", configurator.redactedConfig());
+
+    // set up before deploying, as it refuses to propose the call without autosign (a new run would deploy another BaseWallet)
+    const walletFactoryWrapper = await deployer.wrapDeployedContract(WalletFactory, config.contracts.WalletFactory);
+    const multisigWrapper = await deployer.wrapDeployedContract(MultiSigWallet, config.contracts.MultiSigWallet);
+    const multisigExecutor = new MultisigExecutor(multisigWrapper, manager, config.multisig.autosign, deployManager.gas);
+
+    // Deploy new BaseWallet
+    console.log("Deploying new BaseWallet...");
+    const BaseWalletWrapper = await deployer.deploy(BaseWallet);
+
+    // Setup WalletFactory with new BaseWallet
+    console.log("Setting up WalletFactory with new BaseWallet...");
+    await multisigExecutor.executeCall(
+      walletFactoryWrapper,
+      "changeWalletImplementation",
+      [BaseWalletWrapper.contractAddress],
+    );
+
+    console.log("Saving new config...");
+    configurator.updateInfrastructureAddresses({ BaseWallet: BaseWalletWrapper.contractAddress });
+    await configurator.save(path.basename(__filename, ".js"));
+    configurator.printJournal();
+    await deployManager.abiUploader.upload(BaseWalletWrapper, "contracts");
+
+    console.log("BaseWallet Update DONE.");
+  });
 }
 
 main().catch((err) => {
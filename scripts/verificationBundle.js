@@ -0,0 +1,52 @@
+// Usage: node scripts/verificationBundle.js --network kovan [--step 5_deploy_modules] [--out verification]
+//
+// Writes a source-verification bundle for every contract deployed by a step (all steps by default) to
+// <out>/<network>/<Contract>-<address>/: the compiler standard-JSON input (standard-input.json), and the compiler
+// version, optimizer settings, ABI-encoded constructor arguments and address (verification.json). Deployments are
+// read from the ledger of the network, or for older deployments from the manifest of the step and the config.
+// Nothing is read from the network itself.
+
+const fs = require("fs");
+const path = require("path");
+
+const DeployManager = require("../utils/deploy-manager.js");
+const TransactionLedger = require("../utils/transaction-ledger.js");
+const VerificationBundle = require("../utils/verification-bundle.js");
+
+const MANIFEST_DIR = path.join(__dirname, "../deployment/manifests");
+
+function option(name) {
+  const idx = process.argv.indexOf(name);
+  return idx > 0 ? process.argv[idx + 1] : undefined;
+}
+
+async function main() {
+  // Read Command Line Arguments
+  const network = option("--network");
+  const step = option("--step");
+  const outDir = path.join(option("--out") || "verification", network);
+
+  // The bundle needs the addresses of the config, not its secrets
+  const { configurator } = new DeployManager(network);
+  const config = await configurator.load(true, false);
+  const ledger = new TransactionLedger(configurator.loader, network);
+  let deployments = VerificationBundle.fromLedger(await ledger.load(), step);
+
+  const manifest = step && path.join(MANIFEST_DIR, `${step}.json`);
+  if (deployments.length === 0 && manifest && fs.existsSync(manifest)) {
+    console.log(`No deployment of ${step} in the ledger of ${network}, using ${path.basename(manifest)}`);
+    deployments = VerificationBundle.fromManifest(JSON.parse(fs.readFileSync(manifest, "utf8")), config, network);
+  }
+  if (deployments.length === 0) throw new Error(`No deployment${step ? ` of ${step}` : ""} found for ${network}`);
+
+  const bundle = new VerificationBundle();
+  deployments.forEach((deployment) => {
+    const { dir, warnings } = bundle.write(outDir, deployment);
+    console.log(`${deployment.name} at ${deployment.address}: ${dir}`);
+    warnings.forEach((warning) => console.warn(`  WARNING: ${warning}`));
+  });
+}
+
+main().catch((err) => {
+  throw err;
+});
@@ -0,0 +1,60 @@
+// Usage: node scripts/verifyBytecode.js --network kovan [--rpc https://...] [--json]
+//        node scripts/verifyBytecode.js --addresses deployment.json --rpc https://... [--json]
+//
+// Checks that the runtime code at every address of `contracts` and `modules` in the network config matches the
+// build artifacts (build/ and build-legacy/), ignoring metadata hashes and immutables, and exits with a non-zero
+// code on mismatch. --addresses checks another deployment instead: a config file or a { "name": "address" } file.
+// --rpc overrides the node of the network config.
+
+const ethers = require("ethers");
+const fs = require("fs");
+const Table = require("cli-table2");
+
+const BytecodeVerifier = require("../utils/bytecode-verifier.js");
+const DeployManager = require("../utils/deploy-manager.js");
+const DeployPlan = require("../utils/deploy-plan.js");
+
+function option(name) {
+  const idx = process.argv.indexOf(name);
+  return idx > 0 ? process.argv[idx + 1] : undefined;
+}
+
+async function main() {
+  // Read Command Line Arguments
+  const network = option("--network");
+  const addressesFile = option("--addresses");
+  let rpc = option("--rpc");
+  const json = process.argv.includes("--json");
+
+  let addresses;
+  if (addressesFile) {
+    addresses = JSON.parse(fs.readFileSync(addressesFile, "utf8"));
+    if (!rpc) throw new Error("--rpc is required with --addresses");
+  } else {
+    const { configurator } = new DeployManager(network);
+    addresses = await configurator.load(true, false);
+    // only the secrets of the deployer are needed, for the node of the network
+    rpc = rpc || DeployPlan.nodeUrl(await configurator.resolvedCopy("settings.deployer"));
+  }
+
+  const verifier = new BytecodeVerifier(new ethers.providers.JsonRpcProvider(rpc));
+  const results = await verifier.verifyConfig(addresses);
+
+  if (json) {
+    console.log(JSON.stringify(results, null, 2));
+  } else {
+    const table = new Table({ head: ["Contract", "Address", "Status", "Artifact"] });
+    results.forEach((result) => table.push([result.name, result.address, result.status, result.artifact || result.detail || ""]));
+    console.log(table.toString());
+  }
+
+  const failures = results.filter((result) => ["mismatch", "no code"].includes(result.status));
+  if (failures.length > 0) {
+    console.error(`${failures.length} contract(s) do not match the build artifacts`);
+    process.exitCode = 1;
+  }
+}
+
+main().catch((err) => {
+  throw err;
+});
@@ -0,0 +1,83 @@
+// Usage: node scripts/verifyProposal.js --proposal proposals/12-ModuleRegistry.registerModule.json [--network kovan] [--json]
+//
+// Shows what a multisig proposal does before it is signed, without trusting the proposal file: the target is named
+// from the network config, the calldata is decoded against the build artifacts (build/ and build-legacy/), and the
+// signHash is recomputed from the multisig, target, value, calldata and nonce. Also checks that the decoded call is
+// the one the proposal describes, that the multisig and chain are those of the config and which address made each
+// signature. Exits with a non-zero code when a check fails. Nothing is read from the network itself.
+
+const ethers = require("ethers");
+
+const DeployManager = require("../utils/deploy-manager.js");
+const MultisigProposal = require("../utils/multisig-proposal.js");
+const ProposalDecoder = require("../utils/proposal-decoder.js");
+
+function option(name) {
+  const idx = process.argv.indexOf(name);
+  return idx > 0 ? process.argv[idx + 1] : undefined;
+}
+
+// Decoded values compare case-insensitively, as addresses may not be checksummed in the proposal
+const same = (a, b) => JSON.stringify(a).toLowerCase() === JSON.stringify(b).toLowerCase();
+
+async function main() {
+  // Read Command Line Arguments
+  const proposal = MultisigProposal.load(option("--proposal"));
+  const network = option("--network");
+  const json = process.argv.includes("--json");
+
+  // only the addresses of the config are needed, not its secrets
+  const config = network ? await new DeployManager(network).configurator.load(true, false) : {};
+  const decoder = new ProposalDecoder(config);
+  const decoded = decoder.decode(proposal);
+
+  const checks = [];
+  const check = (name, ok, detail) => checks.push({ name, ok, detail });
+  const signHash = proposal.expectedSignHash;
+  check("signHash", signHash === proposal.signHash, `recomputed ${signHash}, proposal ${proposal.signHash}`);
+  if (proposal.call) {
+    const { call } = decoded;
+    const matches = call && !call.unknown && call.method === proposal.call.method
+      && same(call.args.map((arg) => arg.value), proposal.call.params);
+    check("call", matches, `proposal describes ${proposal.call.contract}.${proposal.call.method}(${JSON.stringify(proposal.call.params)})`);
+  }
+  if (network) {
+    const multisig = config.contracts.MultiSigWallet;
+    check("multisig", same(proposal.multisig, multisig), `proposal ${proposal.multisig}, config ${multisig}`);
+    if (config.settings.chainId) {
+      check("chain", proposal.chainId === config.settings.chainId, `proposal ${proposal.chainId}, config ${config.settings.chainId}`);
+    }
+  }
+  const signatures = proposal.signatures.map(({ address, sig }) => {
+    let signer;
+    try {
+      signer = ethers.utils.verifyMessage(ethers.utils.arrayify(signHash), sig);
+    } catch (error) {
+      signer = `malformed: ${error.message}`;
+    }
+    check(`signature of ${address}`, same(signer, address), `made by ${signer}`);
+    return { address, signer, label: signer.startsWith("0x") ? decoder.label(signer) : undefined };
+  });
+
+  if (json) {
+    console.log(JSON.stringify({
+      decoded, nonce: proposal.nonce, signatures, checks,
+    }, null, 2));
+  } else {
+    console.log(`multisig: ${proposal.multisig}${network ? ` (${network})` : ""}, nonce ${proposal.nonce}`);
+    decoder.render(decoded).forEach((line) => console.log(line));
+    console.log(`signHash: ${signHash}`);
+    signatures.forEach(({ address, signer, label }) => console.log(`signed by ${signer}${label ? ` (${label})` : ""} for ${address}`));
+    checks.forEach(({ name, ok, detail }) => console.log(`${ok ? "OK  " : "FAIL"} ${name}: ${detail}`));
+  }
+
+  const failures = checks.filter((c) => !c.ok);
+  if (failures.length > 0) {
+    console.error(`${failures.length} check(s) failed, do not sign this proposal`);
+    process.exitCode = 1;
+  }
+}
+
+main().catch((err) => {
+  throw err;
+});
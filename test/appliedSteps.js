@@ -0,0 +1,45 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const AppliedSteps = require("../utils/applied-steps.js");
+const ConfiguratorLoader = require("../utils/configurator-loader.js");
+
+const GENESIS = "0x41800b5c3f1717687d85fc9018faac0a6e90b39deaa0b99e7fe4fe796ddeb26a";
+const OTHER_GENESIS = "0xa3c565fc15c7478862d50ccd6561e3c06b24cc509bf388941c25ea985ce32cb9";
+
+describe("AppliedSteps", () => {
+  let loader;
+
+  beforeEach(() => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "argent-steps-"));
+    loader = new ConfiguratorLoader.Local(path.join(dir, "ganache.json"));
+  });
+
+  it("should record the steps applied to a network", async () => {
+    const appliedSteps = new AppliedSteps(loader, GENESIS);
+    await appliedSteps.load();
+    assert.isUndefined(appliedSteps.last("5_deploy_modules"));
+    await appliedSteps.record("5_deploy_modules", { gitCommit: "0x01" });
+    await appliedSteps.record("5_deploy_modules", { gitCommit: "0x02" });
+
+    const reloaded = new AppliedSteps(loader, GENESIS);
+    await reloaded.load();
+    assert.equal(reloaded.steps.length, 2, "every application should be recorded");
+    assert.equal(reloaded.last("5_deploy_modules").gitCommit, "0x02");
+  });
+
+  it("should ignore the steps recorded on another chain", async () => {
+    await new AppliedSteps(loader, OTHER_GENESIS).record("2_deploy_contracts");
+    const appliedSteps = new AppliedSteps(loader, GENESIS);
+    await appliedSteps.load();
+    assert.deepEqual(appliedSteps.steps, []);
+  });
+
+  it("should not write the record of a plan", async () => {
+    const appliedSteps = new AppliedSteps(new ConfiguratorLoader.DryRun(loader), GENESIS);
+    await appliedSteps.load();
+    await appliedSteps.record("6_register_modules");
+    assert.isUndefined(await loader.loadAppliedSteps());
+  });
+});
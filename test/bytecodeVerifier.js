@@ -0,0 +1,50 @@
+const BytecodeVerifier = require("../utils/bytecode-verifier.js");
+
+const ADDRESS = "0xD9995BAE12FEe327256FFec1e3184d492bD94C31";
+const OTHER_ADDRESS = "0x4B0897b0513fdC7C541B6d9D7E929C4e5364D2dB";
+const THIRD_ADDRESS = "0x14723A09ACff6D2A60DcdF7aA4AFf308FDDC160C";
+
+const metadata = (hash) => `a2646970667358221220${hash.repeat(64)}64736f6c634300060a0033`;
+// PUSH32 <immutable> POP, then a PUSH2 whose data looks like an opcode
+const runtime = (immutable, hash = "1") => `0x6080604052${`7f${immutable.padStart(64, "0")}50`}617f00${metadata(hash)}`;
+const artifact = (contractName, deployedBytecode) => ({ contractName, deployedBytecode });
+
+describe("BytecodeVerifier", () => {
+  it("should ignore immutables", () => {
+    assert.equal(BytecodeVerifier.compare(runtime("00"), artifact("LimitStorage", runtime("00"))), "exact");
+    assert.equal(BytecodeVerifier.compare(runtime(ADDRESS.slice(2)), artifact("LimitStorage", runtime("00"))), "exact");
+  });
+
+  it("should report metadata-only differences", () => {
+    assert.equal(BytecodeVerifier.compare(runtime("00", "2"), artifact("LimitStorage", runtime("00", "1"))), "metadata");
+  });
+
+  it("should report mismatches", () => {
+    const code = runtime("00").replace("617f00", "617f01");
+    assert.equal(BytecodeVerifier.compare(code, artifact("LimitStorage", runtime("00"))), "mismatch");
+    assert.equal(BytecodeVerifier.compare(`${runtime("00")}00`, artifact("LimitStorage", runtime("00"))), "mismatch");
+  });
+
+  it("should verify the addresses of a config against the best matching artifact", async () => {
+    const codes = { [ADDRESS]: runtime("00", "2"), [THIRD_ADDRESS]: runtime("00") };
+    const provider = { getCode: async (address) => codes[address] || "0x" };
+    const artifacts = [
+      { file: "build-legacy/v1.6.0/ArgentENSManager.json", artifact: artifact("ArgentENSManager", runtime("00", "2")) },
+      { file: "build/ArgentENSManager.json", artifact: artifact("ArgentENSManager", runtime("00", "1")) },
+    ];
+    const verifier = new BytecodeVerifier(provider, artifacts);
+    const results = await verifier.verifyConfig({
+      contracts: { ENSManager: ADDRESS, TokenPriceProvider: THIRD_ADDRESS },
+      modules: { GuardianManager: OTHER_ADDRESS },
+    });
+    assert.deepEqual(results, [
+      {
+        name: "ENSManager", address: ADDRESS, status: "exact", artifact: "build-legacy/v1.6.0/ArgentENSManager.json",
+      },
+      {
+        name: "TokenPriceProvider", address: THIRD_ADDRESS, status: "unknown", detail: "no artifact",
+      },
+      { name: "GuardianManager", address: OTHER_ADDRESS, status: "no code" },
+    ]);
+  });
+});
@@ -0,0 +1,49 @@
+const ethers = require("ethers");
+
+const ChainGuard = require("../utils/chain-guard.js");
+
+const GENESIS_HASH = ethers.utils.id("kovan genesis");
+
+// Provider stand-in for a node on chain 42, without eth_chainId when `legacy`
+const node = ({ legacy = false, networkId = 42 } = {}) => ({
+  send: async (method) => {
+    if (legacy || method !== "eth_chainId") throw new Error(`the method ${method} does not exist/is not available`);
+    return "0x2a";
+  },
+  getNetwork: async () => ({ chainId: networkId }),
+  getBlock: async (number) => ({ number, hash: GENESIS_HASH }),
+});
+
+describe("ChainGuard", () => {
+  it("should read the chain id from eth_chainId", async () => {
+    assert.equal(await ChainGuard.chainId(node({ networkId: 1 })), 42, "eth_chainId should win over the network id");
+  });
+
+  it("should fall back to the network id without eth_chainId", async () => {
+    assert.equal(await ChainGuard.chainId(node({ legacy: true, networkId: 1 })), 1);
+  });
+
+  it("should accept the chain of the config", async () => {
+    await ChainGuard.verifyChain(node(), { chainId: 42, genesisHash: GENESIS_HASH.toUpperCase().replace("0X", "0x") }, "kovan");
+    await ChainGuard.verifyChain(node(), {}, "kovan");
+  });
+
+  it("should refuse a node on another chain", async () => {
+    let error;
+    await ChainGuard.verifyChain(node(), { chainId: 3 }, "ropsten").catch((e) => { error = e; });
+    assert.match(error && error.message, /The node of ropsten is on chain 42, not on chain 3/);
+  });
+
+  it("should refuse a node with another genesis block", async () => {
+    let error;
+    const genesisHash = ethers.utils.id("fork genesis");
+    await ChainGuard.verifyChain(node(), { chainId: 42, genesisHash }, "kovan").catch((e) => { error = e; });
+    assert.match(error && error.message, new RegExp(`has the genesis block ${GENESIS_HASH}, not ${genesisHash}`));
+  });
+
+  it("should refuse to deploy to a production network without a terminal", async () => {
+    let error;
+    await ChainGuard.confirmProduction("mainnet", { isTTY: undefined }).catch((e) => { error = e; });
+    assert.match(error && error.message, /mainnet is a production network, its deployment must be confirmed interactively/);
+  });
+});
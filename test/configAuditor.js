@@ -0,0 +1,77 @@
+const ethers = require("ethers");
+
+const ConfigAuditor = require("../utils/config-auditor.js");
+
+const MULTISIG = "0x4B0897b0513fdC7C541B6d9D7E929C4e5364D2dB";
+const REGISTRY = "0x14723A09ACff6D2A60DcdF7aA4AFf308FDDC160C";
+const FACTORY = "0x583031D1113aD414F02576BD6afaBfb302140225";
+const MODULE = "0x9ABb5Db4B23A866ffd649716c6ce2674b2C28C17";
+const BACKEND = "0xD9995BAE12FEe327256FFec1e3184d492bD94C31";
+
+const abi = new ethers.utils.Interface([
+  "function owner() view returns (address)",
+  "function managers(address _manager) view returns (bool)",
+  "function isRegisteredModule(address _module) view returns (bool)",
+]);
+
+// Provider stand-in for the chain state of `contracts`: { address: { owner, managers: [], modules: [] } }, all deployed
+const chain = (contracts) => ({
+  getCode: async (address) => (contracts[address] ? "0x6080" : "0x"),
+  call: async ({ to, data }) => {
+    const state = contracts[to];
+    if (!state) return "0x";
+    const { name, args } = abi.parseTransaction({ data });
+    const coder = ethers.utils.defaultAbiCoder;
+    if (name === "owner") return coder.encode(["address"], [state.owner]);
+    if (name === "managers") return coder.encode(["bool"], [(state.managers || []).includes(args[0])]);
+    return coder.encode(["bool"], [(state.modules || []).includes(args[0])]);
+  },
+});
+
+const config = (backend = { accounts: [BACKEND] }) => ({
+  contracts: { MultiSigWallet: MULTISIG, ModuleRegistry: REGISTRY, WalletFactory: FACTORY },
+  modules: { GuardianManager: MODULE },
+  backend,
+});
+
+describe("ConfigAuditor", () => {
+  it("should report a config matching the chain", async () => {
+    const provider = chain({
+      [MULTISIG]: {},
+      [REGISTRY]: { owner: MULTISIG, modules: [MODULE] },
+      [FACTORY]: { owner: MULTISIG, managers: [BACKEND] },
+      [MODULE]: {},
+    });
+    const report = await new ConfigAuditor(config(), provider).audit();
+    assert.isFalse(report.drift);
+    assert.deepEqual(report.checks.map(({ name, check }) => `${name} ${check}`), [
+      "MultiSigWallet code", "ModuleRegistry code", "WalletFactory code", "GuardianManager code",
+      "WalletFactory owner", "ModuleRegistry owner", "WalletFactory manager", "GuardianManager registered",
+    ]);
+  });
+
+  it("should report the drift of the chain from the config", async () => {
+    const provider = chain({
+      [MULTISIG]: {},
+      [REGISTRY]: { owner: BACKEND },
+      [FACTORY]: { owner: MULTISIG },
+    });
+    const report = await new ConfigAuditor(config(), provider).audit();
+    assert.isTrue(report.drift);
+    const drifted = report.checks.filter((check) => !check.ok).map(({ name, check, actual }) => [name, check, actual]);
+    assert.deepEqual(drifted, [
+      ["GuardianManager", "code", "no code"],
+      ["ModuleRegistry", "owner", BACKEND],
+      ["WalletFactory", "manager", "not a manager"],
+      ["GuardianManager", "registered", "not registered"],
+    ]);
+  });
+
+  it("should report a config without backend accounts", async () => {
+    const report = await new ConfigAuditor(config({}), chain({})).audit();
+    assert.isTrue(report.drift);
+    assert.deepInclude(report.checks, {
+      name: "backend", address: "", check: "accounts", expected: "configured", actual: "missing", ok: false,
+    });
+  });
+});
@@ -0,0 +1,93 @@
+const fs = require("fs");
+const path = require("path");
+
+const Configurator = require("../utils/configurator.js");
+const schema = require("../utils/config-schema.json");
+const { migrations, migrate, CURRENT_SCHEMA_VERSION } = require("../utils/config-migrations.js");
+
+const CONFIG_DIR = path.join(__dirname, "../utils/config");
+// base.json is not a config on its own, it is the layer shared by all networks
+const CONFIG_FILES = fs.readdirSync(CONFIG_DIR).filter((file) => file.endsWith(".json") && file !== "base.json");
+
+const readConfig = (file, dir = CONFIG_DIR) => JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+const FIXTURES_DIR = path.join(__dirname, "fixtures");
+const fileLoader = (file) => ({ name: file, load: async () => JSON.stringify(readConfig(file)) });
+
+describe("Config migrations", () => {
+  it("should target the schemaVersion of the schema", () => {
+    assert.equal(schema.properties.schemaVersion.const, CURRENT_SCHEMA_VERSION);
+    migrations.forEach((migration, idx) => assert.equal(migration.version, idx + 1, "migrations should be in order"));
+  });
+
+  CONFIG_FILES.forEach((file) => {
+    describe(file, () => {
+      it("should migrate to a valid config of the current schema", async () => {
+        const configurator = new Configurator(fileLoader(file), { bases: [fileLoader("base.json")] });
+        const config = await configurator.load();
+        assert.equal(config.schemaVersion, CURRENT_SCHEMA_VERSION);
+      });
+
+      it("should be at the current schema", () => {
+        assert.equal(readConfig(file).schemaVersion, CURRENT_SCHEMA_VERSION, "checked-in configs should not need migrations");
+      });
+
+      it("should migrate back to the original config", () => {
+        const original = migrate(readConfig(file), 0);
+        assert.deepEqual(migrate(migrate(original), 0), original);
+      });
+
+      migrations.forEach((migration) => {
+        it(`should revert migration ${migration.version} (${migration.description})`, () => {
+          const before = migrate(readConfig(file), migration.version - 1);
+          assert.deepEqual(migrate(migrate(before, migration.version), migration.version - 1), before);
+        });
+      });
+    });
+  });
+
+  it("should migrate a legacy config to the current schema", () => {
+    const legacy = readConfig("config-v1.json", FIXTURES_DIR);
+    const config = migrate(legacy);
+    assert.deepEqual(config, readConfig("config-v3.json", FIXTURES_DIR));
+    assert.deepEqual(legacy, readConfig("config-v1.json", FIXTURES_DIR), "the legacy config should not be modified");
+    assert.deepEqual(migrate(config, 1), legacy);
+  });
+
+  it("should keep the modules already in legacy.modules", () => {
+    const config = migrate({
+      schemaVersion: 1,
+      modules: { GuardianManager: "0x01", TokenTransfer: "0x02" },
+      legacy: { modules: { OldModule: "0x03" } },
+    }, 2);
+    assert.deepEqual(config.modules, { GuardianManager: "0x01" });
+    assert.deepEqual(config.legacy.modules, { OldModule: "0x03", TokenTransfer: "0x02" });
+    const reverted = migrate(config, 1);
+    assert.deepEqual(reverted.modules, { GuardianManager: "0x01", TokenTransfer: "0x02" });
+    assert.deepEqual(reverted.legacy, { modules: { OldModule: "0x03" } });
+  });
+
+  it("should refuse a retired module both in modules and legacy.modules", () => {
+    assert.throws(() => migrate({
+      schemaVersion: 1,
+      modules: { MakerManager: "0x01" },
+      legacy: { modules: { MakerManager: "0x02" } },
+    }), /modules.MakerManager and legacy.modules.MakerManager are both set/);
+  });
+
+  it("should refuse to choose between a value and an envvar", () => {
+    const config = migrate({ schemaVersion: 2, settings: { deployer: { type: "infura", options: { envvar: "INFURA_KEY" } } } });
+    assert.deepEqual(config.settings.deployer.options, { key: { $secret: { provider: "env", name: "INFURA_KEY" } } });
+    assert.throws(() => migrate({
+      schemaVersion: 2,
+      settings: { deployer: { type: "infura", options: { key: "abc", envvar: "INFURA_KEY" } } },
+    }), /settings.deployer.options has both key and envvar/);
+    assert.throws(() => migrate({
+      schemaVersion: 2,
+      settings: { privateKey: { type: "plain", options: { value: "0x01", envvar: "PKEY" } } },
+    }), /settings.privateKey.options has both value and envvar/);
+  });
+
+  it("should refuse configs newer than the current schema", () => {
+    assert.throws(() => migrate({ schemaVersion: CURRENT_SCHEMA_VERSION + 1 }), /newer than the supported version/);
+  });
+});
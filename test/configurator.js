@@ -0,0 +1,284 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const Configurator = require("../utils/configurator.js");
+const DeployPlan = require("../utils/deploy-plan.js");
+const { checkRules } = require("../utils/config-rules.js");
+const { SecretResolver, SecretVault } = require("../utils/secret-resolver.js");
+
+// In-memory loader, also recording the snapshots taken on save
+class MemoryLoader {
+  constructor(name, config) {
+    this.name = name;
+    this.json = JSON.stringify(config);
+    this.snapshots = [];
+  }
+
+  async load() {
+    return this.json;
+  }
+
+  async save(json) {
+    this.json = json;
+  }
+
+  async saveSnapshot(snapshot) {
+    this.snapshots.push(snapshot);
+  }
+}
+
+const ADDRESS = "0xD9995BAE12FEe327256FFec1e3184d492bD94C31";
+
+const BASE = {
+  schemaVersion: 3,
+  settings: {
+    lockPeriod: 480, recoveryPeriod: 480, securityPeriod: 240, feeRatio: 15,
+  },
+};
+const NETWORK = {
+  schemaVersion: 3,
+  ENS: { deployOwnRegistry: true, domain: "argent.xyz" },
+  backend: { accounts: [] },
+  multisig: { owners: [], threshold: 1 },
+  settings: { deployer: { type: "ganache" }, securityPeriod: 120 },
+};
+
+describe("Configurator", () => {
+  let network;
+  let configurator;
+
+  beforeEach(async () => {
+    network = new MemoryLoader("ganache.json", NETWORK);
+    configurator = new Configurator(network, {
+      bases: [new MemoryLoader("base.json", BASE)],
+      overrides: [{ name: "cli", config: { settings: { feeRatio: 20 } } }],
+    });
+    await configurator.load();
+  });
+
+  describe("Layers", () => {
+    it("should deep-merge the layers in order", async () => {
+      const { settings } = configurator.config;
+      assert.equal(settings.lockPeriod, 480, "base values should be inherited");
+      assert.equal(settings.securityPeriod, 120, "the network should override the base");
+      assert.equal(settings.feeRatio, 20, "overrides should override the network");
+      assert.equal(settings.deployer.type, "ganache");
+    });
+
+    it("should tell which layer each value comes from", async () => {
+      configurator.updateBackendAccounts([ADDRESS]);
+      const layers = {};
+      configurator.explain().forEach((entry) => { layers[entry.path] = entry.layer; });
+      assert.equal(layers["settings.lockPeriod"], "base.json");
+      assert.equal(layers["settings.securityPeriod"], "ganache.json");
+      assert.equal(layers["settings.feeRatio"], "cli");
+      assert.equal(layers["backend.accounts"], "unsaved");
+    });
+
+    it("should only save the changes into the loader's config", async () => {
+      configurator.updateBackendAccounts([ADDRESS]);
+      await configurator.save("test");
+      const saved = JSON.parse(network.json);
+      assert.deepEqual(saved.backend.accounts, [ADDRESS], "changes should be saved");
+      assert.equal(saved.settings.securityPeriod, 120, "the network values should be kept");
+      assert.isUndefined(saved.settings.lockPeriod, "base values should not be copied into the network config");
+      assert.isUndefined(saved.settings.feeRatio, "overrides should not be saved");
+      assert.deepEqual(network.snapshots[0].config, saved, "the snapshot should hold the saved config");
+    });
+  });
+
+  describe("Journal", () => {
+    it("should get and set values by path", async () => {
+      configurator.set("defi.maker.migration", ADDRESS, "new migration");
+      assert.equal(configurator.get("defi.maker.migration"), ADDRESS);
+      assert.equal(configurator.get("settings.deployer.type"), "ganache");
+      assert.isUndefined(configurator.get("defi.compound.comptroller"));
+    });
+
+    it("should validate the value against the schema", async () => {
+      assert.throws(() => configurator.set("contracts.BaseWallet", "0x1234"), "Invalid config value for contracts.BaseWallet");
+      assert.throws(() => configurator.set("settings.lockPeriod", "480"), "Invalid config value for settings.lockPeriod");
+      assert.throws(() => configurator.set("contracts.Unknown", ADDRESS), "Unknown config key contracts.Unknown");
+      assert.throws(() => configurator.set("ENS.deployOwnRegistry", "false"), "Invalid config value for ENS.deployOwnRegistry");
+      assert.equal(configurator.journal.length, 0, "rejected changes should not be recorded");
+    });
+
+    it("should record every change with its reason", async () => {
+      configurator.set("multisig.threshold", 2, "second signer");
+      configurator.updateInfrastructureAddresses({ BaseWallet: ADDRESS });
+      configurator.set("multisig.threshold", 2, "no-op");
+      assert.deepEqual(configurator.journal.map(({ path: keyPath, before, after }) => ({ path: keyPath, before, after })), [
+        { path: "multisig.threshold", before: 1, after: 2 },
+        { path: "contracts.BaseWallet", before: undefined, after: ADDRESS },
+      ]);
+      assert.equal(configurator.journal[0].reason, "second signer");
+    });
+
+    it("should save the changes of each save with its snapshot", async () => {
+      configurator.set("multisig.threshold", 2, "second signer");
+      await configurator.save("first");
+      configurator.updateGitHash("abc");
+      await configurator.save("second");
+      assert.deepEqual(network.snapshots.map((snapshot) => snapshot.journal.map((entry) => entry.path)), [["multisig.threshold"], ["gitCommit"]]);
+    });
+  });
+
+  describe("Secrets", () => {
+    const INFURA_KEY = "0123456789abcdef";
+    const PRIVATE_KEY = "0x4f3edf983ac636a65a842ce7c78d9aa706d3b113bce9c46f30d7d21715b23b1d";
+    let dir;
+    let loader;
+    let secrets;
+
+    beforeEach(async () => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "argent-secrets-"));
+      process.env.TEST_INFURA_KEY = INFURA_KEY;
+      process.env.SECRET_VAULT_PASSWORD = "password";
+      const vault = SecretVault.open(path.join(dir, "vault.json"), "password");
+      vault.set("deployer", PRIVATE_KEY);
+      vault.save();
+      fs.writeFileSync(path.join(dir, "upload.json"), JSON.stringify({ bucket: "argent-abi" }));
+
+      loader = new MemoryLoader("kovan.json", {
+        ...NETWORK,
+        settings: {
+          deployer: { type: "infura", options: { network: "kovan", key: { $secret: { provider: "env", name: "TEST_INFURA_KEY" } } } },
+          privateKey: { type: "plain", options: { value: { $secret: { provider: "vault", name: "deployer" } } } },
+          abiUpload: { bucket: { $secret: { provider: "file", path: "upload.json", key: "bucket" } } },
+        },
+      });
+      secrets = new Configurator(loader, {
+        bases: [new MemoryLoader("base.json", BASE)],
+        secretResolver: new SecretResolver({ baseDir: dir }),
+      });
+      await secrets.load();
+    });
+
+    afterEach(() => {
+      delete process.env.TEST_INFURA_KEY;
+      delete process.env.SECRET_VAULT_PASSWORD;
+    });
+
+    it("should resolve the secrets through their provider", async () => {
+      const { settings } = secrets.config;
+      assert.equal(settings.deployer.options.key, INFURA_KEY);
+      assert.equal(settings.privateKey.options.value, PRIVATE_KEY);
+      assert.equal(settings.abiUpload.bucket, "argent-abi");
+    });
+
+    it("should never save the resolved secrets", async () => {
+      const document = loader.json;
+      secrets.set("multisig.threshold", 2, "second signer");
+      await secrets.save("test");
+      const saved = JSON.parse(loader.json);
+      assert.deepEqual(saved.settings, JSON.parse(document).settings, "the secret references should be kept");
+      assert.notInclude(loader.json, PRIVATE_KEY);
+      assert.notInclude(JSON.stringify(loader.snapshots), INFURA_KEY);
+      assert.throws(() => secrets.set("settings.abiUpload.bucket", "other"), /is a secret reference/);
+    });
+
+    it("should show the secret references instead of their value", async () => {
+      const entry = secrets.explain().find((e) => e.path === "settings.privateKey.options.value");
+      assert.deepEqual(entry, { path: entry.path, value: { $secret: { provider: "vault", name: "deployer" } }, layer: "kovan.json" });
+    });
+
+    it("should print the secret references and redact key material", async () => {
+      const redacted = secrets.redactedConfig();
+      const { settings } = JSON.parse(loader.json);
+      ["deployer", "privateKey", "abiUpload"].forEach((key) => assert.deepEqual(redacted.settings[key], settings[key]));
+      assert.equal(secrets.config.settings.privateKey.options.value, PRIVATE_KEY, "the config should keep the resolved secrets");
+
+      const plain = new Configurator(new MemoryLoader("kovan.json", {
+        ...NETWORK,
+        settings: {
+          deployer: { type: "infura", options: { network: "kovan", key: INFURA_KEY } },
+          privateKey: { type: "plain", options: { value: PRIVATE_KEY } },
+        },
+      }), { bases: [new MemoryLoader("base.json", BASE)] });
+      await plain.load(false);
+      const printed = JSON.stringify(plain.redactedConfig());
+      assert.notInclude(printed, PRIVATE_KEY);
+      assert.notInclude(printed, INFURA_KEY);
+      assert.equal(plain.redactedConfig().settings.deployer.options.network, "kovan");
+    });
+
+    it("should redact the mnemonic and keystore password of the private key", async () => {
+      const mnemonic = "test test test test test test test test test test test junk";
+      const keystore = new Configurator(new MemoryLoader("kovan.json", {
+        ...NETWORK,
+        settings: { privateKey: { type: "keystore", options: { path: "deployer.json", password: "hunter2" } } },
+      }), { bases: [new MemoryLoader("base.json", BASE)] });
+      await keystore.load(false);
+      assert.deepEqual(keystore.redactedConfig().settings.privateKey.options, { path: "deployer.json", password: "<redacted>" });
+
+      const hd = new Configurator(new MemoryLoader("kovan.json", {
+        ...NETWORK,
+        settings: { privateKey: { type: "mnemonic", options: { mnemonic: { $secret: { provider: "env", name: "TEST_MNEMONIC" } } } } },
+      }), { bases: [new MemoryLoader("base.json", BASE)], secretResolver: new SecretResolver({ baseDir: dir }) });
+      process.env.TEST_MNEMONIC = mnemonic;
+      await hd.load(false);
+      delete process.env.TEST_MNEMONIC;
+      assert.equal(hd.config.settings.privateKey.options.mnemonic, mnemonic);
+      assert.notInclude(JSON.stringify(hd.redactedConfig()), mnemonic);
+    });
+
+    it("should resolve the node of an infura network without the other secrets", async () => {
+      const unresolved = new Configurator(loader, {
+        bases: [new MemoryLoader("base.json", BASE)],
+        secretResolver: new SecretResolver({ baseDir: dir }),
+      });
+      const config = await unresolved.load(true, false);
+      const deployer = await unresolved.resolvedCopy("settings.deployer");
+      assert.equal(DeployPlan.nodeUrl(deployer), `https://kovan.infura.io/v3/${INFURA_KEY}`);
+      assert.deepEqual(config.settings.deployer.options.key, { $secret: { provider: "env", name: "TEST_INFURA_KEY" } });
+      assert.deepEqual(config.settings.privateKey.options.value, { $secret: { provider: "vault", name: "deployer" } });
+    });
+
+    it("should fail clearly on a wrong vault password or an unknown provider", async () => {
+      process.env.SECRET_VAULT_PASSWORD = "wrong";
+      const rejection = async (promise) => promise.then(() => undefined, (err) => err.message);
+      const unlocked = new Configurator(loader, { secretResolver: new SecretResolver({ baseDir: dir }) });
+      assert.match(await rejection(unlocked.load(false)), /Cannot resolve the secret settings.privateKey.options.value: .* wrong password/);
+      assert.match(await rejection(new SecretResolver().resolve({ key: { $secret: { provider: "ssm" } } })), /Unknown secret provider "ssm"/);
+    });
+  });
+
+  describe("Rules", () => {
+    const violations = (settings) => checkRules({ settings }).map((violation) => violation.rule);
+
+    it("should accept the default settings", async () => {
+      assert.deepEqual(violations({}), []);
+      assert.deepEqual(violations(BASE.settings), []);
+    });
+
+    it("should detect settings breaking the deployment rules", async () => {
+      assert.deepEqual(violations({
+        securityPeriod: 240, securityWindow: 480, recoveryPeriod: 720, lockPeriod: 720,
+      }), ["security-window"]);
+      assert.deepEqual(violations({ recoveryPeriod: 480, lockPeriod: 240 }), ["lock-recovery"]);
+      assert.deepEqual(violations({
+        securityPeriod: 240, securityWindow: 240, recoveryPeriod: 240, lockPeriod: 240,
+      }), ["recovery-security"]);
+      assert.deepEqual(violations({ feeRatio: 10001 }), ["fee-ratio"]);
+      assert.deepEqual(violations({ defaultLimit: "1e18" }), ["default-limit"]);
+      assert.deepEqual(violations({ defaultLimit: "340282366920938463463374607431768211456" }), ["default-limit"]);
+    });
+
+    it("should reject an invalid config only when the severity is error", async () => {
+      const bases = [new MemoryLoader("base.json", BASE)];
+      const overrides = [{ name: "cli", config: { settings: { feeRatio: 20000 } } }];
+      const strict = new Configurator(new MemoryLoader("prod.json", NETWORK), { bases, overrides });
+      let error;
+      try {
+        await strict.load();
+      } catch (err) {
+        error = err;
+      }
+      assert.equal(error && error.message, "Configuration is not valid");
+      const lenient = new Configurator(new MemoryLoader("ganache.json", NETWORK), { bases, overrides, ruleSeverity: "warning" });
+      await lenient.load();
+      assert.equal(lenient.config.settings.feeRatio, 20000);
+    });
+  });
+});
@@ -0,0 +1,265 @@
+const ethers = require("ethers");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const Configurator = require("../utils/configurator.js");
+const ConfiguratorLoader = require("../utils/configurator-loader.js");
+
+// Filesystem stand-in for the subset of the AWS S3 client used by ConfiguratorLoaderS3.
+// ETags are the md5 of the content and the If-Match / If-None-Match headers are honoured like S3 does.
+class FileSystemS3 {
+  constructor(dir) {
+    this._dir = dir;
+  }
+
+  static etag(body) {
+    return `"${crypto.createHash("md5").update(body).digest("hex")}"`;
+  }
+
+  static error(code, statusCode) {
+    const error = new Error(code);
+    Object.assign(error, { code, statusCode });
+    return error;
+  }
+
+  getObject({ Bucket, Key }) {
+    const file = path.join(this._dir, Bucket, Key);
+    return {
+      promise: async () => {
+        if (!fs.existsSync(file)) throw FileSystemS3.error("NoSuchKey", 404);
+        const Body = fs.readFileSync(file);
+        return { Body, ETag: FileSystemS3.etag(Body) };
+      },
+    };
+  }
+
+  putObject({ Bucket, Key, Body }) {
+    const file = path.join(this._dir, Bucket, Key);
+    const request = {
+      httpRequest: { headers: {} },
+      on: (event, listener) => { if (event === "build") listener(); },
+      promise: async () => {
+        const { headers } = request.httpRequest;
+        const exists = fs.existsSync(file);
+        if (headers["If-None-Match"] === "*" && exists) throw FileSystemS3.error("PreconditionFailed", 412);
+        if (headers["If-Match"] && (!exists || FileSystemS3.etag(fs.readFileSync(file)) !== headers["If-Match"])) {
+          throw FileSystemS3.error("PreconditionFailed", 412);
+        }
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, Body);
+        return { ETag: FileSystemS3.etag(Body) };
+      },
+    };
+    return request;
+  }
+
+  deleteObject({ Bucket, Key }) {
+    return { promise: async () => fs.unlinkSync(path.join(this._dir, Bucket, Key)) };
+  }
+
+  listObjectsV2({ Bucket, Prefix }) {
+    const dir = path.join(this._dir, Bucket, Prefix);
+    return {
+      promise: async () => {
+        const files = fs.existsSync(dir) ? fs.readdirSync(dir) : [];
+        return { Contents: files.map((file) => ({ Key: `${Prefix}${file}` })), IsTruncated: false };
+      },
+    };
+  }
+}
+
+async function rejection(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  return undefined;
+}
+
+const CONFIG = JSON.parse(fs.readFileSync(path.join(__dirname, "../utils/config/ganache.json"), "utf8"));
+const ACCOUNT = "0xD9995BAE12FEe327256FFec1e3184d492bD94C31";
+const OTHER_ACCOUNT = "0x4B0897b0513fdC7C541B6d9D7E929C4e5364D2dB";
+
+const deploymentLock = (owner, expiresAt = Math.floor(Date.now() / 1000) + 3600) => ({
+  owner, token: owner, createdAt: Math.floor(Date.now() / 1000), expiresAt,
+});
+
+describe("ConfiguratorLoader", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "argent-config-"));
+  });
+
+  const loaders = {
+    Local: () => new ConfiguratorLoader.Local(path.join(dir, "ganache.json")),
+    S3: () => new ConfiguratorLoader.S3("argent-ganache", "config.json", new FileSystemS3(dir)),
+  };
+
+  Object.keys(loaders).forEach((type) => {
+    describe(`${type} backend`, () => {
+      let loader;
+      let configurator;
+
+      beforeEach(async () => {
+        loader = loaders[type]();
+        await loader.save(JSON.stringify(CONFIG));
+        configurator = new Configurator(loader);
+        await configurator.load();
+        configurator.setDeploymentAccount(ACCOUNT);
+      });
+
+      it("should keep a snapshot of every save", async () => {
+        await configurator.save("5_deploy_modules");
+        configurator.updateGitHash("0x01");
+        await configurator.save("7_upgrade_2_0");
+
+        const snapshots = await configurator.listSnapshots();
+        assert.equal(snapshots.length, 2, "there should be one snapshot per save");
+        assert.equal(snapshots[0].step, "5_deploy_modules", "the step should be recorded");
+        assert.equal(snapshots[0].account, ACCOUNT, "the deployment account should be recorded");
+        assert.equal(snapshots[0].gitCommit, CONFIG.gitCommit, "the git hash should be recorded");
+        assert.equal(snapshots[1].gitCommit, "0x01", "the git hash should be recorded");
+        assert.isUndefined(snapshots[0].config, "the listing should not contain the configs");
+      });
+
+      it("should read back the ledger in order", async () => {
+        // more entries than the S3 backend reads in one batch
+        const entries = Array.from({ length: 25 }, (_, i) => ({ timestamp: 1600000000 + i, txHash: ethers.utils.id(`${i}`) }));
+        for (const entry of entries) {
+          await loader.appendLedgerEntry(entry);
+        }
+        assert.deepEqual(await loader.loadLedger(), entries);
+      });
+
+      it("should diff two snapshots", async () => {
+        await configurator.save("2_deploy_contracts");
+        configurator.updateInfrastructureAddresses({ BaseWallet: ACCOUNT });
+        await configurator.save("updateBaseWallet");
+
+        const [first, second] = await configurator.listSnapshots();
+        const before = (await configurator.loadSnapshot(first.id)).config;
+        const after = (await configurator.loadSnapshot(second.id)).config;
+        const changes = Configurator.diff(before, after);
+        assert.deepEqual(changes, [{ path: "contracts.BaseWallet", before: CONFIG.contracts.BaseWallet, after: ACCOUNT }]);
+      });
+
+      it("should restore a snapshot", async () => {
+        await configurator.save("2_deploy_contracts");
+        const [snapshot] = await configurator.listSnapshots();
+        configurator.updateInfrastructureAddresses({ BaseWallet: ACCOUNT });
+        await configurator.save("updateBaseWallet");
+
+        await configurator.restore(snapshot.id);
+        const restored = JSON.parse(await loader.load());
+        assert.equal(restored.contracts.BaseWallet, CONFIG.contracts.BaseWallet, "the previous address should be restored");
+
+        const snapshots = await configurator.listSnapshots();
+        assert.equal(snapshots.length, 3, "the restore should itself be recorded");
+        assert.equal(snapshots[2].step, `restore ${snapshot.id}`);
+      });
+
+      it("should never overwrite a snapshot", async () => {
+        await loader.saveSnapshot({ id: "1600000000-0001", step: "first" });
+        try {
+          await loader.saveSnapshot({ id: "1600000000-0001", step: "second" });
+          assert.fail("the snapshot should not be overwritten");
+        } catch (error) {
+          assert.notEqual(error.message, "the snapshot should not be overwritten");
+        }
+        assert.equal((await loader.loadSnapshot("1600000000-0001")).step, "first");
+      });
+
+      it("should refuse to overwrite a config modified since it was loaded", async () => {
+        const other = new Configurator(loaders[type]());
+        await other.load();
+        other.updateInfrastructureAddresses({ BaseWallet: OTHER_ACCOUNT });
+        await other.save("updateBaseWallet");
+
+        configurator.updateInfrastructureAddresses({ BaseWallet: ACCOUNT });
+        const error = await rejection(configurator.save("updateBaseWallet"));
+        assert.match(error && error.message, /was modified since it was loaded/);
+        const saved = JSON.parse(await loaders[type]().load());
+        assert.equal(saved.contracts.BaseWallet, OTHER_ACCOUNT, "the concurrent change should be kept");
+
+        await configurator.load();
+        configurator.updateInfrastructureAddresses({ BaseWallet: ACCOUNT });
+        await configurator.save("updateBaseWallet");
+      });
+
+      it("should store the checkpoint journal of a step", async () => {
+        assert.isUndefined(await loader.loadCheckpoint("5_deploy_modules"));
+        const checkpoint = { step: "5_deploy_modules", actions: [{ id: "GuardianStorage", type: "deploy", address: ACCOUNT }] };
+        await loader.saveCheckpoint("5_deploy_modules", checkpoint);
+        assert.deepEqual(await loaders[type]().loadCheckpoint("5_deploy_modules"), checkpoint);
+        await loader.deleteCheckpoint("5_deploy_modules");
+        assert.isUndefined(await loader.loadCheckpoint("5_deploy_modules"));
+      });
+
+      it("should hold the deployment lock for a single owner", async () => {
+        const first = deploymentLock("alice@host:1");
+        const second = deploymentLock("bob@host:2");
+        await loader.acquireLock(first);
+        const error = await rejection(loaders[type]().acquireLock(second));
+        assert.match(error && error.message, /held by alice@host:1/);
+
+        await loaders[type]().releaseLock(second);
+        assert.isDefined(await rejection(loaders[type]().acquireLock(second)), "only the owner should release the lock");
+
+        await loader.releaseLock(first);
+        await loaders[type]().acquireLock(second);
+      });
+
+      it("should take over an expired deployment lock", async () => {
+        await loader.acquireLock(deploymentLock("alice@host:1", Math.floor(Date.now() / 1000) - 1));
+        await loaders[type]().acquireLock(deploymentLock("bob@host:2"));
+        const error = await rejection(loader.acquireLock(deploymentLock("carol@host:3")));
+        assert.match(error && error.message, /held by bob@host:2/);
+      });
+    });
+  });
+
+  describe("DryRun", () => {
+    it("should keep every write in memory", async () => {
+      const local = loaders.Local();
+      await local.save(JSON.stringify(CONFIG));
+      const checkpoint = { step: "5_deploy_modules", actions: [] };
+      await local.saveCheckpoint("5_deploy_modules", checkpoint);
+
+      const loader = new ConfiguratorLoader.DryRun(loaders.Local());
+      const configurator = new Configurator(loader);
+      await configurator.load();
+      configurator.updateGitHash("0x01");
+      await configurator.save("7_upgrade_2_0");
+      await loader.acquireLock(deploymentLock("alice@host:1"));
+      assert.deepEqual(await loader.loadCheckpoint("5_deploy_modules"), checkpoint, "checkpoints should be read from the loader");
+      await loader.deleteCheckpoint("5_deploy_modules");
+      assert.isUndefined(await loader.loadCheckpoint("5_deploy_modules"));
+
+      assert.equal(JSON.parse(await loader.load()).gitCommit, "0x01");
+      assert.equal((await configurator.listSnapshots()).length, 1);
+      assert.equal(JSON.parse(await local.load()).gitCommit, CONFIG.gitCommit, "the config should not be written");
+      assert.deepEqual(await local.listSnapshots(), [], "no snapshot should be written");
+      assert.deepEqual(await local.loadCheckpoint("5_deploy_modules"), checkpoint, "the checkpoint should not be deleted");
+      await local.acquireLock(deploymentLock("bob@host:2"));
+    });
+  });
+
+  describe("Pick", () => {
+    it("should only inherit the picked keys of a base layer", async () => {
+      const local = loaders.Local();
+      await local.save(JSON.stringify(CONFIG));
+      const envLoader = new ConfiguratorLoader.Local(path.join(dir, "ganache.staging.json"));
+      await envLoader.save(JSON.stringify({ schemaVersion: CONFIG.schemaVersion, contracts: { MultiSigWallet: OTHER_ACCOUNT } }));
+
+      const configurator = new Configurator(envLoader, { bases: [new ConfiguratorLoader.Pick(local, ["settings"])] });
+      const config = await configurator.load(false);
+      assert.deepEqual(config.settings, CONFIG.settings);
+      assert.deepEqual(config.contracts, { MultiSigWallet: OTHER_ACCOUNT });
+      assert.isUndefined(config.modules, "the modules of the base layer should not be inherited");
+    });
+  });
+});
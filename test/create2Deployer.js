@@ -0,0 +1,81 @@
+/* global accounts */
+const ethers = require("ethers");
+
+const Create2Deployer = require("../build/Create2Deployer");
+const Managed = require("../build/Managed");
+const ModuleRegistry = require("../build/ModuleRegistry");
+const MultiSig = require("../build/MultiSigWallet");
+const WalletFactory = require("../build/WalletFactory");
+
+const TestManager = require("../utils/test-manager");
+const DeterministicDeployer = require("../utils/deterministic-deployer.js");
+
+describe("Create2Deployer", function () {
+  this.timeout(10000);
+
+  const manager = new TestManager();
+
+  const infrastructure = accounts[0].signer;
+  const other = accounts[1].signer;
+
+  const SALT = ethers.utils.id("argent");
+
+  let deployer;
+  let create2Deployer;
+
+  const initCode = (contract, args = []) => new ethers.ContractFactory(contract.abi, contract.bytecode).getDeployTransaction(...args).data;
+
+  before(async () => {
+    deployer = manager.newDeployer();
+  });
+
+  beforeEach(async () => {
+    create2Deployer = await deployer.deploy(Create2Deployer);
+  });
+
+  it("should deploy at the address computed off-chain", async () => {
+    const args = [other.address, infrastructure.address, other.address];
+    const expected = DeterministicDeployer.computeAddress(infrastructure.address, SALT, WalletFactory, args, create2Deployer.contractAddress);
+    const onchain = await create2Deployer.computeAddress(infrastructure.address, SALT, ethers.utils.keccak256(initCode(WalletFactory, args)));
+    assert.equal(onchain, expected);
+
+    const txReceipt = await (await create2Deployer.deploy(SALT, initCode(WalletFactory, args), false)).wait();
+    const event = txReceipt.events.find((e) => e.event === "Deployed");
+    assert.equal(event.args._contract, expected);
+    assert.notEqual(await deployer.provider.getCode(expected), "0x");
+  });
+
+  it("should bind the address to the sender", async () => {
+    const mine = DeterministicDeployer.computeAddress(infrastructure.address, SALT, ModuleRegistry, [], create2Deployer.contractAddress);
+    const theirs = DeterministicDeployer.computeAddress(other.address, SALT, ModuleRegistry, [], create2Deployer.contractAddress);
+    assert.notEqual(mine, theirs);
+
+    await (await create2Deployer.from(other.address).deploy(SALT, initCode(ModuleRegistry), true)).wait();
+    assert.equal(await deployer.provider.getCode(mine), "0x", "the sender's address should still be free");
+  });
+
+  it("should hand the ownership of Owned contracts over to the sender", async () => {
+    const address = DeterministicDeployer.computeAddress(infrastructure.address, SALT, Managed, [], create2Deployer.contractAddress);
+    await (await create2Deployer.deploy(SALT, initCode(Managed), true)).wait();
+    const managed = await deployer.wrapDeployedContract(Managed, address);
+    assert.equal(await managed.owner(), infrastructure.address);
+  });
+
+  it("should list the constructor arguments on which the addresses depend", async () => {
+    const plan = await new DeterministicDeployer(deployer).plan([
+      { name: "ModuleRegistry", contract: ModuleRegistry },
+      { name: "MultiSigWallet", contract: MultiSig, args: [1, [other.address]] },
+      { name: "WalletFactory", contract: WalletFactory, args: (addresses) => [addresses.ModuleRegistry, addresses.MultiSigWallet, other.address] },
+    ]);
+    assert.deepEqual(plan.map((entry) => entry.networkInputs), [
+      [],
+      ["1", JSON.stringify([other.address])],
+      ["MultiSigWallet", JSON.stringify(other.address)],
+    ]);
+  });
+
+  it("should not deploy twice at the same address", async () => {
+    await (await create2Deployer.deploy(SALT, initCode(ModuleRegistry), true)).wait();
+    await assert.revertWith(create2Deployer.deploy(SALT, initCode(ModuleRegistry), true), "C2D: deployment failed");
+  });
+});
@@ -0,0 +1,100 @@
+/* global accounts */
+const ethers = require("ethers");
+
+const Configurator = require("../utils/configurator.js");
+const DeployPlan = require("../utils/deploy-plan.js");
+
+// Init code of a contract whose code is a single STOP, accepting any call
+const STOP_CONTRACT = "0x6001600c60003960016000f300";
+
+class MemoryLoader {
+  constructor(config) {
+    this.json = JSON.stringify(config);
+  }
+
+  async load() {
+    return this.json;
+  }
+}
+
+// Lines printed by `fn`
+async function printed(fn) {
+  const lines = [];
+  const { log } = console;
+  console.log = (...args) => lines.push(args.join(" "));
+  try {
+    await fn();
+  } finally {
+    console.log = log;
+  }
+  return lines.join("\n");
+}
+
+describe("DeployPlan", function () {
+  this.timeout(20000);
+
+  const network = accounts[0].signer;
+  const key = ethers.Wallet.createRandom().privateKey;
+
+  let registry;
+  let configurator;
+  let plan;
+
+  beforeEach(async () => {
+    const tx = await network.sendTransaction({ data: STOP_CONTRACT });
+    registry = (await network.provider.waitForTransaction(tx.hash)).contractAddress;
+    configurator = new Configurator(new MemoryLoader({
+      schemaVersion: 3,
+      contracts: { ModuleRegistry: registry },
+      settings: { deployer: { type: "ganache" } },
+    }));
+    await configurator.load(false); // a partial config, not validated
+    plan = new DeployPlan(configurator);
+  });
+
+  it("should fork the network with the deployment account funded", async () => {
+    await printed(() => plan.fork(configurator.config, key));
+    const { provider } = plan;
+    assert.equal(await provider.getCode(registry), "0x00", "the contracts of the network should be on the fork");
+    const balance = await provider.getBalance(new ethers.Wallet(key).address);
+    assert.equal(ethers.utils.formatEther(balance), "1000.0");
+    await printed(() => plan.report());
+  });
+
+  it("should report the deployments, transactions and config changes of a step", async () => {
+    await printed(() => plan.fork(configurator.config, key));
+    const wallet = new ethers.Wallet(key, plan.provider);
+    const deployment = await wallet.sendTransaction({ data: STOP_CONTRACT, gasLimit: 100000 });
+    const { contractAddress } = await plan.provider.waitForTransaction(deployment.hash);
+    const transfer = await wallet.sendTransaction({ to: registry, value: ethers.utils.parseEther("1"), gasLimit: 100000 });
+    await plan.provider.waitForTransaction(transfer.hash);
+    configurator.set("contracts.ModuleRegistry", contractAddress, "new registry");
+
+    const report = await printed(() => plan.report());
+    assert.include(report, "Deployments (1):");
+    assert.include(report, contractAddress);
+    assert.include(report, "Transactions (1):");
+    assert.match(report, /deployer\s+│ ModuleRegistry\s+│ 1\.0\s+│ 21000/);
+    assert.include(report, "Config changes (1):");
+    assert.include(report, `"${registry}"`);
+    assert.include(report, "Nothing was sent to the network and nothing was saved");
+    assert.equal(await network.provider.getCode(contractAddress), "0x", "nothing should be deployed on the network");
+  });
+
+  it("should report the error of a failed step", async () => {
+    await printed(() => plan.fork(configurator.config, key));
+    const report = await printed(() => plan.report(new Error("revert")));
+    assert.include(report, "The step failed, nothing after this error is planned: revert");
+  });
+
+  it("should not report without a fork", async () => {
+    assert.equal(await printed(() => plan.report()), "");
+  });
+
+  it("should fork the node of the deployer", async () => {
+    const infura = { type: "infura", options: { network: "kovan", key: "0123456789abcdef" } };
+    assert.equal(DeployPlan.nodeUrl(infura), "https://kovan.infura.io/v3/0123456789abcdef");
+    assert.equal(DeployPlan.nodeUrl({ type: "jsonrpc", options: { url: "http://node:8545" } }), "http://node:8545");
+    assert.equal(DeployPlan.nodeUrl({ type: "ganache" }), "http://localhost:8545");
+  });
+});
@@ -0,0 +1,61 @@
+const ethers = require("ethers");
+
+const { GasStrategy } = require("../utils/gas-strategy.js");
+
+const ACCOUNT = "0xD9995BAE12FEe327256FFec1e3184d492bD94C31";
+const gwei = (value) => ethers.utils.parseUnits(String(value), "gwei");
+
+// Provider stand-in with a node price of 50 gwei, whose estimates revert for calls to ACCOUNT
+const provider = {
+  getGasPrice: async () => gwei(50),
+  estimateGas: async (transaction) => {
+    if (transaction.to === ACCOUNT) throw new Error("VM Exception while processing transaction: revert");
+    return ethers.utils.bigNumberify(100000);
+  },
+};
+
+describe("GasStrategy", () => {
+  it("should use a fixed price", async () => {
+    assert.isTrue((await new GasStrategy(provider).gasPrice()).eq(gwei(20)), "the default price should be 20 gwei");
+    assert.isTrue((await new GasStrategy(provider, { price: { strategy: "fixed", price: 35 } }).gasPrice()).eq(gwei(35)));
+  });
+
+  it("should scale and cap the price of the provider", async () => {
+    const strategy = new GasStrategy(provider, { price: { strategy: "provider", multiplier: 1.2 } });
+    assert.isTrue((await strategy.gasPrice()).eq(gwei(60)));
+    const capped = new GasStrategy(provider, { price: { strategy: "provider", multiplier: 1.2, cap: 55 } });
+    assert.isTrue((await capped.gasPrice()).eq(gwei(55)));
+  });
+
+  it("should use the price of the current step", async () => {
+    const strategy = new GasStrategy(provider, {
+      price: { strategy: "provider" },
+      steps: { "7_upgrade_2_0": { strategy: "fixed", price: 80 } },
+    });
+    assert.isTrue((await strategy.gasPrice()).eq(gwei(50)));
+    strategy.step = "7_upgrade_2_0";
+    assert.isTrue((await strategy.gasPrice()).eq(gwei(80)));
+  });
+
+  it("should add a margin to gas estimates and refuse transactions which would revert", async () => {
+    assert.equal((await new GasStrategy(provider).gasLimit({ data: "0x6080" })).toNumber(), 120000);
+    assert.equal((await new GasStrategy(provider, { margin: 0.5 }).gasLimit({ data: "0x6080" })).toNumber(), 150000);
+    try {
+      await new GasStrategy(provider).gasLimit({ to: ACCOUNT, data: "0x" }, "addManager");
+      assert.fail("the estimate should have failed");
+    } catch (error) {
+      assert.match(error.message, /^addManager would revert/);
+    }
+  });
+
+  it("should set the price and limit of deployments", async () => {
+    const deployer = {
+      signer: { getAddress: async () => ACCOUNT },
+      _overrideDeployTransactionConfig: async (transaction) => ({ ...transaction, gasLimit: 6000000 }),
+    };
+    new GasStrategy(provider, { price: { price: 30 } }).instrument(deployer);
+    const transaction = await deployer._overrideDeployTransactionConfig({ data: "0x6080" });
+    assert.equal(transaction.gasLimit.toNumber(), 120000);
+    assert.isTrue(transaction.gasPrice.eq(gwei(30)));
+  });
+});
@@ -0,0 +1,126 @@
+const ethers = require("ethers");
+
+const GovernanceHistory = require("../utils/governance-history.js");
+const MultisigProposal = require("../utils/multisig-proposal.js");
+const ProposalDecoder = require("../utils/proposal-decoder.js");
+
+const MULTISIG = "0x4B0897b0513fdC7C541B6d9D7E929C4e5364D2dB";
+const REGISTRY = "0x14723A09ACff6D2A60DcdF7aA4AFf308FDDC160C";
+const MODULE = "0x9ABb5Db4B23A866ffd649716c6ce2674b2C28C17";
+const DEPLOYER = "0xD9995BAE12FEe327256FFec1e3184d492bD94C31";
+
+const { events } = new ethers.utils.Interface([
+  "event OwnerAdded(address indexed owner)",
+  "event OwnerRemoved(address indexed owner)",
+  "event ThresholdChanged(uint256 indexed newThreshold)",
+  "event Executed(address indexed destination, uint256 indexed value, bytes data)",
+  "event Received(uint256 indexed value, address indexed from)",
+]);
+const execute = new ethers.utils.Interface(["function execute(address _to, uint256 _value, bytes _data, bytes _signatures)"]);
+const multisigAbi = new ethers.utils.Interface(["function removeOwner(address _owner)"]);
+const registryAbi = ["function registerModule(address _module, bytes32 _name)"];
+const artifacts = [{ file: "build/ModuleRegistry.json", artifact: { contractName: "ModuleRegistry", abi: registryAbi } }];
+
+// Node stand-in holding the logs and transactions of a multisig, in a block each
+class FakeNode {
+  constructor() {
+    this.logs = [];
+    this.transactions = {};
+  }
+
+  add(transaction, logs) {
+    const hash = ethers.utils.id(`transaction ${Object.keys(this.transactions).length}`);
+    const blockNumber = Object.keys(this.transactions).length + 1;
+    this.transactions[hash] = { ...transaction, hash };
+    logs.forEach(([event, params, data = "0x"], logIndex) => this.logs.push({
+      address: MULTISIG, topics: event.encodeTopics(params), data, blockNumber, transactionHash: hash, logIndex,
+    }));
+  }
+
+  get provider() {
+    return {
+      getBlockNumber: async () => Object.keys(this.transactions).length,
+      getLogs: async ({ fromBlock, toBlock }) => this.logs.filter((log) => log.blockNumber >= fromBlock && log.blockNumber <= toBlock),
+      getTransaction: async (hash) => this.transactions[hash],
+      getBlock: async (number) => ({ timestamp: 1600000000 + number * 15 }),
+    };
+  }
+}
+
+describe("GovernanceHistory", () => {
+  let node;
+  let owners;
+  let registerModule;
+
+  before(async () => {
+    owners = [ethers.Wallet.createRandom(), ethers.Wallet.createRandom()];
+    node = new FakeNode();
+    node.add({ from: DEPLOYER, to: null, creates: MULTISIG }, [
+      [events.OwnerAdded, [owners[0].address]],
+      [events.OwnerAdded, [owners[1].address]],
+      [events.ThresholdChanged, [2]],
+    ]);
+
+    const name = ethers.utils.formatBytes32String("GuardianManager");
+    registerModule = new ethers.utils.Interface(registryAbi).functions.registerModule.encode([MODULE, name]);
+    const proposal = new MultisigProposal({
+      multisig: MULTISIG, to: REGISTRY, data: registerModule, nonce: 0, signHash: MultisigProposal.signHash(MULTISIG, REGISTRY, 0, registerModule, 0),
+    });
+    for (const owner of owners) await proposal.sign(owner);
+    const data = execute.functions.execute.encode([REGISTRY, 0, registerModule, proposal.packedSignatures]);
+    node.add({ from: DEPLOYER, to: MULTISIG, data }, [
+      [events.Executed, [REGISTRY, 0], ethers.utils.defaultAbiCoder.encode(["bytes"], [registerModule])],
+    ]);
+    node.add({ from: MODULE, to: MULTISIG, value: ethers.utils.parseEther("2") }, [[events.Received, [ethers.utils.parseEther("2"), MODULE]]]);
+  });
+
+  it("should rebuild the governance log of a multisig from its deployment", async () => {
+    const decoder = new ProposalDecoder({ contracts: { ModuleRegistry: REGISTRY }, modules: { GuardianManager: MODULE } }, artifacts);
+    const history = await new GovernanceHistory(node.provider, MULTISIG, decoder).load();
+
+    assert.deepEqual(history.owners, owners.map((owner) => owner.address));
+    assert.equal(history.threshold, 2);
+    assert.deepEqual(history.entries.map((entry) => entry.event), ["OwnerAdded", "OwnerAdded", "ThresholdChanged", "Executed", "Received"]);
+    assert.deepEqual(history.entries.map((entry) => entry.blockNumber), [1, 1, 1, 2, 3]);
+    assert.equal(history.entries[0].timestamp, 1600000015);
+
+    const executed = history.entries[3];
+    assert.equal(executed.summary, "ModuleRegistry.registerModule(modules.GuardianManager, \"GuardianManager\")");
+    assert.equal(executed.data, registerModule);
+    assert.equal(executed.sender, DEPLOYER);
+    assert.sameDeepMembers(executed.signers, owners.map((owner) => ({ address: owner.address, owner: true })));
+    assert.include(history.entries[4], { value: ethers.utils.parseEther("2").toString(), from: MODULE });
+  });
+
+  it("should not recover signers without the deployment of the multisig", async () => {
+    const history = await new GovernanceHistory(node.provider, MULTISIG, new ProposalDecoder({}, artifacts)).load(2);
+    assert.deepEqual(history.entries.map((entry) => entry.event), ["Executed", "Received"]);
+    assert.isUndefined(history.entries[0].signers);
+    assert.equal(history.entries[0].summary, `ModuleRegistry.registerModule(${MODULE}, "GuardianManager")`);
+  });
+
+  it("should check the signers against the owners before the transaction", async () => {
+    const removing = new FakeNode();
+    removing.add({ from: DEPLOYER, to: null, creates: MULTISIG }, [
+      [events.OwnerAdded, [owners[0].address]],
+      [events.OwnerAdded, [owners[1].address]],
+      [events.ThresholdChanged, [2]],
+    ]);
+    // the second owner signs its own removal
+    const removeOwner = multisigAbi.functions.removeOwner.encode([owners[1].address]);
+    const proposal = new MultisigProposal({
+      multisig: MULTISIG, to: MULTISIG, data: removeOwner, nonce: 0, signHash: MultisigProposal.signHash(MULTISIG, MULTISIG, 0, removeOwner, 0),
+    });
+    for (const owner of owners) await proposal.sign(owner);
+    const data = execute.functions.execute.encode([MULTISIG, 0, removeOwner, proposal.packedSignatures]);
+    removing.add({ from: DEPLOYER, to: MULTISIG, data }, [
+      [events.OwnerRemoved, [owners[1].address]],
+      [events.Executed, [MULTISIG, 0], ethers.utils.defaultAbiCoder.encode(["bytes"], [removeOwner])],
+    ]);
+
+    const history = await new GovernanceHistory(removing.provider, MULTISIG, new ProposalDecoder({}, artifacts)).load();
+    assert.deepEqual(history.owners, [owners[0].address]);
+    const executed = history.entries.find((entry) => entry.event === "Executed");
+    assert.sameDeepMembers(executed.signers, owners.map((owner) => ({ address: owner.address, owner: true })));
+  });
+});
@@ -0,0 +1,46 @@
+const fs = require("fs");
+const path = require("path");
+
+const ManifestEngine = require("../utils/manifest-engine.js");
+
+const MANIFEST_DIR = path.join(__dirname, "../deployment/manifests");
+const MANIFEST_FILES = fs.readdirSync(MANIFEST_DIR).filter((file) => file.endsWith(".json"));
+
+const ADDRESS = "0xD9995BAE12FEe327256FFec1e3184d492bD94C31";
+
+describe("ManifestEngine", () => {
+  MANIFEST_FILES.forEach((file) => {
+    it(`should accept the ${file} manifest`, () => {
+      const manifest = JSON.parse(fs.readFileSync(path.join(MANIFEST_DIR, file), "utf8"));
+      ManifestEngine.validate(manifest);
+    });
+  });
+
+  it("should reject references to contracts deployed later", () => {
+    const manifest = {
+      contracts: [
+        { name: "GuardianManager", artifact: "build/GuardianManager", args: [{ $contract: "GuardianStorage" }] },
+        { name: "GuardianStorage", artifact: "build/GuardianStorage" },
+      ],
+    };
+    assert.throws(() => ManifestEngine.validate(manifest),
+      "GuardianManager references GuardianStorage, which is not deployed before it by the manifest");
+    const outside = { contracts: [{ name: "BaseWallet", artifact: "../BaseWallet" }] };
+    assert.throws(() => ManifestEngine.validate(outside), "Deployment manifest is not valid");
+  });
+
+  it("should resolve config and contract references", () => {
+    const manager = { network: "kovan", configurator: { config: { settings: { securityPeriod: 240 }, modules: { TransferManager: ADDRESS } } } };
+    const engine = new ManifestEngine(manager);
+    assert.equal(engine.resolve({ $config: "settings.securityPeriod", default: 0 }), 240);
+    assert.equal(engine.resolve({ $config: "settings.securityWindow", default: 0 }), 0);
+    assert.equal(engine.resolve({ $contract: "GuardianStorage" }, { GuardianStorage: ADDRESS }), ADDRESS);
+    assert.equal(engine.resolve("literal"), "literal");
+    const previous = { $config: "modules.TransferManager", default: "0x0", networks: ["staging", "prod"] };
+    assert.equal(engine.resolve(previous), "0x0", "values restricted to other networks should use the default");
+    manager.network = "prod";
+    assert.equal(engine.resolve(previous), ADDRESS);
+    assert.throws(() => engine.resolve({ $config: "defi.compound.comptroller" }),
+      "Config value defi.compound.comptroller is required by the deployment manifest");
+  });
+});
@@ -0,0 +1,166 @@
+const ethers = require("ethers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const MultisigExecutor = require("../utils/multisigexecutor.js");
+const MultisigProposal = require("../utils/multisig-proposal.js");
+
+const MULTISIG = "0x4B0897b0513fdC7C541B6d9D7E929C4e5364D2dB";
+const REGISTRY = "0x14723A09ACff6D2A60DcdF7aA4AFf308FDDC160C";
+const MODULE = "0x9ABb5Db4B23A866ffd649716c6ce2674b2C28C17";
+const abi = ["function registerModule(address _module, bytes32 _name)"];
+
+// Wrapper stand-ins of a MultiSigWallet with a threshold of 2 at nonce 3, and of a ModuleRegistry
+const multisigWrapper = (nonce = 3, owners = []) => ({
+  contractAddress: MULTISIG,
+  contract: {
+    nonce: async () => ethers.utils.bigNumberify(nonce),
+    threshold: async () => ethers.utils.bigNumberify(2),
+    isOwner: async (address) => owners.some((owner) => owner.address === address),
+    provider: { getNetwork: async () => ({ chainId: 42 }) },
+  },
+  verboseWaitForTransaction: async (transaction) => transaction,
+});
+const registryWrapper = {
+  contractAddress: REGISTRY,
+  contract: { interface: new ethers.utils.Interface(abi) },
+  _contract: { contractName: "ModuleRegistry" },
+};
+const params = [MODULE, ethers.utils.formatBytes32String("ApprovedTransfer")];
+
+describe("MultisigProposal", () => {
+  let owners;
+
+  before(() => {
+    owners = [ethers.Wallet.createRandom(), ethers.Wallet.createRandom()];
+  });
+
+  it("should propose a call at the current nonce of the multisig", async () => {
+    const proposal = await MultisigProposal.create(multisigWrapper(), registryWrapper, "registerModule", params);
+    const data = registryWrapper.contract.interface.functions.registerModule.encode(params);
+    assert.include(proposal, {
+      chainId: 42, multisig: MULTISIG, to: REGISTRY, value: "0", data, nonce: 3, threshold: 2,
+    });
+    assert.equal(proposal.signHash, MultisigExecutor.signHash(MULTISIG, REGISTRY, 0, data, 3));
+    assert.deepEqual(proposal.call, { contract: "ModuleRegistry", method: "registerModule", params });
+    assert.equal(proposal.fileName, "3-ModuleRegistry.registerModule.json");
+  });
+
+  it("should collect signatures in a file and pack them by signer address", async () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "proposal-")), "proposal.json");
+    (await MultisigProposal.create(multisigWrapper(), registryWrapper, "registerModule", params)).save(file);
+    for (const owner of owners) {
+      const proposal = MultisigProposal.load(file);
+      await proposal.sign(owner);
+      proposal.save(file);
+    }
+
+    const proposal = MultisigProposal.load(file);
+    assert.deepEqual(proposal.signatures.map((signature) => signature.address), owners.map((owner) => owner.address));
+    proposal.signatures.forEach(({ address, sig }) => {
+      assert.equal(ethers.utils.verifyMessage(ethers.utils.arrayify(proposal.signHash), sig), address);
+    });
+    const sorted = [...proposal.signatures].sort((s1, s2) => (ethers.utils.bigNumberify(s1.address).lt(s2.address) ? -1 : 1));
+    assert.equal(proposal.packedSignatures, `0x${sorted.map((signature) => signature.sig.slice(2)).join("")}`);
+
+    try {
+      await proposal.sign(owners[0]);
+      assert.fail("a second signature of the same owner should be refused");
+    } catch (error) {
+      assert.include(error.message, "has already signed");
+    }
+  });
+
+  it("should only submit proposals with enough signatures at the current nonce", async () => {
+    const sent = [];
+    const gas = { send: async (contract, method, args) => sent.push({ method, args }) };
+    const proposal = await MultisigProposal.create(multisigWrapper(), registryWrapper, "registerModule", params);
+    await proposal.sign(owners[0]);
+
+    const submit = async (wrapper, message) => {
+      try {
+        await new MultisigExecutor(wrapper, undefined, false, gas, { resumable: true }).submit(proposal);
+        assert.fail("the proposal should not be submitted");
+      } catch (error) {
+        assert.include(error.message, message);
+      }
+    };
+    await submit(multisigWrapper(3, owners), "1 signature(s), 2 are required");
+    await proposal.sign(owners[1]);
+    await submit(multisigWrapper(4, owners), "signed for the nonce 3 and the multisig is at 4: it is stale");
+    assert.isEmpty(sent);
+
+    await new MultisigExecutor(multisigWrapper(3, owners), undefined, false, gas, { resumable: true }).submit(proposal);
+    assert.deepEqual(sent, [{ method: "execute", args: [REGISTRY, "0", proposal.data, proposal.packedSignatures] }]);
+  });
+
+  it("should name the signatures which the multisig would reject", async () => {
+    const outsider = ethers.Wallet.createRandom();
+    const proposal = await MultisigProposal.create(multisigWrapper(), registryWrapper, "registerModule", params);
+    const executor = new MultisigExecutor(multisigWrapper(3, owners), undefined, false, undefined, { resumable: true });
+    const rejects = async (signatures, message, verifier = executor) => {
+      try {
+        await verifier.verify(new MultisigProposal({ ...proposal, signatures }));
+        assert.fail("the signatures should be rejected");
+      } catch (error) {
+        assert.include(error.message, message);
+      }
+    };
+    const sign = async (wallet) => new MultisigProposal({ ...proposal, signatures: [] }).sign(wallet);
+    const [sig0, sig1, sigOutsider] = [await sign(owners[0]), await sign(owners[1]), await sign(outsider)];
+
+    await rejects([{ address: owners[0].address, sig: "0x1234" }], `Signature 1 of ${owners[0].address} (0x1234) is malformed`);
+    const lowV = `${sig0.slice(0, -2)}0${parseInt(sig0.slice(-2), 16) - 27}`;
+    await rejects([{ address: owners[0].address, sig: lowV }], `Signature 1 of ${owners[0].address} (${lowV}) is malformed: invalid v`);
+    await rejects([{ address: owners[0].address, sig: sig1 }], `Signature 1 of ${owners[0].address} (${sig1}) was made by ${owners[1].address}`);
+    await rejects([{ address: outsider.address, sig: sigOutsider }], `(${sigOutsider}) was made by ${outsider.address}, which is not an owner`);
+    await rejects([
+      { address: owners[0].address, sig: sig0 },
+      { address: owners[0].address, sig: sig0 },
+    ], `Signature 2 of ${owners[0].address} (${sig0}) is a duplicate of signature 1`);
+    await rejects([{ address: owners[0].address, sig: sig0 }], "1 signature(s), 2 are required");
+    const mainnet = multisigWrapper(3, owners);
+    mainnet.contract.provider = { getNetwork: async () => ({ chainId: 1 }) };
+    const mainnetExecutor = new MultisigExecutor(mainnet, undefined, false, undefined, { resumable: true });
+    await rejects([{ address: owners[0].address, sig: sig0 }], "The proposal is for the chain 42, the multisig is on chain 1", mainnetExecutor);
+
+    const tampered = new MultisigProposal({ ...proposal, data: "0x", signatures: [] });
+    await tampered.sign(owners[0]);
+    try {
+      await executor.verify(tampered);
+      assert.fail("the proposal should be rejected");
+    } catch (error) {
+      assert.include(error.message, "does not match its transaction");
+    }
+  });
+
+  it("should propose transfers from the multisig and submit them once signed", async () => {
+    const sent = [];
+    const gas = { send: async (contract, method, args) => sent.push({ method, args }) };
+    const executor = new MultisigExecutor(multisigWrapper(3, owners), undefined, false, gas, { resumable: true });
+    executor.proposalDir = fs.mkdtempSync(path.join(os.tmpdir(), "proposals-"));
+    const amount = ethers.utils.parseEther("1.5");
+    const file = path.join(executor.proposalDir, `3-${MODULE}.json`);
+
+    try {
+      await executor.executeTransfer(MODULE, amount);
+      assert.fail("the transfer should wait for signatures");
+    } catch (error) {
+      assert.include(error.message, `waiting for signatures in ${file}`);
+    }
+    const proposal = MultisigProposal.load(file);
+    assert.include(proposal, { to: MODULE, value: amount.toString(), data: "0x" });
+    assert.isUndefined(proposal.call);
+    for (const owner of owners) await proposal.sign(owner);
+    proposal.save(file);
+
+    await executor.executeTransfer(MODULE, amount);
+    assert.deepEqual(sent, [{ method: "execute", args: [MODULE, amount.toString(), "0x", proposal.packedSignatures] }]);
+  });
+
+  it("should refuse to propose from steps which cannot be run again", async () => {
+    assert.throws(() => new MultisigExecutor(multisigWrapper(), undefined, false, {}), /multisig.autosign is off .* scripts\/multisigProposal.js/);
+    assert.doesNotThrow(() => new MultisigExecutor(multisigWrapper(), undefined, true, {}));
+  });
+});
@@ -0,0 +1,113 @@
+const ethers = require("ethers");
+
+const NonceManager = require("../utils/nonce-manager.js");
+
+const ACCOUNT = "0xD9995BAE12FEe327256FFec1e3184d492bD94C31";
+const TARGET = "0x4B0897b0513fdC7C541B6d9D7E929C4e5364D2dB";
+
+// Chain stand-in: sent transactions stay in the mempool until mine(), dropped ones are forgotten
+class FakeChain {
+  constructor(nonce = 5) {
+    this.nonce = nonce;
+    this.mempool = {};
+    this.blocks = [[]];
+    this.receipts = {};
+  }
+
+  mine(transaction) {
+    delete this.mempool[transaction.hash];
+    this.blocks.push([transaction]);
+    this.receipts[transaction.hash] = { transactionHash: transaction.hash, blockNumber: this.blocks.length - 1, status: 1 };
+    this.nonce = Math.max(this.nonce, transaction.nonce + 1);
+  }
+
+  get provider() {
+    return {
+      getTransactionCount: async (address, blockTag) => (blockTag === "pending"
+        ? Math.max(this.nonce, ...Object.values(this.mempool).map((tx) => tx.nonce + 1))
+        : this.nonce),
+      getBlockNumber: async () => this.blocks.length - 1,
+      getBlock: async (number) => ({ transactions: this.blocks[number] }),
+      getTransaction: async (hash) => this.mempool[hash] || null,
+      getTransactionReceipt: async (hash) => this.receipts[hash] || null,
+    };
+  }
+
+  get signer() {
+    return {
+      provider: this.provider,
+      getAddress: async () => ACCOUNT,
+      sendTransaction: async (request) => {
+        const transaction = { ...request, from: ACCOUNT, hash: ethers.utils.id(JSON.stringify(request)) };
+        this.mempool[transaction.hash] = transaction;
+        return transaction;
+      },
+    };
+  }
+}
+
+describe("NonceManager", () => {
+  let chain;
+  let manager;
+
+  beforeEach(() => {
+    chain = new FakeChain();
+    manager = new NonceManager(chain.signer, { dropTimeout: 0, pollInterval: 0 });
+  });
+
+  it("should assign consecutive nonces to transactions sent together", async () => {
+    const sent = await Promise.all([0, 1, 2].map((index) => manager.sendTransaction({ to: TARGET, data: `0x0${index}` })));
+    assert.deepEqual(sent.map((tx) => tx.nonce), [5, 6, 7]);
+
+    const failing = new NonceManager({ ...chain.signer, sendTransaction: async () => { throw new Error("rejected"); } });
+    try {
+      await failing.sendTransaction({ to: TARGET, data: "0x" });
+      assert.fail("the transaction should have been rejected");
+    } catch (error) {
+      assert.equal(error.message, "rejected");
+    }
+    assert.isUndefined(failing._nonce, "the next nonce should be read again from the node after a failed send");
+  });
+
+  it("should wait for the receipts of transactions mined in any order", async () => {
+    const first = await manager.sendTransaction({ to: TARGET, data: "0x01" });
+    const second = await manager.sendTransaction({ to: TARGET, data: "0x02" });
+    chain.mine(second);
+    chain.mine(first);
+    const receipts = await Promise.all([manager.wait(first), manager.wait(second)]);
+    assert.deepEqual(receipts.map((receipt) => receipt.transactionHash), [first.hash, second.hash]);
+  });
+
+  it("should accept a replacement sending the same call", async () => {
+    const transaction = await manager.sendTransaction({ to: TARGET, data: "0x01", gasPrice: 1 });
+    chain.mine({ ...transaction, hash: ethers.utils.id("sped up"), gasPrice: 2 });
+    const receipt = await manager.wait(transaction);
+    assert.equal(receipt.transactionHash, ethers.utils.id("sped up"));
+  });
+
+  it("should fail when a transaction is replaced by another call", async () => {
+    const transaction = await manager.sendTransaction({ to: TARGET, data: "0x01" });
+    chain.mine({ ...transaction, hash: ethers.utils.id("cancelled"), data: "0x" });
+    try {
+      await manager.wait(transaction);
+      assert.fail("the wait should have failed");
+    } catch (error) {
+      assert.include(error.message, `was replaced by ${ethers.utils.id("cancelled")}`);
+    }
+  });
+
+  it("should send dropped transactions again at a higher price", async () => {
+    const transaction = await manager.sendTransaction({ to: TARGET, data: "0x01", gasPrice: 1000 });
+    delete chain.mempool[transaction.hash];
+    const mineResent = setInterval(() => Object.values(chain.mempool).forEach((tx) => chain.mine(tx)), 0);
+    try {
+      const receipt = await manager.wait(transaction);
+      const resent = chain.blocks[receipt.blockNumber][0];
+      assert.notEqual(resent.hash, transaction.hash);
+      assert.equal(resent.nonce, transaction.nonce);
+      assert.equal(resent.gasPrice.toNumber(), 1125);
+    } finally {
+      clearInterval(mineResent);
+    }
+  });
+});
@@ -0,0 +1,68 @@
+const ethers = require("ethers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const Configurator = require("../utils/configurator.js");
+const PrivateKeyLoader = require("../utils/private-key-loader.js");
+
+const MNEMONIC = "test test test test test test test test test test test junk";
+const FIRST_KEY = "0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80";
+const SECOND_KEY = "0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d";
+
+const configLoader = (privateKey) => ({
+  name: "test.json",
+  load: async () => JSON.stringify({
+    schemaVersion: 3,
+    ENS: { deployOwnRegistry: true },
+    backend: { accounts: [] },
+    multisig: { owners: [], threshold: 1 },
+    settings: { deployer: { type: "ganache" }, privateKey },
+  }),
+});
+
+describe("PrivateKeyLoader", () => {
+  it("should derive the key of a mnemonic", async () => {
+    assert.equal(await new PrivateKeyLoader({ type: "mnemonic", options: { mnemonic: MNEMONIC } }).fetch(), FIRST_KEY);
+    const options = { mnemonic: MNEMONIC, path: "m/44'/60'/0'/0/1" };
+    assert.equal(await new PrivateKeyLoader({ type: "mnemonic", options }).fetch(), SECOND_KEY);
+  });
+
+  it("should reject an invalid mnemonic", async () => {
+    const options = { mnemonic: "test test test test test test test test test test test test" };
+    const error = await new PrivateKeyLoader({ type: "mnemonic", options }).fetch().catch((err) => err);
+    assert.match(error.message, /not a valid BIP-39 mnemonic/);
+  });
+
+  it("should unlock a V3 keystore", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "argent-keystore-"));
+    const json = await new ethers.Wallet(FIRST_KEY).encrypt("passphrase", { scrypt: { N: 1024 } });
+    fs.writeFileSync(path.join(dir, "deployer.json"), json);
+
+    const loader = new PrivateKeyLoader({ type: "keystore", options: { path: "deployer.json", password: "passphrase" } }, dir);
+    assert.equal(await loader.fetch(), FIRST_KEY);
+    const wrong = new PrivateKeyLoader({ type: "keystore", options: { path: "deployer.json", password: "wrong" } }, dir);
+    const error = await wrong.fetch().catch((err) => err);
+    assert.match(error.message, /Cannot decrypt the keystore/);
+  });
+
+  it("should validate the private key settings", async () => {
+    const valid = [
+      { type: "plain", options: { value: FIRST_KEY } },
+      { type: "keystore", options: { path: "deployer.json", password: { $secret: { provider: "env", name: "KEYSTORE_PASSWORD" } } } },
+      { type: "mnemonic", options: { mnemonic: { $secret: { provider: "vault", name: "mnemonic" } }, path: "m/44'/60'/0'/0/3" } },
+    ];
+    for (const privateKey of valid) {
+      await new Configurator(configLoader(privateKey)).load();
+    }
+    const invalid = [
+      { type: "keystore", options: { password: "passphrase" } },
+      { type: "mnemonic", options: { mnemonic: MNEMONIC, path: "44'/60'/0'/0/0" } },
+      { type: "mnemonic" },
+    ];
+    for (const privateKey of invalid) {
+      const error = await new Configurator(configLoader(privateKey)).load().catch((err) => err);
+      assert.equal(error && error.message, "Configuration is not valid", `${JSON.stringify(privateKey)} should be rejected`);
+    }
+  });
+});
@@ -0,0 +1,79 @@
+const ethers = require("ethers");
+
+const ProposalDecoder = require("../utils/proposal-decoder.js");
+
+const REGISTRY = "0x14723A09ACff6D2A60DcdF7aA4AFf308FDDC160C";
+const MODULE = "0x9ABb5Db4B23A866ffd649716c6ce2674b2C28C17";
+const OWNER = "0xD9995BAE12FEe327256FFec1e3184d492bD94C31";
+const OTHER = "0x4B0897b0513fdC7C541B6d9D7E929C4e5364D2dB";
+
+const config = {
+  contracts: { ModuleRegistry: REGISTRY, ENSManager: "0x0000000000000000000000000000000000000000" },
+  modules: { GuardianManager: MODULE },
+  multisig: { owners: [OWNER], threshold: 1 },
+};
+const artifact = (file, contractName, abi) => ({ file, artifact: { contractName, abi } });
+const artifacts = [
+  artifact("build/ModuleRegistry.json", "ModuleRegistry", [
+    "function registerModule(address _module, bytes32 _name)",
+    "function setAuthorised(address[] _accounts, bool _authorised)",
+  ]),
+  artifact("build-legacy/v1.6.0/LegacyRegistry.json", "LegacyRegistry", ["function registerModule(address _module, bytes32 _name)"]),
+  artifact("build/MultiSigWallet.json", "MultiSigWallet", ["function execute(address _to, uint256 _value, bytes _data, bytes _signatures)"]),
+];
+const encode = (signature, args) => new ethers.utils.Interface([`function ${signature}`]).functions[signature.split("(")[0]].encode(args);
+
+describe("ProposalDecoder", () => {
+  const decoder = new ProposalDecoder(config, artifacts);
+  const registerModule = encode("registerModule(address _module, bytes32 _name)", [MODULE, ethers.utils.formatBytes32String("GuardianManager")]);
+
+  it("should name the target and the addresses of the config", () => {
+    assert.equal(decoder.label(REGISTRY.toLowerCase()), "contracts.ModuleRegistry");
+    assert.equal(decoder.label(OWNER), "multisig.owners[0]");
+    assert.isUndefined(decoder.label("0x0000000000000000000000000000000000000000"), "unset addresses should not be named");
+  });
+
+  it("should decode calldata with the artifact of the target first", () => {
+    const decoded = decoder.decode({ to: REGISTRY, data: registerModule });
+    assert.equal(decoded.label, "contracts.ModuleRegistry");
+    assert.include(decoded.call, {
+      contract: "ModuleRegistry", method: "registerModule", signature: "registerModule(address,bytes32)", ambiguous: false,
+    });
+    assert.deepEqual(decoded.call.args, [
+      {
+        name: "_module", type: "address", value: MODULE, hint: "modules.GuardianManager",
+      },
+      {
+        name: "_name", type: "bytes32", value: ethers.utils.formatBytes32String("GuardianManager"), hint: "\"GuardianManager\"",
+      },
+    ]);
+
+    const unknownTarget = decoder.decode({ to: OTHER, data: registerModule });
+    assert.isUndefined(unknownTarget.label);
+    assert.isTrue(unknownTarget.call.ambiguous, "the selector of an unknown target matches two contracts");
+  });
+
+  it("should add hints to address lists and nested calls", () => {
+    const { call } = decoder.decode({ to: REGISTRY, data: encode("setAuthorised(address[] _accounts, bool _authorised)", [[OWNER, OTHER], true]) });
+    assert.equal(call.args[0].hint, "multisig.owners[0], ?");
+
+    const execute = encode("execute(address _to, uint256 _value, bytes _data, bytes _signatures)", [REGISTRY, 0, registerModule, "0x"]);
+    const nested = decoder.decode({ to: OTHER, data: execute });
+    assert.equal(nested.call.args[2].hint, "call of ModuleRegistry.registerModule(address,bytes32)");
+  });
+
+  it("should render transfers and unknown calls", () => {
+    const transfer = decoder.render(decoder.decode({ to: OWNER, value: ethers.utils.parseEther("1.5"), data: "0x" }));
+    assert.deepEqual(transfer, [
+      `to:       ${OWNER} (multisig.owners[0])`,
+      "value:    1.5 ETH",
+      "call:     none, ETH transfer",
+    ]);
+    const unknown = decoder.render(decoder.decode({ to: OTHER, data: "0x12345678" }));
+    assert.deepEqual(unknown, [
+      `to:       ${OTHER} (not in the config)`,
+      "value:    0.0 ETH",
+      "call:     unknown function 0x12345678, matching no build artifact",
+    ]);
+  });
+});
@@ -0,0 +1,91 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const ConfiguratorLoader = require("../utils/configurator-loader.js");
+const StepCheckpoint = require("../utils/step-checkpoint.js");
+
+// Deployer stand-in deploying contracts at sequential addresses, failing after `failAfter` deployments
+class FakeDeployer {
+  constructor(failAfter = Infinity) {
+    this.deployed = [];
+    this.wrapped = [];
+    this._failAfter = failAfter;
+    this.provider = { getCode: async (address) => (this.deployed.includes(address) ? "0x60806040" : "0x") };
+  }
+
+  async deploy(contract) {
+    if (this.deployed.length >= this._failAfter) throw new Error(`Cannot deploy ${contract.contractName}`);
+    const address = `0x${String(this.deployed.length + 1).padStart(40, "0")}`;
+    this.deployed.push(address);
+    return { contractAddress: address, _contract: contract };
+  }
+
+  async wrapDeployedContract(contract, address) {
+    this.wrapped.push(address);
+    return { contractAddress: address, _contract: contract, wrapped: true };
+  }
+}
+
+const CONTRACTS = ["GuardianStorage", "TransferStorage", "GuardianManager"].map((contractName) => ({ contractName }));
+const STEP = "5_deploy_modules";
+
+async function runStep(loader, deployer, transactions) {
+  const checkpoint = new StepCheckpoint(loader, STEP, deployer);
+  await checkpoint.load();
+  const wrappers = [];
+  for (const contract of CONTRACTS) {
+    wrappers.push(await checkpoint.deploy(contract, {}, "0x01", 240));
+    await checkpoint.transaction(`register ${contract.contractName}`, async () => {
+      transactions.push(contract.contractName);
+      return { transactionHash: `0x${contract.contractName}` };
+    });
+  }
+  await checkpoint.complete();
+  return wrappers;
+}
+
+describe("StepCheckpoint", () => {
+  let loader;
+
+  beforeEach(() => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "argent-checkpoint-"));
+    loader = new ConfiguratorLoader.Local(path.join(dir, "ganache.json"));
+  });
+
+  it("should resume a crashed step after its last completed action", async () => {
+    const deployer = new FakeDeployer(2);
+    const transactions = [];
+    const error = await runStep(loader, deployer, transactions).catch((err) => err);
+    assert.equal(error && error.message, "Cannot deploy GuardianManager");
+    const checkpoint = await loader.loadCheckpoint(STEP);
+    assert.deepEqual(checkpoint.actions.map((action) => action.id),
+      ["GuardianStorage", "register GuardianStorage", "TransferStorage", "register TransferStorage"]);
+
+    const resumed = new FakeDeployer();
+    resumed.deployed = deployer.deployed.slice();
+    const wrappers = await runStep(loader, resumed, transactions);
+    assert.deepEqual(wrappers.map((wrapper) => !!wrapper.wrapped), [true, true, false], "completed deployments should be skipped");
+    assert.deepEqual(wrappers.map((wrapper) => wrapper.contractAddress), resumed.deployed, "the partial addresses should be kept");
+    assert.deepEqual(transactions, ["GuardianStorage", "TransferStorage", "GuardianManager"], "each transaction should be sent once");
+    assert.isUndefined(await loader.loadCheckpoint(STEP), "the journal should be deleted once the step completes");
+  });
+
+  it("should start over after a reset", async () => {
+    const deployer = new FakeDeployer(1);
+    await runStep(loader, deployer, []).catch(() => {});
+    const checkpoint = new StepCheckpoint(loader, STEP, deployer);
+    await checkpoint.reset();
+    await checkpoint.load();
+    assert.deepEqual(checkpoint.actions, []);
+  });
+
+  it("should refuse to reuse a deployment made with different arguments", async () => {
+    const deployer = new FakeDeployer(1);
+    await runStep(loader, deployer, []).catch(() => {});
+    const checkpoint = new StepCheckpoint(loader, STEP, deployer);
+    await checkpoint.load();
+    const error = await checkpoint.deploy(CONTRACTS[0], {}, "0x01", 480).catch((err) => err);
+    assert.match(error && error.message, /deployed by 5_deploy_modules with different arguments/);
+  });
+});
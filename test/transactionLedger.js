@@ -0,0 +1,96 @@
+const ethers = require("ethers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const ConfiguratorLoader = require("../utils/configurator-loader.js");
+const TransactionLedger = require("../utils/transaction-ledger.js");
+
+const ACCOUNT = "0xD9995BAE12FEe327256FFec1e3184d492bD94C31";
+const GAS_PRICE = ethers.utils.parseUnits("20", "gwei");
+const ABI = ["function addManager(address _manager)"];
+
+// Deployer stand-in mining every transaction in its own block
+class FakeDeployer {
+  constructor() {
+    this.block = 0;
+  }
+
+  async deploy(contract) {
+    const receipt = await this._waitForDeployTransaction(this._transaction("0x60806040"));
+    return this.wrapDeployedContract(contract, receipt.contractAddress);
+  }
+
+  async _waitForDeployTransaction() {
+    return this._receipt();
+  }
+
+  wrapDeployedContract(contract, address) {
+    return {
+      contractAddress: address,
+      _contract: contract,
+      contract: { interface: new ethers.utils.Interface(contract.abi) },
+      verboseWaitForTransaction: async () => this._receipt(),
+    };
+  }
+
+  _transaction(data, to) {
+    return {
+      hash: ethers.utils.id(`${this.block}`), from: ACCOUNT, to, data, gasPrice: GAS_PRICE,
+    };
+  }
+
+  _receipt() {
+    this.block += 1;
+    return { blockNumber: this.block, gasUsed: ethers.utils.bigNumberify(100000), contractAddress: ACCOUNT };
+  }
+}
+
+describe("TransactionLedger", () => {
+  let loader;
+
+  beforeEach(() => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "argent-ledger-"));
+    loader = new ConfiguratorLoader.Local(path.join(dir, "ganache.json"));
+  });
+
+  it("should record the deployments and transactions of a deployer", async () => {
+    const fakeDeployer = new FakeDeployer();
+    const deployer = new TransactionLedger(loader, "ganache", "3_setup_contracts").instrument(fakeDeployer);
+
+    const wrapper = await deployer.deploy({ contractName: "WalletFactory", abi: ABI, bytecode: "0x6080" });
+    const data = wrapper.contract.interface.functions.addManager.encode([ACCOUNT]);
+    await wrapper.verboseWaitForTransaction(deployer._transaction(data, ACCOUNT), "Set the manager of the WalletFactory");
+
+    const entries = await new TransactionLedger(loader, "ganache").load();
+    assert.deepEqual(entries.map((entry) => [entry.contract, entry.method, entry.block]),
+      [["WalletFactory", "constructor", 1], ["WalletFactory", "addManager", 2]]);
+    assert.equal(entries[0].address, ACCOUNT);
+    assert.equal(entries[0].constructorArguments, "0x6040", "the deployment data should end with the constructor arguments");
+    assert.equal(entries[0].bytecodeHash, ethers.utils.keccak256("0x6080"));
+    assert.equal(entries[1].source, "3_setup_contracts");
+    assert.equal(entries[1].label, "Set the manager of the WalletFactory");
+    assert.equal(entries[1].cost, "0.002", "the cost should be the gas used at the gas price");
+    assert.equal(fakeDeployer.deploy, FakeDeployer.prototype.deploy, "the deployer itself should not be modified");
+  });
+
+  it("should filter entries by source, contract and date", () => {
+    const entries = [
+      { source: "5_deploy_modules", contract: "GuardianStorage", timestamp: Date.parse("2020-09-01T10:00:00Z") / 1000 },
+      { source: "5_deploy_modules", contract: "TransferManager", timestamp: Date.parse("2020-09-02T10:00:00Z") / 1000 },
+      { source: "register", contract: "ModuleRegistry", timestamp: Date.parse("2020-09-03T10:00:00Z") / 1000 },
+    ];
+    assert.equal(TransactionLedger.filter(entries, { source: "5_deploy_modules" }).length, 2);
+    assert.equal(TransactionLedger.filter(entries, { contract: "ModuleRegistry" }).length, 1);
+    assert.equal(TransactionLedger.filter(entries, { from: "2020-09-02", to: "2020-09-03" }).length, 2, "the end date should be inclusive");
+  });
+
+  it("should export entries as CSV", () => {
+    const csv = TransactionLedger.toCsv([{
+      timestamp: 0, network: "kovan", source: "register", contract: "ModuleRegistry", label: "Register \"TransferManager\", v2",
+    }]);
+    const lines = csv.trim().split("\n");
+    assert.equal(lines[0], "date,network,source,contract,method,label,txHash,block,from,to,gasUsed,gasPrice,cost");
+    assert.equal(lines[1], "1970-01-01T00:00:00.000Z,kovan,register,ModuleRegistry,,\"Register \"\"TransferManager\"\", v2\",,,,,,,");
+  });
+});
@@ -0,0 +1,131 @@
+const ethers = require("ethers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const VerificationBundle = require("../utils/verification-bundle.js");
+
+const ADDRESS = "0xD9995BAE12FEe327256FFec1e3184d492bD94C31";
+const REGISTRY = "0x4B0897b0513fdC7C541B6d9D7E929C4e5364D2dB";
+
+const SOURCES = {
+  "contracts/modules/LimitStorage.sol": "pragma solidity ^0.6.10;\nimport \"./common/BaseModule.sol\";\ncontract LimitStorage {}\n",
+  "contracts/modules/common/BaseModule.sol": "pragma solidity ^0.6.10;\nimport { SafeMath } from \"@openzeppelin/contracts/math/SafeMath.sol\";\n",
+  "node_modules/@openzeppelin/contracts/math/SafeMath.sol": "pragma solidity ^0.6.0;\n",
+  "lib/other/ERC20.sol": "pragma solidity >=0.5.4 <0.7.0;\ncontract ERC20 {}\n",
+};
+const ABI = [{ type: "constructor", inputs: [{ name: "_registry", type: "address" }, { name: "_period", type: "uint256" }] }];
+
+describe("VerificationBundle", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "argent-verification-"));
+    Object.keys(SOURCES).forEach((file) => {
+      fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+      fs.writeFileSync(path.join(dir, file), SOURCES[file]);
+    });
+  });
+
+  it("should collect the imported sources with the settings of the compile scripts", () => {
+    const bundle = new VerificationBundle([], dir);
+    const limitStorage = bundle.standardInput({
+      contractName: "LimitStorage",
+      sourcePath: "/home/builder/argent-contracts/contracts/modules/LimitStorage.sol",
+      compiler: { name: "solc", version: "0.6.10+commit.00c0fcaf.Emscripten.clang" },
+    });
+    assert.deepEqual(Object.keys(limitStorage.input.sources), [
+      "contracts/modules/LimitStorage.sol",
+      "contracts/modules/common/BaseModule.sol",
+      "@openzeppelin/contracts/math/SafeMath.sol",
+    ]);
+    assert.equal(limitStorage.target, "contracts/modules/LimitStorage.sol:LimitStorage");
+    assert.equal(limitStorage.compilerVersion, "v0.6.10+commit.00c0fcaf");
+    assert.deepEqual(limitStorage.optimizer, { enabled: true, runs: 999 });
+
+    const erc20 = bundle.standardInput({ contractName: "ERC20", sourcePath: "/tmp/build/lib/other/ERC20.sol" });
+    assert.equal(erc20.compilerVersion, "v0.5.4+commit.9549d8ff");
+    assert.deepEqual(erc20.optimizer, { enabled: true, runs: 200 });
+  });
+
+  it("should use the source names and settings of the metadata", () => {
+    const unitName = "/home/builder/argent-contracts/lib/other/ERC20.sol";
+    const metadata = {
+      language: "Solidity",
+      compiler: { version: "0.5.4+commit.9549d8ff" },
+      sources: { [unitName]: { keccak256: ethers.utils.keccak256(ethers.utils.toUtf8Bytes("changed")) } },
+      settings: {
+        compilationTarget: { [unitName]: "ERC20" }, evmVersion: "byzantium", libraries: {}, optimizer: { enabled: true, runs: 999 },
+      },
+    };
+    const { input, target, warnings } = new VerificationBundle([], dir).standardInput({ contractName: "ERC20", metadata: JSON.stringify(metadata) });
+    assert.deepEqual(input.sources, { [unitName]: { content: SOURCES["lib/other/ERC20.sol"] } });
+    assert.equal(input.settings.evmVersion, "byzantium");
+    assert.deepEqual(input.settings.optimizer, { enabled: true, runs: 999 });
+    assert.isUndefined(input.settings.compilationTarget);
+    assert.equal(target, `${unitName}:ERC20`);
+    assert.deepEqual(warnings, ["lib/other/ERC20.sol differs from the source ERC20 was compiled from"]);
+  });
+
+  it("should write the bundle of the deployments recorded in the ledger", () => {
+    const artifact = {
+      contractName: "LimitStorage", bytecode: "0x6080", abi: [], sourcePath: "contracts/modules/LimitStorage.sol",
+    };
+    const entries = [
+      { source: "5_deploy_modules", method: "addManager", contract: "LimitStorage" },
+      {
+        source: "5_deploy_modules",
+        method: "constructor",
+        contract: "LimitStorage",
+        address: ADDRESS,
+        bytecodeHash: ethers.utils.keccak256("0x6080"),
+        constructorArguments: "0x00ff",
+        txHash: "0x01",
+      },
+      {
+        source: "7_upgrade_2_0", method: "constructor", contract: "LimitStorage", address: REGISTRY, constructorArguments: "0x",
+      },
+    ];
+    const deployments = VerificationBundle.fromLedger(entries, "5_deploy_modules");
+    assert.equal(deployments.length, 1);
+
+    const bundle = new VerificationBundle([{ file: "build/LimitStorage.json", artifact }], dir);
+    const written = bundle.write(path.join(dir, "verification", "test"), deployments[0]);
+    assert.equal(written.dir, path.join(dir, "verification", "test", `LimitStorage-${ADDRESS}`));
+    const verification = JSON.parse(fs.readFileSync(path.join(written.dir, "verification.json"), "utf8"));
+    assert.equal(verification.contract, "contracts/modules/LimitStorage.sol:LimitStorage");
+    assert.equal(verification.compilerVersion, "v0.6.10+commit.00c0fcaf");
+    assert.equal(verification.constructorArguments, "00ff");
+    assert.equal(verification.step, "5_deploy_modules");
+    const input = JSON.parse(fs.readFileSync(path.join(written.dir, "standard-input.json"), "utf8"));
+    assert.equal(Object.keys(input.sources).length, 3);
+
+    assert.throws(() => bundle.write(dir, { ...deployments[0], bytecodeHash: ethers.utils.keccak256("0x6081") }), /No artifact of LimitStorage/);
+  });
+
+  it("should recover constructor arguments of older deployments from the manifest and the config", () => {
+    fs.mkdirSync(path.join(dir, "build"));
+    fs.writeFileSync(path.join(dir, "build/LimitStorage.json"), JSON.stringify({ contractName: "LimitStorage", abi: ABI }));
+    const manifest = {
+      contracts: [
+        {
+          name: "LimitStorage", artifact: "build/LimitStorage", args: [{ $config: "contracts.ModuleRegistry" }, 24], config: "modules.LimitStorage",
+        },
+        {
+          name: "ApprovedTransfer",
+          artifact: "build/LimitStorage",
+          args: [{ $config: "modules.LimitStorage" }, 24],
+          config: "modules.ApprovedTransfer",
+        },
+        { name: "NotDeployed", artifact: "build/LimitStorage", config: "modules.NotDeployed" },
+      ],
+    };
+    const config = { contracts: { ModuleRegistry: REGISTRY }, modules: { LimitStorage: ADDRESS, ApprovedTransfer: REGISTRY } };
+    const [limitStorage, approvedTransfer, ...others] = VerificationBundle.fromManifest(manifest, config, "test", dir);
+    assert.equal(others.length, 0);
+    assert.equal(limitStorage.address, ADDRESS);
+    assert.equal(limitStorage.constructorArguments, ethers.utils.defaultAbiCoder.encode(["address", "uint256"], [REGISTRY, 24]));
+    assert.isUndefined(approvedTransfer.constructorArguments);
+    assert.match(approvedTransfer.warnings[0], /modules.LimitStorage/);
+  });
+});
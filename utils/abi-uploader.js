@@ -48,7 +48,19 @@ class ABIUploaderNone {
   async upload(contract, folder) { }
 }
 
+// Only reports uploads to `record`, for deployment plans (see DeployPlan)
+class ABIUploaderDryRun {
+  constructor(record) {
+    this._record = record;
+  }
+
+  async upload(contractWrapper, folder) {
+    this._record(`ABI of ${contractWrapper._contract.contractName} at ${contractWrapper.contractAddress} to ${folder}`);
+  }
+}
+
 module.exports = {
   S3: ABIUploaderS3,
   None: ABIUploaderNone,
+  DryRun: ABIUploaderDryRun,
 };
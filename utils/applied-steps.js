@@ -0,0 +1,34 @@
+// Record of the deployment steps applied to a network, kept through the config loader next to the config:
+// { genesis, steps: [{ step, appliedAt, gitCommit, account }] }. The record is bound to the genesis block of the
+// chain, so that a record left by a previous chain with the same network name (e.g. a restarted ganache) is ignored.
+class AppliedSteps {
+  constructor(loader, genesis) {
+    this._loader = loader;
+    this._genesis = genesis;
+    this._steps = [];
+  }
+
+  async load() {
+    const record = await this._loader.loadAppliedSteps();
+    if (record && record.genesis !== this._genesis) {
+      console.log(`Ignoring the applied steps recorded for ${this._loader.name} on another chain (genesis ${record.genesis})`);
+    }
+    this._steps = record && record.genesis === this._genesis ? record.steps : [];
+  }
+
+  get steps() {
+    return this._steps;
+  }
+
+  // Returns the last application of `step`, or undefined if it was never applied
+  last(step) {
+    return this._steps.filter((applied) => applied.step === step).pop();
+  }
+
+  async record(step, details = {}) {
+    this._steps.push({ step, appliedAt: Math.floor(Date.now() / 1000), ...details });
+    await this._loader.saveAppliedSteps({ genesis: this._genesis, steps: this._steps });
+  }
+}
+
+module.exports = AppliedSteps;
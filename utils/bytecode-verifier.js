@@ -0,0 +1,135 @@
+const fs = require("fs");
+const path = require("path");
+
+const ROOT_DIR = path.join(__dirname, "..");
+
+// CBOR metadata appended by solc: bzzr0 (<= 0.5.8, e.g. 0.5.4), bzzr1 (>= 0.5.9) and ipfs (0.6), each in hex
+const METADATA_PATTERNS = [
+  /a165627a7a72305820[0-9a-f]{64}0029/g,
+  /a265627a7a72315820[0-9a-f]{64}64736f6c6343[0-9a-f]{6}0032/g,
+  /a264697066735822[0-9a-f]{68}64736f6c6343[0-9a-f]{6}0033/g,
+];
+// Unlinked library references, e.g. __$53aea86b7d70b31448b230b20ae141a537$__ or __SafeMath______________________________
+const LIBRARY_PLACEHOLDER = /__[$A-Za-z0-9_:./]{36}__/g;
+const PUSH1 = 0x60;
+const PUSH32 = 0x7f;
+
+const strip = (code) => (code || "").replace(/^0x/, "").toLowerCase();
+
+// Hex ranges ([start, end[) of `code` matched by `pattern`
+function ranges(code, pattern) {
+  const found = [];
+  const regex = new RegExp(pattern.source, "g");
+  let match = regex.exec(code);
+  while (match !== null) {
+    found.push([match.index, match.index + match[0].length]);
+    match = regex.exec(code);
+  }
+  return found;
+}
+
+// Immutables are PUSH32 placeholders filled with zeros in the artifact and set by the constructor on chain.
+// Uses the compiler's immutableReferences when the artifact has them, otherwise walks the instructions.
+function immutableRanges(code, artifact) {
+  const references = artifact.immutableReferences;
+  if (references) {
+    return [].concat(...Object.values(references)).map(({ start, length }) => [start * 2, (start + length) * 2]);
+  }
+  const found = [];
+  for (let pc = 0; pc < code.length / 2; pc += 1) {
+    const opcode = parseInt(code.substr(pc * 2, 2), 16);
+    if (opcode >= PUSH1 && opcode <= PUSH32) {
+      const size = opcode - PUSH1 + 1;
+      if (opcode === PUSH32 && /^0{64}$/.test(code.substr((pc + 1) * 2, 64))) found.push([(pc + 1) * 2, (pc + 33) * 2]);
+      pc += size;
+    }
+  }
+  return found;
+}
+
+function mask(code, maskedRanges) {
+  let masked = code;
+  maskedRanges.forEach(([start, end]) => {
+    masked = masked.slice(0, start) + "0".repeat(end - start) + masked.slice(end);
+  });
+  return masked;
+}
+
+// Compares the runtime code deployed at the configured addresses to the deployedBytecode of the build artifacts.
+// Metadata hashes, immutables and library addresses are ignored; a contract is
+// - "exact" when its code matches an artifact,
+// - "metadata" when it only differs from an artifact by its metadata (e.g. built from other source paths or comments),
+// - "mismatch" when it matches no artifact, "no code" when nothing is deployed at its address,
+// - "unknown" when there is no artifact to compare it to.
+// Candidate artifacts are those named after the config key (e.g. modules.GuardianManager), possibly with the
+// Argent prefix (contracts.ENSManager is an ArgentENSManager), in build/ and every build-legacy/ version.
+class BytecodeVerifier {
+  constructor(provider, artifacts = BytecodeVerifier.loadArtifacts()) {
+    this._provider = provider;
+    this._artifacts = artifacts;
+  }
+
+  // [{ file, artifact }] of build/ and build-legacy/*/ with runtime code
+  static loadArtifacts(rootDir = ROOT_DIR) {
+    const dirs = ["build"];
+    const legacyDir = path.join(rootDir, "build-legacy");
+    if (fs.existsSync(legacyDir)) {
+      fs.readdirSync(legacyDir).sort().forEach((version) => dirs.push(path.join("build-legacy", version)));
+    }
+    const artifacts = [];
+    dirs.filter((dir) => fs.existsSync(path.join(rootDir, dir))).forEach((dir) => {
+      fs.readdirSync(path.join(rootDir, dir)).filter((file) => file.endsWith(".json")).forEach((file) => {
+        const artifact = JSON.parse(fs.readFileSync(path.join(rootDir, dir, file), "utf8"));
+        if (strip(artifact.deployedBytecode)) artifacts.push({ file: path.join(dir, file), artifact });
+      });
+    });
+    return artifacts;
+  }
+
+  // Compares runtime `code` to an artifact: "exact", "metadata" or "mismatch"
+  static compare(code, artifact) {
+    const onChain = strip(code);
+    const expected = strip(artifact.deployedBytecode);
+    if (onChain.length !== expected.length) return "mismatch";
+    if (onChain === expected) return "exact";
+    // immutables and library addresses are set at deployment
+    const variable = immutableRanges(expected, artifact).concat(ranges(expected, LIBRARY_PLACEHOLDER));
+    if (mask(onChain, variable) === mask(expected, variable)) return "exact";
+    const metadata = variable.concat(...METADATA_PATTERNS.map((pattern) => ranges(expected, pattern)));
+    return mask(onChain, metadata) === mask(expected, metadata) ? "metadata" : "mismatch";
+  }
+
+  // Verifies the addresses of `config.contracts` and `config.modules`, or of a flat { name: address } map
+  async verifyConfig(config) {
+    const addresses = config.contracts || config.modules ? { ...config.contracts, ...config.modules } : config;
+    const results = [];
+    // unset addresses are zero in the configs
+    for (const name of Object.keys(addresses).filter((key) => !/^0x0{40}$/.test(addresses[key]))) {
+      results.push(await this.verify(name, addresses[name]));
+    }
+    return results;
+  }
+
+  async verify(name, address) {
+    const code = await this._provider.getCode(address);
+    if (strip(code) === "") return { name, address, status: "no code" };
+    const candidates = this._artifacts.filter(({ artifact }) => [name, `Argent${name}`].includes(artifact.contractName));
+    if (candidates.length === 0) {
+      return {
+        name, address, status: "unknown", detail: "no artifact",
+      };
+    }
+    const compared = candidates.map(({ file, artifact }) => ({ file, status: BytecodeVerifier.compare(code, artifact) }));
+    const best = ["exact", "metadata"].map((status) => compared.find((c) => c.status === status)).find((c) => c);
+    if (best) {
+      return {
+        name, address, status: best.status, artifact: best.file,
+      };
+    }
+    return {
+      name, address, status: "mismatch", detail: `compared to ${candidates.map((c) => c.file).join(", ")}`,
+    };
+  }
+}
+
+module.exports = BytecodeVerifier;
@@ -0,0 +1,40 @@
+const ethers = require("ethers");
+const inquirer = require("inquirer");
+
+// eth_chainId when the node supports it: ethers v4 only reads the network id (net_version), which can differ
+async function chainId(provider) {
+  try {
+    return ethers.utils.bigNumberify(await provider.send("eth_chainId", [])).toNumber();
+  } catch (error) {
+    return (await provider.getNetwork()).chainId;
+  }
+}
+
+// Checks that `provider` is on the chain of the config (settings.chainId and settings.genesisHash), so that a
+// misconfigured node cannot run the steps of a network on another one
+async function verifyChain(provider, settings, network) {
+  const { chainId: expectedChainId, genesisHash } = settings;
+  if (expectedChainId !== undefined) {
+    const actual = await chainId(provider);
+    if (actual !== expectedChainId) {
+      throw new Error(`The node of ${network} is on chain ${actual}, not on chain ${expectedChainId} (settings.chainId)`);
+    }
+  }
+  if (genesisHash) {
+    const genesis = await provider.getBlock(0);
+    if (genesis.hash.toLowerCase() !== genesisHash.toLowerCase()) {
+      throw new Error(`The node of ${network} has the genesis block ${genesis.hash}, not ${genesisHash} (settings.genesisHash)`);
+    }
+  }
+}
+
+// Nothing is sent to a production network (settings.production) before its name is typed
+async function confirmProduction(network, stdin = process.stdin) {
+  if (!stdin.isTTY) throw new Error(`${network} is a production network, its deployment must be confirmed interactively`);
+  const { name } = await inquirer.prompt([{
+    type: "input", name: "name", message: `${network} is a production network, type its name to continue:`,
+  }]);
+  if (name !== network) throw new Error(`Deployment to ${network} not confirmed`);
+}
+
+module.exports = { chainId, verifyChain, confirmProduction };
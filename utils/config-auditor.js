@@ -0,0 +1,131 @@
+const ethers = require("ethers");
+
+// Views of Owned, Managed and ModuleRegistry read by the audit
+const AUDIT_ABI = new ethers.utils.Interface([
+  "function owner() view returns (address)",
+  "function managers(address _manager) view returns (bool)",
+  "function isRegisteredModule(address _module) view returns (bool)",
+]);
+
+// Infrastructure contracts whose ownership is transferred to the MultiSig during deployment
+const OWNED_CONTRACTS = [
+  "WalletFactory",
+  "ENSResolver",
+  "ENSManager",
+  "TokenPriceProvider",
+  "ModuleRegistry",
+  "CompoundRegistry",
+  "MakerRegistry",
+  "TokenPriceStorage",
+];
+
+// Entries of `config.modules` that are storages and therefore not registered in the ModuleRegistry
+const STORAGE_CONTRACTS = [
+  "GuardianStorage",
+  "TransferStorage",
+  "LimitStorage",
+  "TokenPriceStorage",
+];
+
+// Calls on contracts without code (or with an unexpected ABI) revert; these are reported as drift, not thrown
+async function call(provider, address, method, args = []) {
+  const fn = AUDIT_ABI.functions[method];
+  try {
+    return fn.decode(await provider.call({ to: address, data: fn.encode(args) }))[0];
+  } catch (error) {
+    return `error: ${error.reason || error.message}`;
+  }
+}
+
+class ConfigAuditor {
+  constructor(config, provider) {
+    this._config = config;
+    this._provider = provider;
+    this._checks = [];
+  }
+
+  async audit() {
+    this._checks = [];
+    const contracts = this._config.contracts || {};
+    const modules = this._config.modules || {};
+    const addresses = { ...contracts, ...modules };
+
+    for (const name in addresses) {
+      await this._checkCode(name, addresses[name]);
+    }
+
+    const multisig = contracts.MultiSigWallet;
+    for (const name of OWNED_CONTRACTS) {
+      if (addresses[name]) {
+        await this._checkOwner(name, addresses[name], multisig);
+      }
+    }
+
+    if (contracts.ENSManager && contracts.WalletFactory) {
+      await this._checkManager("ENSManager", contracts.ENSManager, contracts.WalletFactory);
+    }
+    const { accounts } = this._config.backend || {};
+    if (!Array.isArray(accounts)) this._record("backend", "", "accounts", "configured", "missing", false);
+    for (const account of accounts || []) {
+      if (contracts.WalletFactory) {
+        await this._checkManager("WalletFactory", contracts.WalletFactory, account);
+      }
+      if (modules.TokenPriceStorage) {
+        await this._checkManager("TokenPriceStorage", modules.TokenPriceStorage, account);
+      }
+    }
+
+    if (contracts.ModuleRegistry) {
+      for (const name in modules) {
+        if (!STORAGE_CONTRACTS.includes(name)) {
+          await this._checkRegistration(name, modules[name], contracts.ModuleRegistry);
+        }
+      }
+    }
+
+    return {
+      drift: this._checks.some((check) => !check.ok),
+      checks: this._checks,
+    };
+  }
+
+  async _checkCode(name, address) {
+    const code = await this._provider.getCode(address);
+    const deployed = code !== "0x";
+    this._record(name, address, "code", "deployed", deployed ? "deployed" : "no code", deployed);
+  }
+
+  async _checkOwner(name, address, expectedOwner) {
+    const owner = await call(this._provider, address, "owner");
+    this._record(name, address, "owner", expectedOwner, owner, ConfigAuditor._sameAddress(owner, expectedOwner));
+  }
+
+  async _checkManager(name, address, manager) {
+    const isManager = await call(this._provider, address, "managers", [manager]);
+    const actual = { true: manager, false: "not a manager" }[isManager] || isManager;
+    this._record(name, address, "manager", manager, actual, isManager === true);
+  }
+
+  async _checkRegistration(name, address, registry) {
+    const registered = await call(this._provider, registry, "isRegisteredModule", [address]);
+    const actual = { true: "registered", false: "not registered" }[registered] || registered;
+    this._record(name, address, "registered", "registered", actual, registered === true);
+  }
+
+  _record(name, address, check, expected, actual, ok) {
+    this._checks.push({
+      name,
+      address,
+      check,
+      expected,
+      actual,
+      ok,
+    });
+  }
+
+  static _sameAddress(a, b) {
+    return typeof a === "string" && typeof b === "string" && a.toLowerCase() === b.toLowerCase();
+  }
+}
+
+module.exports = ConfigAuditor;
@@ -0,0 +1,146 @@
+// Migrations of the deployment config schema, in order. Migrations return a new config and leave theirs unchanged.
+// Migration `n` brings a config from schemaVersion `n - 1` to `n` (`up`) and back (`down`).
+// Configs written before versioning was introduced have no schemaVersion and are at version 0.
+
+// Modules that are no longer deployed nor understood by the deployment steps
+const RETIRED_MODULES = ["TokenTransfer", "MakerManager"];
+
+const envSecret = (name) => ({ $secret: { provider: "env", name } });
+const isSecret = (value, provider) => !!value && !!value.$secret && value.$secret.provider === provider;
+
+// Copy of `object` with the keys accepted by `filter` only
+const pick = (object, filter) => Object.keys(object || {})
+  .filter(filter)
+  .reduce((picked, key) => ({ ...picked, [key]: object[key] }), {});
+
+// `options` with the variable of options.envvar as an env secret in `field`. Both used to be allowed, the field
+// winning over the variable: such configs are refused rather than one of them silently dropped.
+function envvarToSecret(options, field, path) {
+  if (!options || !options.envvar) return options;
+  if (options[field] !== undefined) {
+    throw new Error(`${path} has both ${field} and envvar, remove the one which is not used before migrating the config`);
+  }
+  return { ...pick(options, (key) => key !== "envvar"), [field]: envSecret(options.envvar) };
+}
+
+// `options` with the env secret of `field` as options.envvar
+function secretToEnvvar(options, field) {
+  return { ...pick(options, (key) => key !== field), envvar: options[field].$secret.name };
+}
+
+const migrations = [
+  {
+    version: 1,
+    description: "Introduce schemaVersion",
+    up: (config) => config,
+    down: (config) => config,
+  },
+  {
+    version: 2,
+    description: "Move retired modules from modules to legacy.modules",
+    up: (config) => {
+      const retired = pick(config.modules, (name) => RETIRED_MODULES.includes(name));
+      if (Object.keys(retired).length === 0) return config;
+      // modules already in legacy.modules are kept, and the same module in both could not be migrated back
+      const legacyModules = (config.legacy && config.legacy.modules) || {};
+      const collision = Object.keys(retired).find((name) => name in legacyModules);
+      if (collision) {
+        throw new Error(`modules.${collision} and legacy.modules.${collision} are both set, remove one before migrating the config`);
+      }
+      return {
+        ...config,
+        modules: pick(config.modules, (name) => !(name in retired)),
+        legacy: { ...config.legacy, modules: { ...legacyModules, ...retired } },
+      };
+    },
+    down: (config) => {
+      const legacyModules = (config.legacy && config.legacy.modules) || {};
+      const retired = pick(legacyModules, (name) => RETIRED_MODULES.includes(name));
+      if (Object.keys(retired).length === 0) return config;
+      const migrated = { ...config, modules: { ...config.modules, ...retired } };
+      const legacy = pick(config.legacy, (key) => key !== "modules");
+      const remaining = pick(legacyModules, (name) => !(name in retired));
+      if (Object.keys(remaining).length > 0) legacy.modules = remaining;
+      return Object.keys(legacy).length > 0 ? { ...migrated, legacy } : pick(migrated, (key) => key !== "legacy");
+    },
+  },
+  {
+    version: 3,
+    description: "Replace envvar options and s3 private keys with $secret references",
+    up: (config) => {
+      if (!config.settings) return config;
+      const { deployer, privateKey } = config.settings;
+      const settings = { ...config.settings };
+      if (deployer && deployer.options) {
+        settings.deployer = { ...deployer, options: envvarToSecret(deployer.options, "key", "settings.deployer.options") };
+      }
+      if (privateKey && privateKey.type === "plain" && privateKey.options) {
+        settings.privateKey = { ...privateKey, options: envvarToSecret(privateKey.options, "value", "settings.privateKey.options") };
+      }
+      if (privateKey && privateKey.type === "s3") {
+        const { bucket, key } = privateKey.options;
+        settings.privateKey = { type: "plain", options: { value: { $secret: { provider: "s3", bucket, key } } } };
+      }
+      return { ...config, settings };
+    },
+    down: (config) => {
+      if (!config.settings) return config;
+      const { deployer, privateKey } = config.settings;
+      const settings = { ...config.settings };
+      if (deployer && deployer.options && isSecret(deployer.options.key, "env")) {
+        settings.deployer = { ...deployer, options: secretToEnvvar(deployer.options, "key") };
+      }
+      const value = privateKey && privateKey.options && privateKey.options.value;
+      if (isSecret(value, "env")) {
+        settings.privateKey = { ...privateKey, options: secretToEnvvar(privateKey.options, "value") };
+      }
+      if (isSecret(value, "s3")) {
+        settings.privateKey = { type: "s3", options: { bucket: value.$secret.bucket, key: value.$secret.key } };
+      }
+      return { ...config, settings };
+    },
+  },
+];
+
+const CURRENT_SCHEMA_VERSION = migrations[migrations.length - 1].version;
+
+function schemaVersion(config) {
+  return config.schemaVersion || 0;
+}
+
+// `config` at schemaVersion `version`, which comes first as in the checked-in configs
+function withSchemaVersion(config, version) {
+  const versioned = version === 0 ? {} : { schemaVersion: version };
+  return { ...versioned, ...pick(config, (key) => key !== "schemaVersion") };
+}
+
+// Returns `config` migrated to `target` (the current schema by default), upwards or downwards
+function migrate(config, target = CURRENT_SCHEMA_VERSION) {
+  let version = schemaVersion(config);
+  if (version > CURRENT_SCHEMA_VERSION) {
+    throw new Error(`Config schemaVersion ${version} is newer than the supported version ${CURRENT_SCHEMA_VERSION}`);
+  }
+  if (target < 0 || target > CURRENT_SCHEMA_VERSION) {
+    throw new Error(`Unknown config schemaVersion ${target}`);
+  }
+
+  let migrated = config;
+  while (version < target) {
+    const migration = migrations[version];
+    version = migration.version;
+    migrated = withSchemaVersion(migration.up(migrated), version);
+  }
+  while (version > target) {
+    const migration = migrations[version - 1];
+    version = migration.version - 1;
+    migrated = withSchemaVersion(migration.down(migrated), version);
+  }
+  return migrated;
+}
+
+module.exports = {
+  migrations,
+  CURRENT_SCHEMA_VERSION,
+  schemaVersion,
+  migrate,
+};
@@ -0,0 +1,65 @@
+const ethers = require("ethers");
+
+// Cross-field invariants of the config settings. Some are enforced by the module constructors and would make the
+// deployment revert, the others are deployment policy: the contracts accept the values but the wallets would be
+// insecure or unusable. Each description says which. Missing settings default to the values used by the deployment steps.
+
+const MAX_UINT128 = ethers.utils.bigNumberify(2).pow(128).sub(1);
+
+const settingsOf = (config) => {
+  const settings = config.settings || {};
+  return {
+    lockPeriod: settings.lockPeriod || 0,
+    recoveryPeriod: settings.recoveryPeriod || 0,
+    securityPeriod: settings.securityPeriod || 0,
+    securityWindow: settings.securityWindow || 0,
+    feeRatio: settings.feeRatio || 0,
+    defaultLimit: settings.defaultLimit || "1000000000000000000",
+  };
+};
+
+const rules = [
+  {
+    name: "security-window",
+    description: "Policy for GuardianManager and TransferManager: securityWindow must not exceed securityPeriod",
+    check: ({ securityPeriod, securityWindow }) => securityWindow <= securityPeriod
+      || `securityWindow (${securityWindow}) is larger than securityPeriod (${securityPeriod})`,
+  },
+  {
+    name: "lock-recovery",
+    description: "Enforced by the RecoveryManager constructor: lockPeriod must be at least recoveryPeriod",
+    check: ({ lockPeriod, recoveryPeriod }) => lockPeriod >= recoveryPeriod
+      || `recoveryPeriod (${recoveryPeriod}) is longer than lockPeriod (${lockPeriod})`,
+  },
+  {
+    name: "recovery-security",
+    description: "Enforced by the RecoveryManager constructor (v1.6.0): recoveryPeriod must be at least securityPeriod + securityWindow",
+    check: ({ recoveryPeriod, securityPeriod, securityWindow }) => recoveryPeriod >= securityPeriod + securityWindow
+      || `recoveryPeriod (${recoveryPeriod}) is shorter than securityPeriod + securityWindow (${securityPeriod + securityWindow})`,
+  },
+  {
+    name: "fee-ratio",
+    description: "Policy for TokenExchanger: feeRatio is expressed in 1-per-10000 and must not exceed 10000",
+    check: ({ feeRatio }) => feeRatio <= 10000 || `feeRatio (${feeRatio}) is above 10000`,
+  },
+  {
+    name: "default-limit",
+    description: "Enforced by the TransferManager constructor: defaultLimit must be an integer amount of wei that fits in 128 bits",
+    check: ({ defaultLimit }) => (/^\d+$/.test(defaultLimit) && ethers.utils.bigNumberify(defaultLimit).lte(MAX_UINT128))
+      || `defaultLimit (${defaultLimit}) is not an integer below 2^128`,
+  },
+];
+
+// Returns the list of rules violated by the config
+function checkRules(config) {
+  const settings = settingsOf(config);
+  return rules
+    .map((rule) => ({ rule: rule.name, result: rule.check(settings) }))
+    .filter(({ result }) => result !== true)
+    .map(({ rule, result }) => ({ rule, message: result }));
+}
+
+module.exports = {
+  rules,
+  checkRules,
+};
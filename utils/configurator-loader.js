@@ -1,13 +1,58 @@
 // eslint-disable-next-line max-classes-per-file
 const AWS = require("aws-sdk");
+const crypto = require("crypto");
 const fs = require("fs");
+const path = require("path");
 
 const s3 = new AWS.S3();
 
+const S3_BUCKET_FOLDER_HISTORY = "history";
+const S3_BUCKET_FOLDER_CHECKPOINTS = "checkpoints";
+const S3_BUCKET_FOLDER_STEPS = "steps";
+const S3_BUCKET_FOLDER_LEDGER = "ledger";
+const S3_DEPLOYMENT_LOCK_KEY = "locks/deployment.json";
+const S3_READ_BATCH = 20;
+
+function modifiedError(name) {
+  return new Error(`Config ${name} was modified since it was loaded, reload it and apply the changes again`);
+}
+
+function lockHeldError(name, lock) {
+  const since = new Date(lock.createdAt * 1000).toISOString();
+  const until = new Date(lock.expiresAt * 1000).toISOString();
+  return new Error(`Deployment lock on ${name} is held by ${lock.owner} since ${since} (expires ${until})`);
+}
+
+// Reads every item with `read` in parallel batches rather than one request after another, keeping their order
+async function readInBatches(items, read) {
+  const results = [];
+  for (let start = 0; start < items.length; start += S3_READ_BATCH) {
+    results.push(...await Promise.all(items.slice(start, start + S3_READ_BATCH).map(read)));
+  }
+  return results;
+}
+
+const isExpired = (lock) => lock.expiresAt <= Math.floor(Date.now() / 1000);
+
+// Sends a request with a conditional header, which the S3 API supports but the client does not expose as a parameter
+async function sendWithHeader(request, header, value) {
+  request.on("build", () => { request.httpRequest.headers[header] = value; });
+  try {
+    return await request.promise();
+  } catch (error) {
+    if (error.code === "PreconditionFailed" || error.statusCode === 412) {
+      error.preconditionFailed = true; // eslint-disable-line no-param-reassign
+    }
+    throw error;
+  }
+}
+
 class ConfiguratorLoaderS3 {
-  constructor(bucket, key) {
+  constructor(bucket, key, client = s3) {
     this.bucket = bucket;
     this.key = key;
+    this.name = `s3://${bucket}/${key}`;
+    this._s3 = client;
   }
 
   async load() {
@@ -15,37 +60,409 @@ class ConfiguratorLoaderS3 {
       Bucket: this.bucket,
       Key: this.key,
     };
-    const object = await s3.getObject(params).promise();
+    const object = await this._s3.getObject(params).promise();
+    this._etag = object.ETag;
     const json = object.Body.toString("utf-8");
     return json;
   }
 
+  // Only succeeds if the config was not modified since it was loaded
   async save(json) {
     const params = {
       Body: json,
       Bucket: this.bucket,
       Key: this.key,
     };
-    await s3.putObject(params).promise();
+    try {
+      const request = this._s3.putObject(params);
+      // a config that was never loaded must not exist yet
+      const result = await (this._etag ? sendWithHeader(request, "If-Match", this._etag) : sendWithHeader(request, "If-None-Match", "*"));
+      this._etag = result.ETag;
+    } catch (error) {
+      if (error.preconditionFailed) throw modifiedError(this.name);
+      throw error;
+    }
+  }
+
+  async acquireLock(lock) {
+    let current;
+    try {
+      const object = await this._s3.getObject({ Bucket: this.bucket, Key: S3_DEPLOYMENT_LOCK_KEY }).promise();
+      current = { lock: JSON.parse(object.Body.toString("utf-8")), etag: object.ETag };
+    } catch (error) {
+      if (error.code !== "NoSuchKey") throw error;
+    }
+    if (current && !isExpired(current.lock)) throw lockHeldError(this.name, current.lock);
+
+    // create the lock, or replace the expired one, atomically
+    const params = { Body: JSON.stringify(lock), Bucket: this.bucket, Key: S3_DEPLOYMENT_LOCK_KEY };
+    const request = this._s3.putObject(params);
+    try {
+      await (current ? sendWithHeader(request, "If-Match", current.etag) : sendWithHeader(request, "If-None-Match", "*"));
+    } catch (error) {
+      if (error.preconditionFailed) throw new Error(`Deployment lock on ${this.name} was taken concurrently`);
+      throw error;
+    }
+  }
+
+  async releaseLock(lock) {
+    let current;
+    try {
+      const object = await this._s3.getObject({ Bucket: this.bucket, Key: S3_DEPLOYMENT_LOCK_KEY }).promise();
+      current = JSON.parse(object.Body.toString("utf-8"));
+    } catch (error) {
+      if (error.code !== "NoSuchKey") throw error;
+    }
+    if (!current || current.token !== lock.token) return; // expired and taken over by someone else
+    await this._s3.deleteObject({ Bucket: this.bucket, Key: S3_DEPLOYMENT_LOCK_KEY }).promise();
+  }
+
+  async saveSnapshot(snapshot) {
+    const params = {
+      Body: JSON.stringify(snapshot),
+      Bucket: this.bucket,
+      Key: this._snapshotKey(snapshot.id),
+    };
+    // as with the "wx" flag of the local backend, a snapshot is never overwritten
+    try {
+      await sendWithHeader(this._s3.putObject(params), "If-None-Match", "*");
+    } catch (error) {
+      if (error.preconditionFailed) throw new Error(`Snapshot ${snapshot.id} of ${this.name} already exists`);
+      throw error;
+    }
+  }
+
+  async loadSnapshot(id) {
+    const params = {
+      Bucket: this.bucket,
+      Key: this._snapshotKey(id),
+    };
+    const object = await this._s3.getObject(params).promise();
+    return JSON.parse(object.Body.toString("utf-8"));
+  }
+
+  async listSnapshots() {
+    const ids = (await this._listKeys(`${S3_BUCKET_FOLDER_HISTORY}/${this.key}/`)).map((key) => path.basename(key, ".json"));
+    const snapshots = await readInBatches(ids.sort(), (id) => this.loadSnapshot(id));
+    return snapshots.map(({ config, ...info }) => info); // eslint-disable-line no-unused-vars
+  }
+
+  // Returns the checkpoint journal of a deployment step, or undefined if it has none
+  async loadCheckpoint(step) {
+    try {
+      const object = await this._s3.getObject({ Bucket: this.bucket, Key: this._checkpointKey(step) }).promise();
+      return JSON.parse(object.Body.toString("utf-8"));
+    } catch (error) {
+      if (error.code === "NoSuchKey") return undefined;
+      throw error;
+    }
+  }
+
+  async saveCheckpoint(step, checkpoint) {
+    const params = {
+      Body: JSON.stringify(checkpoint),
+      Bucket: this.bucket,
+      Key: this._checkpointKey(step),
+    };
+    await this._s3.putObject(params).promise();
+  }
+
+  async deleteCheckpoint(step) {
+    await this._s3.deleteObject({ Bucket: this.bucket, Key: this._checkpointKey(step) }).promise();
+  }
+
+  // Returns the record of the deployment steps applied to the network, or undefined if it has none
+  async loadAppliedSteps() {
+    try {
+      const object = await this._s3.getObject({ Bucket: this.bucket, Key: this._appliedStepsKey() }).promise();
+      return JSON.parse(object.Body.toString("utf-8"));
+    } catch (error) {
+      if (error.code === "NoSuchKey") return undefined;
+      throw error;
+    }
+  }
+
+  async saveAppliedSteps(record) {
+    await this._s3.putObject({ Body: JSON.stringify(record), Bucket: this.bucket, Key: this._appliedStepsKey() }).promise();
+  }
+
+  // Ledger entries are separate objects, so that concurrent scripts never overwrite each other's entries
+  async appendLedgerEntry(entry) {
+    const params = {
+      Body: JSON.stringify(entry),
+      Bucket: this.bucket,
+      Key: `${S3_BUCKET_FOLDER_LEDGER}/${this.key}/${entry.timestamp}-${entry.txHash}.json`,
+    };
+    await this._s3.putObject(params).promise();
+  }
+
+  async loadLedger() {
+    const keys = await this._listKeys(`${S3_BUCKET_FOLDER_LEDGER}/${this.key}/`);
+    return readInBatches(keys.sort(), async (key) => {
+      const object = await this._s3.getObject({ Bucket: this.bucket, Key: key }).promise();
+      return JSON.parse(object.Body.toString("utf-8"));
+    });
+  }
+
+  // Keys of the objects under `prefix`, over as many list requests as needed
+  async _listKeys(prefix) {
+    const keys = [];
+    let token;
+    do {
+      const params = {
+        Bucket: this.bucket,
+        Prefix: prefix,
+        ContinuationToken: token,
+      };
+      const result = await this._s3.listObjectsV2(params).promise();
+      result.Contents.forEach((object) => keys.push(object.Key));
+      token = result.IsTruncated ? result.NextContinuationToken : undefined;
+    } while (token);
+    return keys;
+  }
+
+  _snapshotKey(id) {
+    return `${S3_BUCKET_FOLDER_HISTORY}/${this.key}/${id}.json`;
+  }
+
+  _checkpointKey(step) {
+    return `${S3_BUCKET_FOLDER_CHECKPOINTS}/${this.key}/${step}.json`;
+  }
+
+  _appliedStepsKey() {
+    return `${S3_BUCKET_FOLDER_STEPS}/${this.key}`;
   }
 }
 
 class ConfiguratorLoaderLocal {
-  constructor(path) {
-    this.path = path;
+  constructor(filePath) {
+    this.path = filePath;
+    this.name = path.basename(filePath);
+    const { dir, name } = path.parse(filePath);
+    this.historyDir = path.join(dir, "history", name);
+    this.checkpointsDir = path.join(dir, "checkpoints", name);
+    this.appliedStepsPath = path.join(dir, "steps", `${name}.json`);
+    this.ledgerPath = path.join(dir, "ledger", `${name}.jsonl`);
   }
 
   async load() {
     const json = fs.readFileSync(this.path, "utf8");
+    this._hash = ConfiguratorLoaderLocal._hash(json);
     return json;
   }
 
+  // Only succeeds if the config was not modified since it was loaded. The check and the write happen under a lockfile.
   async save(json) {
-    fs.writeFileSync(this.path, json);
+    const lockPath = `${this.path}.lock`;
+    try {
+      fs.writeFileSync(lockPath, String(process.pid), { flag: "wx" });
+    } catch (error) {
+      if (error.code === "EEXIST") throw new Error(`Config ${this.name} is being written by another process (${lockPath})`);
+      throw error;
+    }
+    try {
+      const current = fs.existsSync(this.path) ? ConfiguratorLoaderLocal._hash(fs.readFileSync(this.path, "utf8")) : undefined;
+      if (current !== this._hash) throw modifiedError(this.name);
+      fs.writeFileSync(this.path, json);
+      this._hash = ConfiguratorLoaderLocal._hash(json);
+    } finally {
+      fs.unlinkSync(lockPath);
+    }
+  }
+
+  async acquireLock(lock) {
+    const lockPath = this._deploymentLockPath();
+    try {
+      fs.writeFileSync(lockPath, JSON.stringify(lock), { flag: "wx" });
+    } catch (error) {
+      if (error.code !== "EEXIST") throw error;
+      const current = JSON.parse(fs.readFileSync(lockPath, "utf8"));
+      if (!isExpired(current)) throw lockHeldError(this.name, current);
+      fs.unlinkSync(lockPath);
+      fs.writeFileSync(lockPath, JSON.stringify(lock), { flag: "wx" });
+    }
+  }
+
+  async releaseLock(lock) {
+    const lockPath = this._deploymentLockPath();
+    if (!fs.existsSync(lockPath)) return;
+    const current = JSON.parse(fs.readFileSync(lockPath, "utf8"));
+    if (current.token !== lock.token) return; // expired and taken over by someone else
+    fs.unlinkSync(lockPath);
+  }
+
+  async saveSnapshot(snapshot) {
+    fs.mkdirSync(this.historyDir, { recursive: true });
+    // "wx" fails if the file exists, so a snapshot is never overwritten
+    fs.writeFileSync(this._snapshotPath(snapshot.id), JSON.stringify(snapshot), { flag: "wx" });
+  }
+
+  async loadSnapshot(id) {
+    const json = fs.readFileSync(this._snapshotPath(id), "utf8");
+    return JSON.parse(json);
+  }
+
+  async listSnapshots() {
+    if (!fs.existsSync(this.historyDir)) return [];
+    const ids = fs.readdirSync(this.historyDir)
+      .filter((file) => file.endsWith(".json"))
+      .map((file) => path.basename(file, ".json"))
+      .sort();
+
+    const snapshots = [];
+    for (const id of ids) {
+      const { config, ...info } = await this.loadSnapshot(id); // eslint-disable-line no-unused-vars
+      snapshots.push(info);
+    }
+    return snapshots;
+  }
+
+  // Returns the checkpoint journal of a deployment step, or undefined if it has none
+  async loadCheckpoint(step) {
+    const checkpointPath = this._checkpointPath(step);
+    if (!fs.existsSync(checkpointPath)) return undefined;
+    return JSON.parse(fs.readFileSync(checkpointPath, "utf8"));
+  }
+
+  async saveCheckpoint(step, checkpoint) {
+    fs.mkdirSync(this.checkpointsDir, { recursive: true });
+    // written to a temporary file first so that a crash never leaves a truncated journal
+    const checkpointPath = this._checkpointPath(step);
+    fs.writeFileSync(`${checkpointPath}.tmp`, JSON.stringify(checkpoint, null, 2));
+    fs.renameSync(`${checkpointPath}.tmp`, checkpointPath);
+  }
+
+  async deleteCheckpoint(step) {
+    const checkpointPath = this._checkpointPath(step);
+    if (fs.existsSync(checkpointPath)) fs.unlinkSync(checkpointPath);
+  }
+
+  // Returns the record of the deployment steps applied to the network, or undefined if it has none
+  async loadAppliedSteps() {
+    if (!fs.existsSync(this.appliedStepsPath)) return undefined;
+    return JSON.parse(fs.readFileSync(this.appliedStepsPath, "utf8"));
+  }
+
+  async saveAppliedSteps(record) {
+    fs.mkdirSync(path.dirname(this.appliedStepsPath), { recursive: true });
+    fs.writeFileSync(`${this.appliedStepsPath}.tmp`, JSON.stringify(record, null, 2));
+    fs.renameSync(`${this.appliedStepsPath}.tmp`, this.appliedStepsPath);
+  }
+
+  // The ledger is a JSON Lines file, only ever appended to
+  async appendLedgerEntry(entry) {
+    fs.mkdirSync(path.dirname(this.ledgerPath), { recursive: true });
+    fs.appendFileSync(this.ledgerPath, `${JSON.stringify(entry)}\n`);
+  }
+
+  async loadLedger() {
+    if (!fs.existsSync(this.ledgerPath)) return [];
+    return fs.readFileSync(this.ledgerPath, "utf8").split("\n").filter((line) => line).map((line) => JSON.parse(line));
+  }
+
+  _snapshotPath(id) {
+    return path.join(this.historyDir, `${id}.json`);
+  }
+
+  _checkpointPath(step) {
+    return path.join(this.checkpointsDir, `${step}.json`);
+  }
+
+  _deploymentLockPath() {
+    return `${this.path}.deploy.lock`;
+  }
+
+  static _hash(json) {
+    return crypto.createHash("sha256").update(json).digest("hex");
+  }
+}
+
+// Reads through `loader` but keeps every write in memory, for deployment plans (see DeployPlan)
+class ConfiguratorLoaderDryRun {
+  constructor(loader) {
+    this._loader = loader;
+    this.name = loader.name;
+    this._checkpoints = {};
+    this._ledger = [];
+    this.snapshots = [];
+  }
+
+  async load() {
+    return this._saved !== undefined ? this._saved : this._loader.load();
+  }
+
+  async save(json) {
+    this._saved = json;
+  }
+
+  // eslint-disable-next-line class-methods-use-this, no-unused-vars, no-empty-function
+  async acquireLock(lock) { }
+
+  // eslint-disable-next-line class-methods-use-this, no-unused-vars, no-empty-function
+  async releaseLock(lock) { }
+
+  async saveSnapshot(snapshot) {
+    this.snapshots.push(snapshot);
+  }
+
+  async loadSnapshot(id) {
+    return this.snapshots.find((snapshot) => snapshot.id === id) || this._loader.loadSnapshot(id);
+  }
+
+  async listSnapshots() {
+    const snapshots = await this._loader.listSnapshots();
+    return snapshots.concat(this.snapshots.map(({ config, ...info }) => info)); // eslint-disable-line no-unused-vars
+  }
+
+  async loadCheckpoint(step) {
+    return step in this._checkpoints ? this._checkpoints[step] : this._loader.loadCheckpoint(step);
+  }
+
+  async saveCheckpoint(step, checkpoint) {
+    this._checkpoints[step] = JSON.parse(JSON.stringify(checkpoint));
+  }
+
+  async deleteCheckpoint(step) {
+    this._checkpoints[step] = undefined;
+  }
+
+  async loadAppliedSteps() {
+    return this._appliedSteps !== undefined ? this._appliedSteps : this._loader.loadAppliedSteps();
+  }
+
+  async saveAppliedSteps(record) {
+    this._appliedSteps = JSON.parse(JSON.stringify(record));
+  }
+
+  async appendLedgerEntry(entry) {
+    this._ledger.push(entry);
+  }
+
+  async loadLedger() {
+    return (await this._loader.loadLedger()).concat(this._ledger);
+  }
+}
+
+// Reads only the `keys` of the config of `loader` (and its schemaVersion, for migrations), for base layers of which a
+// config should not inherit everything. Base layers are never written.
+class ConfiguratorLoaderPick {
+  constructor(loader, keys) {
+    this._loader = loader;
+    this._keys = keys;
+    this.name = loader.name;
+  }
+
+  async load() {
+    const config = JSON.parse(await this._loader.load());
+    const picked = { schemaVersion: config.schemaVersion };
+    this._keys.filter((key) => key in config).forEach((key) => { picked[key] = config[key]; });
+    return JSON.stringify(picked);
   }
 }
 
 module.exports = {
   S3: ConfiguratorLoaderS3,
   Local: ConfiguratorLoaderLocal,
+  DryRun: ConfiguratorLoaderDryRun,
+  Pick: ConfiguratorLoaderPick,
 };
@@ -3,10 +3,102 @@ const Ajv = require("ajv");
 const ajv = Ajv({ allErrors: true });
 
 const schema = require("./config-schema.json");
+const { migrate } = require("./config-migrations.js");
+const { checkRules } = require("./config-rules.js");
+
+const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+// Keys holding key material, redacted from printed configs even when a layer has them in plain (see PrivateKeyLoader
+// for the private key options)
+const KEY_MATERIAL_PATHS = [
+  "settings.privateKey.options.value",
+  "settings.privateKey.options.mnemonic",
+  "settings.privateKey.options.password",
+  "settings.deployer.options.key",
+];
+const REDACTED = "<redacted>";
+
+// Deep-merges `source` into `target`; arrays and other non-object values replace the target value
+function merge(target, source) {
+  for (const key in source) {
+    if (isObject(target[key]) && isObject(source[key])) {
+      merge(target[key], source[key]);
+    } else {
+      target[key] = clone(source[key]); // eslint-disable-line no-param-reassign
+    }
+  }
+  return target;
+}
+
+// Sets the value at a dot-separated path, creating intermediate objects; an undefined value deletes the key
+function setPath(object, keyPath, value) {
+  const keys = keyPath.split(".");
+  const last = keys.pop();
+  let node = object;
+  for (const key of keys) {
+    if (!isObject(node[key])) node[key] = {};
+    node = node[key];
+  }
+  if (value === undefined) {
+    delete node[last];
+  } else {
+    node[last] = value;
+  }
+}
+
+function getPath(object, keyPath) {
+  return keyPath.split(".").reduce((node, key) => (isObject(node) ? node[key] : undefined), object);
+}
+
+// Returns the sub-schema describing `keyPath`, or that of its deepest described ancestor, with the path it applies to.
+// Throws if the schema forbids the key.
+function schemaOf(keyPath) {
+  const keys = keyPath ? keyPath.split(".") : [];
+  let found = { path: "", schema };
+  let node = schema;
+  for (let idx = 0; idx < keys.length; idx += 1) {
+    if (node.$ref) node = getPath(schema, node.$ref.slice(2).replace(/\//g, "."));
+    if (node.properties && node.properties[keys[idx]]) {
+      node = node.properties[keys[idx]];
+    } else if (isObject(node.additionalProperties)) {
+      node = node.additionalProperties;
+    } else if (node.additionalProperties === false) {
+      throw new Error(`Unknown config key ${keys.slice(0, idx + 1).join(".")}`);
+    } else {
+      break;
+    }
+    found = { path: keys.slice(0, idx + 1).join("."), schema: node };
+  }
+  return found;
+}
+
+// Lists the dot-separated paths of all non-object values
+function leafPaths(object, prefix = "") {
+  let paths = [];
+  for (const key in object) {
+    const keyPath = prefix ? `${prefix}.${key}` : key;
+    paths = isObject(object[key]) ? paths.concat(leafPaths(object[key], keyPath)) : paths.concat(keyPath);
+  }
+  return paths;
+}
 
 class Configurator {
-  constructor(loader) {
+  // The config is the deep-merge of, in order: the read-only `bases` loaders, the config of `loader`
+  // and the `overrides` ({ name, config }). Only changes made after loading are persisted by `save`,
+  // into the config of `loader`.
+  // Violations of the config rules are errors unless `ruleSeverity` is "warning".
+  // `{ "$secret": ... }` references are resolved on load by `secretResolver` and never saved back resolved.
+  constructor(loader, {
+    bases = [], overrides = [], ruleSeverity = "error", secretResolver,
+  } = {}) {
     this.loader = loader;
+    this._bases = bases;
+    this._overrides = overrides;
+    this._ruleSeverity = ruleSeverity;
+    this._secretResolver = secretResolver;
+    this._secrets = [];
   }
 
   get config() {
@@ -17,56 +109,230 @@ class Configurator {
     return JSON.parse(JSON.stringify(this._config));
   }
 
+  // Copy of the value at `keyPath` with its secret references resolved, for configs loaded without their secrets
+  // which still need one of them, e.g. the Infura key of settings.deployer to reach the node of the network
+  async resolvedCopy(keyPath) {
+    const value = clone(this.get(keyPath));
+    if (this._secretResolver && isObject(value)) await this._secretResolver.resolve(value, keyPath);
+    return value;
+  }
+
+  // Copy of the config to print, e.g. in the logs of a step: resolved secrets are shown as their `$secret` references
+  // and key material is redacted
+  redactedConfig() {
+    const config = this.copyConfig();
+    this._secrets.forEach(({ path: keyPath, reference }) => setPath(config, keyPath, clone(reference)));
+    KEY_MATERIAL_PATHS
+      .filter((keyPath) => typeof getPath(config, keyPath) === "string")
+      .forEach((keyPath) => setPath(config, keyPath, REDACTED));
+    return config;
+  }
+
+  get journal() {
+    return this._journal;
+  }
+
+  get(keyPath) {
+    return getPath(this._config, keyPath);
+  }
+
+  // Sets a value at a dot-separated path (e.g. "defi.maker.migration") and records the change in the journal.
+  // The new value is validated against its schema before being applied; constraints spanning several keys
+  // (e.g. required keys) are only checked by the full validation on load and save.
+  set(keyPath, value, reason) {
+    // removing a key is validated against the schema of its parent
+    const validatedPath = value === undefined ? keyPath.split(".").slice(0, -1).join(".") : keyPath;
+    const secret = this._secrets.find((s) => keyPath === s.path || keyPath.startsWith(`${s.path}.`) || s.path.startsWith(`${keyPath}.`));
+    if (secret) throw new Error(`Config key ${secret.path} is a secret reference, update the secret instead`);
+    const { path: schemaPath, schema: subSchema } = schemaOf(validatedPath);
+    schemaOf(keyPath); // throws on unknown keys
+    const config = clone(this._config);
+    setPath(config, keyPath, clone(value));
+    const subtree = schemaPath ? getPath(config, schemaPath) : config;
+    if (!ajv.validate({ ...subSchema, definitions: schema.definitions }, subtree)) {
+      console.log(ajv.errors);
+      throw new Error(`Invalid config value for ${keyPath}`);
+    }
+
+    const before = this.get(keyPath);
+    if (JSON.stringify(before) === JSON.stringify(value)) return;
+    setPath(this._config, keyPath, clone(value));
+    this._journal.push({
+      path: keyPath,
+      before: clone(before),
+      after: clone(value),
+      reason,
+      timestamp: Math.floor(Date.now() / 1000),
+    });
+  }
+
+  printJournal() {
+    console.log("******* Config changes *******");
+    if (this._journal.length === 0) console.log("none");
+    this._journal.forEach((entry) => {
+      console.log(`${entry.path}: ${JSON.stringify(entry.before)} -> ${JSON.stringify(entry.after)}${entry.reason ? ` (${entry.reason})` : ""}`);
+    });
+    console.log("******************************");
+  }
+
   updateInfrastructureAddresses(contracts) {
-    if (!this._config.contracts) this._config.contracts = {};
-    Object.assign(this._config.contracts, contracts);
+    Object.keys(contracts).forEach((name) => this.set(`contracts.${name}`, contracts[name], `${name} deployed`));
   }
 
   updateModuleAddresses(modules) {
-    if (!this._config.modules) this._config.modules = {};
-    Object.assign(this._config.modules, modules);
+    Object.keys(modules).forEach((name) => this.set(`modules.${name}`, modules[name], `${name} deployed`));
   }
 
   updateENSRegistry(address) {
-    this._config.ENS.ensRegistry = address;
+    this.set("ENS.ensRegistry", address, "ENS registry deployed");
   }
 
   updateKyberContract(address) {
-    this._config.Kyber.contract = address;
+    this.set("Kyber.contract", address, "Kyber deployed");
   }
 
   updateMakerMigration(address) {
-    this._config.defi.maker.migration = address;
+    this.set("defi.maker.migration", address, "Maker migration deployed");
   }
 
   updateUniswapFactory(address) {
-    this._config.defi.uniswap.factory = address;
+    this.set("defi.uniswap.factory", address, "Uniswap factory deployed");
   }
 
   updateBackendAccounts(accounts) {
-    this._config.backend.accounts = accounts;
+    this.set("backend.accounts", accounts, "backend accounts of a test environment");
   }
 
   updateMultisigOwner(owners) {
     if (this._config.multisig.autosign === false) return;
-    this._config.multisig.owners = owners;
+    this.set("multisig.owners", owners, "multisig owners of a test environment");
   }
 
   updateGitHash(hash) {
-    this._config.gitCommit = hash;
+    this.set("gitCommit", hash, "deployed commit");
   }
 
-  async load(validate = true) {
+  // The account is only recorded in the config history, it is not part of the config itself
+  setDeploymentAccount(account) {
+    this._deploymentAccount = account;
+  }
+
+  // Secrets are only resolved when `resolveSecrets` is true, e.g. tools comparing configs do not need them
+  async load(validate = true, resolveSecrets = true) {
+    this._baseLayers = [];
+    for (const base of this._bases) {
+      const json = await base.load();
+      this._baseLayers.push({ name: base.name, config: migrate(JSON.parse(json)) });
+    }
     const json = await this.loader.load();
-    this._config = JSON.parse(json);
+    this._document = migrate(JSON.parse(json));
+    this._merge();
+    this._journal = [];
+    this._savedJournalLength = 0;
     if (validate) { this._validate(); }
+    this._secrets = [];
+    if (resolveSecrets) await this._resolveSecrets();
     return this._config;
   }
 
-  async save() {
+  async save(step) {
     this._validate();
-    const json = JSON.stringify(this._config);
-    await this.loader.save(json);
+    // persist the loader's own config, updated with the changes made since loading
+    const document = clone(this._document);
+    Configurator.diff(this._loaded, this._config).forEach((change) => setPath(document, change.path, clone(change.after)));
+    // the snapshot is written first so that a failed save never leaves a config without history
+    await this.loader.saveSnapshot(this._snapshot(step, document, this._journal.slice(this._savedJournalLength)));
+    await this.loader.save(JSON.stringify(document));
+    this._document = document;
+    this._loaded = clone(this._config);
+    this._savedJournalLength = this._journal.length;
+  }
+
+  // Returns, for every value of the config, the name of the layer it comes from
+  explain() {
+    const layers = this._layers().map((layer) => ({ name: layer.name, paths: leafPaths(layer.config) })).reverse();
+    const changed = Configurator.diff(this._loaded, this._config).map((change) => change.path);
+    return leafPaths(this._config).map((keyPath) => {
+      const isChanged = changed.some((changedPath) => keyPath === changedPath || keyPath.startsWith(`${changedPath}.`));
+      // a resolved secret is a leaf of the config but its reference is an object in its layer
+      const layer = isChanged ? undefined : layers.find((l) => l.paths.some((p) => p === keyPath || p.startsWith(`${keyPath}.`)));
+      const secret = this._secrets.find((s) => s.path === keyPath);
+      const value = secret ? secret.reference : getPath(this._config, keyPath);
+      return { path: keyPath, value, layer: layer ? layer.name : "unsaved" };
+    });
+  }
+
+  static setPath(object, keyPath, value) {
+    setPath(object, keyPath, value);
+  }
+
+  async listSnapshots() {
+    return this.loader.listSnapshots();
+  }
+
+  async loadSnapshot(id) {
+    return this.loader.loadSnapshot(id);
+  }
+
+  async restore(id) {
+    const snapshot = await this.loader.loadSnapshot(id);
+    this._document = migrate(snapshot.config);
+    const resolveSecrets = this._secrets.length > 0;
+    this._merge();
+    this._secrets = [];
+    await this.save(`restore ${id}`);
+    if (resolveSecrets) await this._resolveSecrets();
+  }
+
+  // Returns the list of leaf values that differ between two configs
+  static diff(before, after, prefix = "") {
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    let changes = [];
+    for (const key of [...keys].sort()) {
+      const keyPath = prefix ? `${prefix}.${key}` : key;
+      const a = (before || {})[key];
+      const b = (after || {})[key];
+      if (isObject(a) && isObject(b)) {
+        changes = changes.concat(Configurator.diff(a, b, keyPath));
+      } else if (JSON.stringify(a) !== JSON.stringify(b)) {
+        changes.push({ path: keyPath, before: a, after: b });
+      }
+    }
+    return changes;
+  }
+
+  _layers() {
+    return this._baseLayers
+      .concat({ name: this.loader.name, config: this._document })
+      .concat(this._overrides);
+  }
+
+  _merge() {
+    this._config = this._layers().reduce((config, layer) => merge(config, layer.config), {});
+    this._loaded = clone(this._config);
+  }
+
+  // The resolved values are part of the loaded state so that they never show up as changes to save
+  async _resolveSecrets() {
+    if (!this._secretResolver) return;
+    this._secrets = await this._secretResolver.resolve(this._config);
+    this._loaded = clone(this._config);
+  }
+
+  _snapshot(step, config, journal) {
+    // snapshot ids are timestamps; two saves within the same millisecond must still get distinct, ordered ids
+    const time = Math.max(Date.now(), (this._lastSnapshotTime || 0) + 1);
+    this._lastSnapshotTime = time;
+    const date = new Date(time);
+    return {
+      id: date.toISOString().replace(/[:.]/g, "-"),
+      timestamp: Math.floor(date.getTime() / 1000),
+      gitCommit: this._config.gitCommit,
+      account: this._deploymentAccount,
+      step,
+      journal,
+      config,
+    };
   }
 
   _validate() {
@@ -75,6 +341,12 @@ class Configurator {
       console.log(ajv.errors);
       throw new Error("Configuration is not valid");
     }
+
+    const violations = checkRules(this._config);
+    violations.forEach((violation) => console.warn(`${this._ruleSeverity.toUpperCase()}: config rule ${violation.rule}: ${violation.message}`));
+    if (violations.length > 0 && this._ruleSeverity === "error") {
+      throw new Error("Configuration is not valid");
+    }
   }
 }
 
@@ -1,18 +1,64 @@
 require("dotenv").config();
+const crypto = require("crypto");
 const etherlime = require("etherlime-lib");
+const ethers = require("ethers");
+const fs = require("fs");
+const os = require("os");
 const path = require("path");
 
+const AppliedSteps = require("./applied-steps.js");
+const ChainGuard = require("./chain-guard.js");
 const Configurator = require("./configurator.js");
 const ConfiguratorLoader = require("./configurator-loader.js");
+const DeployPlan = require("./deploy-plan.js");
+const DeterministicDeployer = require("./deterministic-deployer.js");
+const { GasStrategy } = require("./gas-strategy.js");
+const NonceManager = require("./nonce-manager.js");
 const PrivateKeyLoader = require("./private-key-loader.js");
+const { SecretResolver } = require("./secret-resolver.js");
+const StepCheckpoint = require("./step-checkpoint.js");
+const TransactionLedger = require("./transaction-ledger.js");
 const ABIUploader = require("./abi-uploader.js");
 const VersionUploader = require("./version-uploader.js");
-const utils = require("./utilities.js");
 
-const defaultConfigs = {
-  gasPrice: utils.bigNumberify(process.env.DEPLOYER_GAS_PRICE || 20000000000),
-  gasLimit: 6000000,
-};
+const CONFIG_DIR = path.join(__dirname, "./config");
+// Networks on which violations of the config rules are only reported as warnings
+const DEVELOPMENT_NETWORKS = ["ganache"];
+const ENV_OVERRIDE_PREFIX = "CONFIG_OVERRIDE_";
+// Seconds after which a deployment lock left behind by a crashed process can be taken over
+const DEPLOY_LOCK_TTL = parseInt(process.env.DEPLOY_LOCK_TTL || 3600, 10);
+
+// Override values are parsed as JSON when possible (numbers, booleans, objects) and kept as strings otherwise
+function parseOverrideValue(value) {
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+// e.g. CONFIG_OVERRIDE_settings__securityPeriod=240
+function envOverrides() {
+  const config = {};
+  Object.keys(process.env).filter((name) => name.startsWith(ENV_OVERRIDE_PREFIX)).forEach((name) => {
+    const keyPath = name.slice(ENV_OVERRIDE_PREFIX.length).split("__").join(".");
+    Configurator.setPath(config, keyPath, parseOverrideValue(process.env[name]));
+  });
+  return { name: "env", config };
+}
+
+// e.g. --config settings.securityPeriod=240 (repeatable)
+function cliOverrides() {
+  const config = {};
+  process.argv.forEach((arg, idx) => {
+    if (arg !== "--config") return;
+    const override = process.argv[idx + 1] || "";
+    const separator = override.indexOf("=");
+    if (separator < 1) throw new Error(`Invalid config override "${override}", expected --config path.to.key=value`);
+    Configurator.setPath(config, override.slice(0, separator), parseOverrideValue(override.slice(separator + 1)));
+  });
+  return { name: "cli", config };
+}
 
 class DeployManager {
   constructor(network) {
@@ -20,51 +66,90 @@ class DeployManager {
     this.env = process.env.CONFIG_ENVIRONMENT;
     this.remotelyManagedNetworks = (process.env.S3_BUCKET_SUFFIXES || "").split(":");
 
-    // config
+    // config layers: base.json, then the network config, then the environment config, then env-var and CLI overrides.
+    // The most specific config (on S3 for remotely managed networks) is the one updated on save.
+    const fileNames = ["base.json"];
     let configLoader;
     if (this.remotelyManagedNetworks.includes(this.network)) {
       const bucket = `${process.env.S3_BUCKET_PREFIX}-${this.network}`;
       const key = process.env.S3_CONFIG_KEY;
       configLoader = new ConfiguratorLoader.S3(bucket, key);
     } else {
-      const fileName = this.env ? `${this.network}.${this.env}.json` : `${this.network}.json`;
-      const filePath = path.join(__dirname, "./config", fileName);
+      fileNames.push(`${this.network}.json`);
+      if (this.env) fileNames.push(`${this.network}.${this.env}.json`);
+      const filePath = path.join(CONFIG_DIR, fileNames.pop());
       configLoader = new ConfiguratorLoader.Local(filePath);
     }
-    this.configurator = new Configurator(configLoader);
+    // An environment config only inherits the settings of its network config: the contracts, modules and other
+    // addresses there belong to the network's own deployment, and must not leak into the environment's.
+    const bases = fileNames
+      .filter((fileName) => fs.existsSync(path.join(CONFIG_DIR, fileName)))
+      .map((fileName) => {
+        const loader = new ConfiguratorLoader.Local(path.join(CONFIG_DIR, fileName));
+        return this.env && fileName === `${this.network}.json` ? new ConfiguratorLoader.Pick(loader, ["settings"]) : loader;
+      });
+    const overrides = [envOverrides(), cliOverrides()];
+    const ruleSeverity = DEVELOPMENT_NETWORKS.includes(this.network) ? "warning" : "error";
+    const secretResolver = new SecretResolver({ baseDir: CONFIG_DIR });
+    // with --plan, the config is read as usual but never written
+    if (DeployPlan.active) configLoader = new ConfiguratorLoader.DryRun(configLoader);
+    this.configurator = new Configurator(configLoader, {
+      bases, overrides, ruleSeverity, secretResolver,
+    });
+    if (DeployPlan.active) this.plan = new DeployPlan(this.configurator);
   }
 
+  // Scripts sending transactions set up the manager within withLock(), which also has production networks confirmed
+  // and plans reported; read-only scripts set it up without the lock.
   async setup() {
     await this.configurator.load();
     const { config } = this.configurator;
 
-    // getting private key if any is available
+    // getting private key if any is available (secret references are already resolved by the configurator)
     let pkey;
-    if (config.settings.privateKey && config.settings.privateKey.type === "plain") {
-      const { value, envvar } = config.settings.privateKey.options;
-      pkey = value || process.env[envvar];
-    } else if (config.settings.privateKey && config.settings.privateKey.type === "s3") {
-      const { options } = config.settings.privateKey;
-      const pkeyLoader = new PrivateKeyLoader(options.bucket, options.key);
-      pkey = await pkeyLoader.fetch();
+    if (config.settings.privateKey) {
+      pkey = await new PrivateKeyLoader(config.settings.privateKey, CONFIG_DIR).fetch();
     }
 
     // setting deployer
-    if (config.settings.deployer.type === "ganache") {
+    if (this.plan) {
+      // the default etherlime account when the config has no key, as for ganache deployments
+      const planKey = pkey || new etherlime.EtherlimeGanacheDeployer().signer.privateKey;
+      const provider = await this.plan.fork(config, planKey);
+      this.deployer = new etherlime.PrivateKeyDeployer(planKey, provider);
+    } else if (config.settings.deployer.type === "ganache") {
       this.deployer = new etherlime.EtherlimeGanacheDeployer(pkey); // will use etherlime accounts if pkey is undefined
     } else if (config.settings.deployer.type === "infura") {
-      const { network, key, envvar } = config.settings.deployer.options;
-      this.deployer = new etherlime.InfuraPrivateKeyDeployer(pkey, network, key || process.env[envvar]);
+      const { network, key } = config.settings.deployer.options;
+      this.deployer = new etherlime.InfuraPrivateKeyDeployer(pkey, network, key);
     } else if (config.settings.deployer.type === "jsonrpc") {
       const { url } = config.settings.deployer.options;
       this.deployer = new etherlime.JSONRPCPrivateKeyDeployer(pkey, url);
     }
-    // set default gasPrice and gasLimit
-    this.deployer.setDefaultOverrides(defaultConfigs);
+    // the node of the target network, which plans fork
+    const networkProvider = this.plan ? new ethers.providers.JsonRpcProvider(DeployPlan.nodeUrl(config.settings.deployer)) : this.deployer.provider;
+    await ChainGuard.verifyChain(networkProvider, config.settings, this.network);
+    if (config.settings.production && this._deploymentLock) await ChainGuard.confirmProduction(this.network);
+
+    // gas prices and limits of every deployment and transaction (settings.gas); plans are priced on the target network
+    this.gas = new GasStrategy(this.deployer.provider, config.settings.gas, networkProvider);
+    this.gas.instrument(this.deployer);
+    if (this.plan) this.plan.gasPrice = await this.gas.gasPrice();
+
+    // every deployment and transaction is recorded in the network's ledger (see scripts/ledger.js)
+    this.ledger = new TransactionLedger(this.configurator.loader, this.network);
+    this.deployer = this.ledger.instrument(this.deployer);
+
+    // deterministic (CREATE2) deployment mode
+    if (config.settings.create2) {
+      this.deterministicDeployer = new DeterministicDeployer(this.deployer, config.settings.create2, this.ledger, this.gas);
+    }
+
+    const account = await this.deployer.signer.getAddress();
+    this.configurator.setDeploymentAccount(account);
 
     // setting backend accounts and multi-sig owner for test environments not managed on S3
     if (!this.remotelyManagedNetworks.includes(this.network)) {
-      const account = await this.deployer.signer.getAddress();
       this.configurator.updateBackendAccounts([account]);
       this.configurator.updateMultisigOwner([account]);
     }
@@ -83,6 +168,123 @@ class DeployManager {
       const dirPath = path.join(__dirname, "./versions/", this.network);
       this.versionUploader = new VersionUploader.Local(dirPath, this.env);
     }
+
+    if (this.plan) {
+      const record = (description) => this.plan.recordUpload(description);
+      this.abiUploader = new ABIUploader.DryRun(record);
+      this.versionUploader = new VersionUploader.DryRun(this.versionUploader, record);
+    }
+  }
+
+  // Attributes the transactions sent from now on to `step`, in the ledger and for its gas price (settings.gas.steps)
+  startStep(step) {
+    this.ledger.source = step;
+    this.gas.step = step;
+  }
+
+  // Deploys `entries` ({ name, contract, args }) in order and returns their wrappers by name. `args` can be
+  // a function of the addresses of the previous entries. In the deterministic mode (settings.create2) all the
+  // addresses are computed and printed before anything is sent, and contracts already deployed are skipped;
+  // otherwise the contracts are deployed as usual, through `checkpoint` when given.
+  async deployAll(entries, checkpoint) {
+    const wrappers = {};
+    if (this.deterministicDeployer) {
+      const plan = await this.deterministicDeployer.plan(entries);
+      for (const entry of plan) {
+        wrappers[entry.name] = await this.deterministicDeployer.deploy(entry);
+      }
+      return wrappers;
+    }
+
+    const addresses = {};
+    for (const entry of entries) {
+      const args = typeof entry.args === "function" ? entry.args(addresses) : entry.args || [];
+      wrappers[entry.name] = checkpoint
+        ? await checkpoint.deployAs(entry.name, entry.contract, {}, ...args)
+        : await this.deployer.deploy(entry.contract, {}, ...args);
+      addresses[entry.name] = wrappers[entry.name].contractAddress;
+    }
+    return wrappers;
+  }
+
+  // Sends independent `actions` ({ wrapper, method, args, label }), which may be mined in any order, without waiting
+  // for each other, then waits for all of them and returns their receipts. Actions which depend on each other are
+  // sent by successive calls. Nonces are assigned by a NonceManager, which also recovers dropped transactions.
+  async sendParallel(actions) {
+    if (!this.nonceManager) this.nonceManager = new NonceManager(this.deployer.signer);
+    // the deployer may have sent transactions since the last call
+    this.nonceManager.reset();
+    const sent = [];
+    const waitAll = () => Promise.all(sent.map(async ({ action, transaction }) => {
+      const receipt = await this.nonceManager.wait(transaction);
+      await this.ledger.record({ ...transaction, hash: receipt.transactionHash }, receipt, {
+        contract: action.wrapper._contract.contractName, method: action.method, label: action.label,
+      });
+      return receipt;
+    }));
+    try {
+      for (const action of actions) {
+        const contract = action.wrapper.contract.connect(this.nonceManager);
+        const transaction = await this.gas.send(contract, action.method, action.args || [], { label: action.label });
+        console.log(`${action.label}: ${transaction.hash} (nonce ${transaction.nonce})`);
+        sent.push({ action, transaction });
+      }
+    } catch (error) {
+      // the transactions already sent are mined anyway
+      await waitAll();
+      throw error;
+    }
+    return waitAll();
+  }
+
+  // Returns the checkpoint journal of a deployment step, reset when --reset-step (or DEPLOY_RESET_STEP=true) is given
+  async checkpoint(step) {
+    const checkpoint = new StepCheckpoint(this.configurator.loader, step, this.deployer);
+    if (process.argv.includes("--reset-step") || process.env.DEPLOY_RESET_STEP === "true") {
+      await checkpoint.reset();
+    } else {
+      await checkpoint.load();
+    }
+    return checkpoint;
+  }
+
+  // Returns the record of the deployment steps applied to the network
+  async appliedSteps() {
+    const genesis = await this.deployer.provider.getBlock(0);
+    const appliedSteps = new AppliedSteps(this.configurator.loader, genesis.hash);
+    await appliedSteps.load();
+    return appliedSteps;
+  }
+
+  // Runs `fn` holding the network-wide deployment lock, which is released whether `fn` succeeds or throws. Plans
+  // never take the lock, they are reported once `fn` returns or throws.
+  async withLock(fn) {
+    if (this.plan) {
+      let failure;
+      try {
+        return await fn();
+      } catch (error) {
+        failure = error;
+        throw error;
+      } finally {
+        await this.plan.report(failure);
+      }
+    }
+    const now = Math.floor(Date.now() / 1000);
+    const lock = {
+      owner: `${os.userInfo().username}@${os.hostname()}:${process.pid}`,
+      token: crypto.randomBytes(16).toString("hex"),
+      createdAt: now,
+      expiresAt: now + DEPLOY_LOCK_TTL,
+    };
+    await this.configurator.loader.acquireLock(lock);
+    this._deploymentLock = lock;
+    try {
+      return await fn();
+    } finally {
+      this._deploymentLock = undefined;
+      await this.configurator.loader.releaseLock(lock);
+    }
   }
 }
 
@@ -0,0 +1,208 @@
+const ethers = require("ethers");
+const fs = require("fs");
+const path = require("path");
+const Table = require("cli-table2");
+
+const ROOT_DIR = path.join(__dirname, "..");
+const FORK_BALANCE = ethers.utils.parseEther("1000");
+const FORK_GAS_LIMIT = 20700000;
+const LOCAL_NODE_URL = "http://localhost:8545";
+
+// Artifacts of build/ and of every build-legacy/ version, used to name and decode what a step sends
+function loadArtifacts() {
+  const dirs = [path.join(ROOT_DIR, "build")];
+  const legacyDir = path.join(ROOT_DIR, "build-legacy");
+  if (fs.existsSync(legacyDir)) {
+    fs.readdirSync(legacyDir).forEach((version) => dirs.push(path.join(legacyDir, version)));
+  }
+  const artifacts = [];
+  dirs.filter((dir) => fs.existsSync(dir)).forEach((dir) => {
+    fs.readdirSync(dir).filter((file) => file.endsWith(".json")).forEach((file) => {
+      const artifact = JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+      if (artifact.abi) artifacts.push(artifact);
+    });
+  });
+  return artifacts;
+}
+
+// Addresses of the config by name, e.g. { "0x...": "GuardianStorage" } for modules.GuardianStorage
+function configAddresses(config, prefix = "") {
+  const addresses = {};
+  Object.keys(config || {}).forEach((key) => {
+    const value = config[key];
+    const keyPath = prefix ? `${prefix}.${key}` : key;
+    if (typeof value === "string" && ethers.utils.isHexString(value) && ethers.utils.hexDataLength(value) === 20) {
+      if (value !== ethers.constants.AddressZero) addresses[value.toLowerCase()] = ["contracts", "modules"].includes(prefix) ? key : keyPath;
+    } else if (value && typeof value === "object" && !Array.isArray(value)) {
+      Object.assign(addresses, configAddresses(value, keyPath));
+    }
+  });
+  return addresses;
+}
+
+function format(value) {
+  if (Array.isArray(value)) return `[${value.map(format).join(", ")}]`;
+  if (ethers.utils.BigNumber.isBigNumber(value)) return value.toString();
+  return String(value);
+}
+
+// Runs a deployment step against a local ganache fork of its target network, then reports what the step would
+// do there: the contracts it deploys, the transactions it sends (decoded, multisig calls included), the config
+// keys it changes and the gas it uses. Nothing is sent to the target network and nothing is saved.
+class DeployPlan {
+  // --plan, or DEPLOY_PLAN=true
+  static get active() {
+    return process.argv.includes("--plan") || process.env.DEPLOY_PLAN === "true";
+  }
+
+  constructor(configurator) {
+    this._configurator = configurator;
+    // price of the target network, set by the DeployManager, for the cost of the plan
+    this.gasPrice = ethers.constants.Zero;
+    this._uploads = [];
+  }
+
+  // URL of the node of the target network, as used by its deployer
+  static nodeUrl(deployerConfig) {
+    if (deployerConfig.type === "infura") {
+      const { network, key } = deployerConfig.options;
+      return `https://${network}.infura.io/v3/${key}`;
+    }
+    if (deployerConfig.type === "jsonrpc") return deployerConfig.options.url;
+    return LOCAL_NODE_URL;
+  }
+
+  // Starts the fork, in-process, with the deployment account funded. The multisig is unlocked so that calls
+  // requiring the signatures of its owners can still be made (see MultisigExecutor).
+  async fork(config, key) {
+    const privateKey = key.startsWith("0x") ? key : `0x${key}`;
+    const ganache = require("ganache-cli"); // eslint-disable-line global-require
+    const multisig = config.contracts.MultiSigWallet;
+    this._ganache = ganache.provider({
+      fork: DeployPlan.nodeUrl(config.settings.deployer),
+      gasLimit: FORK_GAS_LIMIT,
+      accounts: [{ secretKey: privateKey, balance: FORK_BALANCE.toHexString() }],
+      unlocked_accounts: multisig && multisig !== ethers.constants.AddressZero ? [multisig] : [],
+      logger: { log: () => {} },
+    });
+    this.provider = new ethers.providers.Web3Provider(this._ganache);
+    this._multisig = multisig;
+    this._account = new ethers.Wallet(privateKey).address;
+    this._startBlock = await this.provider.getBlockNumber();
+    this._initialConfig = this._configurator.copyConfig();
+    console.log(`Planning on a fork of ${DeployPlan.nodeUrl(config.settings.deployer).replace(/\/v3\/.*/, "/v3/***")} at block ${this._startBlock}`);
+    return this.provider;
+  }
+
+  recordUpload(description) {
+    this._uploads.push(description);
+  }
+
+  // Prints the plan up to `failure`, the error of the step if it threw, and stops the fork. There is nothing to
+  // report when the fork was not started.
+  async report(failure) {
+    if (!this._ganache) return;
+    const artifacts = loadArtifacts();
+    const names = { ...configAddresses(this._configurator.config), ...configAddresses(this._initialConfig) };
+    names[this._account.toLowerCase()] = "deployer";
+    const deployments = [];
+    const transactions = [];
+    const multisigCalls = [];
+
+    // config names do not always match contract names, e.g. contracts.ENSManager is an ArgentENSManager
+    const abiOf = (name) => {
+      const artifact = artifacts.find((a) => a.contractName === name) || artifacts.find((a) => a.contractName === `Argent${name}`);
+      return artifact && artifact.abi;
+    };
+    const interfaceOf = (name) => {
+      const abi = abiOf(name);
+      return abi && new ethers.utils.Interface(abi);
+    };
+    const multisigInterface = interfaceOf("MultiSigWallet");
+    const factoryInterface = interfaceOf("Create2Deployer");
+    const describeCall = (to, data) => {
+      const name = names[to.toLowerCase()] || to;
+      if (data === "0x") return name;
+      const contractInterface = interfaceOf(name);
+      const call = contractInterface && contractInterface.parseTransaction({ data });
+      if (!call) return `${name}: ${data.slice(0, 10)}`;
+      return `${name}.${call.name}(${call.args.map(format).join(", ")})`;
+    };
+    const describeCreation = (initCode) => {
+      const artifact = artifacts
+        .filter((a) => a.bytecode && a.bytecode.length > 2 && initCode.startsWith(a.bytecode))
+        .sort((a1, a2) => a2.bytecode.length - a1.bytecode.length)[0];
+      if (!artifact) return { name: "unknown", args: "" };
+      const constructor = artifact.abi.find((item) => item.type === "constructor");
+      const encodedArgs = `0x${initCode.slice(artifact.bytecode.length)}`;
+      const args = constructor ? ethers.utils.defaultAbiCoder.decode(constructor.inputs, encodedArgs) : [];
+      return { name: artifact.contractName, args: args.map(format).join(", ") };
+    };
+    const recordDeployment = (initCode, address, gas) => {
+      const { name, args } = describeCreation(initCode);
+      names[address.toLowerCase()] = names[address.toLowerCase()] || name;
+      deployments.push({
+        name, address, args, gas,
+      });
+    };
+    const parse = (contractInterface, data) => contractInterface && contractInterface.parseTransaction({ data });
+
+    const latestBlock = await this.provider.getBlockNumber();
+    for (let number = this._startBlock + 1; number <= latestBlock; number += 1) {
+      const block = await this.provider.getBlock(number);
+      for (const hash of block.transactions) {
+        const tx = await this.provider.getTransaction(hash);
+        const receipt = await this.provider.getTransactionReceipt(hash);
+        const gas = receipt.gasUsed;
+        const execute = tx.to && names[tx.to.toLowerCase()] === "MultiSigWallet" && parse(multisigInterface, tx.data);
+        const create2 = tx.to && parse(factoryInterface, tx.data);
+        if (!tx.to) {
+          recordDeployment(tx.data, receipt.contractAddress, gas);
+        } else if (create2 && create2.name === "deploy") {
+          // deterministic deployment through Create2Deployer (settings.create2)
+          const deployed = receipt.logs.map((log) => factoryInterface.parseLog(log)).find((log) => log && log.name === "Deployed");
+          recordDeployment(create2.args[1], deployed.values._contract, gas);
+        } else if (this._multisig && tx.from.toLowerCase() === this._multisig.toLowerCase()) {
+          // sent as the multisig, the owners' signatures are not checked
+          multisigCalls.push({ call: describeCall(tx.to, tx.data), gas });
+        } else if (execute && execute.name === "execute") {
+          multisigCalls.push({ call: describeCall(execute.args[0], execute.args[2]), gas });
+        } else {
+          transactions.push({
+            from: names[tx.from.toLowerCase()] || tx.from, call: describeCall(tx.to, tx.data), value: tx.value, gas,
+          });
+        }
+      }
+    }
+
+    const deploymentTable = new Table({ head: ["Contract", "Address", "Constructor arguments", "Gas"] });
+    deployments.forEach((d) => deploymentTable.push([d.name, d.address, d.args, d.gas.toString()]));
+    const transactionTable = new Table({ head: ["From", "Call", "Value", "Gas"] });
+    transactions.forEach((t) => transactionTable.push([t.from, t.call, ethers.utils.formatEther(t.value), t.gas.toString()]));
+    const multisigTable = new Table({ head: ["Multisig call", "Gas (without signature checks)"] });
+    multisigCalls.forEach((m) => multisigTable.push([m.call, m.gas.toString()]));
+    const configTable = new Table({ head: ["Config key", "Before", "After"] });
+    this._configurator.journal.forEach((entry) => configTable.push([entry.path, JSON.stringify(entry.before), JSON.stringify(entry.after)]));
+
+    const totalGas = deployments.concat(transactions, multisigCalls).reduce((sum, item) => sum.add(item.gas), ethers.utils.bigNumberify(0));
+    console.log("******* Deployment plan *******");
+    console.log(`Deployments (${deployments.length}):`);
+    console.log(deploymentTable.toString());
+    console.log(`Transactions (${transactions.length}):`);
+    console.log(transactionTable.toString());
+    console.log(`Multisig calls (${multisigCalls.length}):`);
+    console.log(multisigTable.toString());
+    console.log(`Config changes (${this._configurator.journal.length}):`);
+    console.log(configTable.toString());
+    this._uploads.forEach((upload) => console.log(`Upload: ${upload}`));
+    if (failure) console.log(`The step failed, nothing after this error is planned: ${failure.message}`);
+    console.log(`Total gas: ${totalGas.toString()}, cost: ${ethers.utils.formatEther(totalGas.mul(this.gasPrice))} ETH `
+      + `at ${ethers.utils.formatUnits(this.gasPrice, "gwei")} gwei`);
+    console.log("Nothing was sent to the network and nothing was saved");
+    console.log("*******************************");
+
+    await new Promise((resolve) => this._ganache.close(resolve));
+  }
+}
+
+module.exports = DeployPlan;
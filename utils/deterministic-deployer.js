@@ -0,0 +1,155 @@
+const ethers = require("ethers");
+const Table = require("cli-table2");
+
+const Create2Deployer = require("../build/Create2Deployer");
+const { GasStrategy } = require("./gas-strategy.js");
+const TransactionLedger = require("./transaction-ledger.js");
+
+// Deterministic deployment proxy (https://github.com/Arachnid/deterministic-deployment-proxy), deployed by a
+// keyless pre-EIP-155 transaction at the same address on every network. It is used to deploy Create2Deployer,
+// which is what deploys the infrastructure, at the same address everywhere.
+const PROXY_ADDRESS = "0x4e59b44847b379578588920cA78FbF26c0B4956C";
+const PROXY_SIGNER = "0x3fAB184622Dc19b6109349B94811493BF2a45362";
+const PROXY_DEPLOYMENT_COST = ethers.utils.bigNumberify("10000000000000000"); // 100000 gas at 100 gwei
+const PROXY_TRANSACTION = "0xf8a58085174876e800830186a08080b853604580600e600039806000f350fe7fffffffffffffffffffffffffffffffffffffffffffffffff"
+  + "ffffffffffffffe03601600081602082378035828234f58015156039578182fd5b8082525050506014600cf31ba02222222222222222222222"
+  + "222222222222222222222222222222222222222222a02222222222222222222222222222222222222222222222222222222222222222";
+
+// Salts are given as strings (hashed) or as 32-byte hex strings
+function toSalt(value) {
+  return ethers.utils.isHexString(value) && ethers.utils.hexDataLength(value) === 32 ? value : ethers.utils.id(value);
+}
+
+function initCode(contract, args) {
+  return new ethers.ContractFactory(contract.abi, contract.bytecode).getDeployTransaction(...args).data;
+}
+
+// Constructor arguments of an entry which do not come from the previous entries of `plan`, such as multisig owners or
+// external contracts of the config, and the entries it depends on which have such arguments themselves
+function networkInputs(args, plan) {
+  return args.reduce((inputs, arg) => {
+    const planned = typeof arg === "string" && plan.find((entry) => entry.address.toLowerCase() === arg.toLowerCase());
+    if (planned) return planned.networkInputs.length > 0 ? inputs.concat(planned.name) : inputs;
+    return inputs.concat(ethers.utils.BigNumber.isBigNumber(arg) ? arg.toString() : JSON.stringify(arg));
+  }, []);
+}
+
+// Deploys contracts through Create2Deployer, at addresses which only depend on the deployment account, the salt
+// (`salts[name]`, or `salt` by default) and the init code. Already deployed contracts are not deployed again.
+// The init code includes the constructor arguments: a contract whose arguments come from the network config (its
+// network inputs, e.g. the multisig owners or the Kyber address of TokenPriceProvider) only gets the same address on
+// the networks where they are the same. The plan lists them.
+// The transactions are recorded in `ledger` when given, and priced by `gas`.
+class DeterministicDeployer {
+  constructor(deployer, { salt = "argent", salts = {} } = {}, ledger, gas = new GasStrategy(deployer.provider)) {
+    this._deployer = deployer;
+    this._salt = salt;
+    this._salts = salts;
+    this._ledger = ledger;
+    this._gas = gas;
+  }
+
+  static get factoryAddress() {
+    return ethers.utils.getCreate2Address({ from: PROXY_ADDRESS, salt: ethers.constants.HashZero, initCode: Create2Deployer.bytecode });
+  }
+
+  // Address of `contract` deployed by `sender` with `salt` and the constructor arguments `args`
+  static computeAddress(sender, salt, contract, args, factory = DeterministicDeployer.factoryAddress) {
+    const senderSalt = ethers.utils.solidityKeccak256(["address", "bytes32"], [sender, toSalt(salt)]);
+    return ethers.utils.getCreate2Address({ from: factory, salt: senderSalt, initCode: initCode(contract, args) });
+  }
+
+  // Computes and prints the addresses of `entries` ({ name, contract, args }), in order, without sending anything.
+  // `args` can be a function of the addresses of the previous entries.
+  async plan(entries) {
+    const sender = await this._deployer.signer.getAddress();
+    const addresses = {};
+    const plan = [];
+    for (const entry of entries) {
+      const args = typeof entry.args === "function" ? entry.args(addresses) : entry.args || [];
+      const salt = this._salts[entry.name] || this._salt;
+      const address = DeterministicDeployer.computeAddress(sender, salt, entry.contract, args);
+      const deployed = (await this._deployer.provider.getCode(address)) !== "0x";
+      addresses[entry.name] = address;
+      plan.push({
+        ...entry, args, salt, address, deployed, networkInputs: networkInputs(args, plan),
+      });
+    }
+
+    const table = new Table({ head: ["Contract", "Salt", "Address", "Status", "Network inputs"] });
+    plan.forEach((entry) => table.push([
+      entry.name, entry.salt, entry.address, entry.deployed ? "deployed" : "to deploy", entry.networkInputs.join("\n"),
+    ]));
+    console.log(`Deterministic deployment by ${sender} through ${DeterministicDeployer.factoryAddress}:`);
+    console.log(table.toString());
+    const dependent = plan.filter((entry) => entry.networkInputs.length > 0).map((entry) => entry.name);
+    if (dependent.length > 0) {
+      console.log(`${dependent.join(", ")} only get these addresses on other networks with the same network inputs`);
+    }
+    return plan;
+  }
+
+  // Deploys an entry of the plan, or wraps it when it is already deployed
+  async deploy(entry) {
+    const { contract, address } = entry;
+    if ((await this._deployer.provider.getCode(address)) !== "0x") {
+      console.log(`Skipping the deployment of ${entry.name}, already deployed at ${address}`);
+      return this._deployer.wrapDeployedContract(contract, address);
+    }
+
+    await this.setup();
+    const factory = new ethers.Contract(DeterministicDeployer.factoryAddress, Create2Deployer.abi, this._deployer.signer);
+    // Owned contracts are owned by the factory until it hands them over
+    const isOwned = contract.abi.some((item) => item.type === "function" && item.name === "changeOwner");
+    const code = initCode(contract, entry.args);
+    const tx = await this._gas.send(factory, "deploy", [toSalt(entry.salt), code, isOwned], { label: `Deployment of ${entry.name}` });
+    console.log(`Deploying ${entry.name} at ${address} (tx: ${tx.hash})`);
+    await this._wait(tx, { ...TransactionLedger.deployment(contract, address, code), label: "Create2Deployer.deploy" });
+    if ((await this._deployer.provider.getCode(address)) === "0x") {
+      throw new Error(`${entry.name} was not deployed at its deterministic address ${address}`);
+    }
+    return this._deployer.wrapDeployedContract(contract, address);
+  }
+
+  // Deploys the deterministic deployment proxy and Create2Deployer if the network does not have them yet
+  async setup() {
+    if (this._ready) return;
+    const { provider, signer } = this._deployer;
+    const from = await signer.getAddress();
+    if ((await provider.getCode(PROXY_ADDRESS)) === "0x") {
+      const balance = await provider.getBalance(PROXY_SIGNER);
+      if (balance.lt(PROXY_DEPLOYMENT_COST)) {
+        const fund = { to: PROXY_SIGNER, value: PROXY_DEPLOYMENT_COST.sub(balance) };
+        const fundTx = await signer.sendTransaction({ ...fund, ...(await this._gas.overrides({ ...fund, from })) });
+        await this._wait(fundTx, { label: "Fund the deterministic deployment proxy signer" });
+      }
+      try {
+        const proxyTx = await provider.sendTransaction(PROXY_TRANSACTION);
+        await this._wait(proxyTx, { contract: "DeterministicDeploymentProxy", method: "constructor" });
+      } catch (error) {
+        throw new Error(`Cannot deploy the deterministic deployment proxy (does the network accept pre-EIP-155 transactions?): ${error.message}`);
+      }
+      console.log(`Deployed the deterministic deployment proxy at ${PROXY_ADDRESS}`);
+    }
+
+    const { factoryAddress } = DeterministicDeployer;
+    if ((await provider.getCode(factoryAddress)) === "0x") {
+      const data = ethers.utils.hexConcat([ethers.constants.HashZero, Create2Deployer.bytecode]);
+      const deployment = { to: PROXY_ADDRESS, data };
+      const overrides = await this._gas.overrides({ ...deployment, from }, "Deployment of Create2Deployer");
+      const tx = await signer.sendTransaction({ ...deployment, ...overrides });
+      await this._wait(tx, { contract: "Create2Deployer", method: "constructor" });
+      if ((await provider.getCode(factoryAddress)) === "0x") throw new Error(`Create2Deployer was not deployed at ${factoryAddress}`);
+      console.log(`Deployed Create2Deployer at ${factoryAddress}`);
+    }
+    this._ready = true;
+  }
+
+  async _wait(tx, details) {
+    const receipt = await tx.wait();
+    if (this._ledger) await this._ledger.record(tx, receipt, details);
+    return receipt;
+  }
+}
+
+module.exports = DeterministicDeployer;
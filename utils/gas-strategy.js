@@ -0,0 +1,114 @@
+// eslint-disable-next-line max-classes-per-file
+const ethers = require("ethers");
+
+// Price when the config sets none, as before gas strategies
+const DEFAULT_GAS_PRICE = ethers.utils.bigNumberify(process.env.DEPLOYER_GAS_PRICE || 20000000000);
+// Safety margin added to gas estimates, e.g. 0.2 for 20%
+const DEFAULT_MARGIN = 0.2;
+
+const gwei = (value) => ethers.utils.parseUnits(String(value), "gwei");
+// `value` times a decimal factor, to a thousandth
+const scale = (value, factor) => value.mul(Math.round(factor * 1000)).div(1000);
+
+// Gas price strategies: gasPrice() returns the price of the next transaction
+
+class FixedGasPrice {
+  constructor(price = DEFAULT_GAS_PRICE) {
+    this._price = ethers.utils.bigNumberify(price);
+  }
+
+  async gasPrice() {
+    return this._price;
+  }
+}
+
+// The node's price times `multiplier`, up to `cap` when given
+class ProviderGasPrice {
+  constructor(provider, multiplier = 1, cap) {
+    this._provider = provider;
+    this._multiplier = multiplier;
+    this._cap = cap && ethers.utils.bigNumberify(cap);
+  }
+
+  async gasPrice() {
+    const price = scale(await this._provider.getGasPrice(), this._multiplier);
+    return this._cap && price.gt(this._cap) ? this._cap : price;
+  }
+}
+
+// Gas prices and limits of the transactions sent by the deployment steps and scripts, set by settings.gas:
+// { price: { strategy: "fixed", price: 20 } or { strategy: "provider", multiplier: 1.2, cap: 150 } (gwei),
+//   margin: 0.2, steps: { "7_upgrade_2_0": { strategy: "fixed", price: 80 } } }
+// The price of the current `step` overrides the default one. Limits are estimated with a safety margin, and a
+// transaction whose estimate reverts is not sent.
+class GasStrategy {
+  constructor(provider, settings = {}, priceProvider = provider) {
+    this._provider = provider;
+    this._priceProvider = priceProvider;
+    this._settings = settings;
+    this._margin = settings.margin === undefined ? DEFAULT_MARGIN : settings.margin;
+    this.step = undefined;
+  }
+
+  static price(provider, {
+    strategy = "fixed", price, multiplier, cap,
+  } = {}) {
+    if (strategy === "provider") return new ProviderGasPrice(provider, multiplier, cap && gwei(cap));
+    return new FixedGasPrice(price === undefined ? DEFAULT_GAS_PRICE : gwei(price));
+  }
+
+  async gasPrice() {
+    const steps = this._settings.steps || {};
+    return GasStrategy.price(this._priceProvider, steps[this.step] || this._settings.price).gasPrice();
+  }
+
+  // Estimated gas of `transaction` ({ from, to, data, value }) plus the margin
+  async gasLimit(transaction, label = "Transaction") {
+    const {
+      from, to, data, value,
+    } = transaction;
+    let estimate;
+    try {
+      estimate = await this._provider.estimateGas({
+        from, to, data, value,
+      });
+    } catch (error) {
+      throw new Error(`${label} would revert, not sending it: ${error.message}`);
+    }
+    return scale(estimate, 1 + this._margin);
+  }
+
+  async overrides(transaction, label) {
+    return { gasPrice: await this.gasPrice(), gasLimit: await this.gasLimit(transaction, label) };
+  }
+
+  // Sends `method(...args)` to an ethers contract with the price and limit of the strategy
+  async send(contract, method, args = [], { value, label = method } = {}) {
+    const transaction = {
+      from: await contract.signer.getAddress(),
+      to: contract.address,
+      data: contract.interface.functions[method].encode(args),
+      value,
+    };
+    const overrides = await this.overrides(transaction, label);
+    return contract[method](...args, value ? { ...overrides, value } : overrides);
+  }
+
+  // Sets the price and limit of the contracts deployed by an etherlime deployer
+  instrument(deployer) {
+    const overrideDeployTransactionConfig = deployer._overrideDeployTransactionConfig.bind(deployer);
+    // eslint-disable-next-line no-param-reassign
+    deployer._overrideDeployTransactionConfig = async (deployTransaction) => {
+      const transaction = await overrideDeployTransactionConfig(deployTransaction);
+      const from = await deployer.signer.getAddress();
+      return { ...transaction, ...(await this.overrides({ ...transaction, from }, "Deployment")) };
+    };
+    return deployer;
+  }
+}
+
+module.exports = {
+  GasStrategy,
+  FixedGasPrice,
+  ProviderGasPrice,
+};
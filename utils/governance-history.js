@@ -0,0 +1,134 @@
+const ethers = require("ethers");
+
+const MultisigProposal = require("./multisig-proposal.js");
+
+const MULTISIG_ABI = [
+  "event OwnerAdded(address indexed owner)",
+  "event OwnerRemoved(address indexed owner)",
+  "event ThresholdChanged(uint256 indexed newThreshold)",
+  "event Executed(address indexed destination, uint256 indexed value, bytes data)",
+  "event Received(uint256 indexed value, address indexed from)",
+  "function execute(address _to, uint256 _value, bytes _data, bytes _signatures)",
+];
+// Blocks per eth_getLogs request, as nodes limit the size of log queries
+const LOG_CHUNK = parseInt(process.env.GOVERNANCE_LOG_CHUNK || 50000, 10);
+const SIGNATURE_LENGTH = 65;
+
+// Governance log of a MultiSigWallet rebuilt from its events, in chronological order:
+// - OwnerAdded, OwnerRemoved, ThresholdChanged: { owner } or { threshold }, with the owners and threshold after them,
+// - Executed: { destination, value, data, call, summary, signers: [{ address, owner }] }, the call decoded by a
+//   ProposalDecoder,
+// - Received: { value, from }.
+// Every entry also has { event, blockNumber, timestamp, transactionHash, logIndex, sender }. The signers of executed
+// transactions are recovered from the signatures sent to execute, whose nonce is the number of transactions executed
+// before: they are only known when the log includes the deployment of the multisig. A signer is an `owner` when it
+// was one before the transaction.
+class GovernanceHistory {
+  constructor(provider, multisig, decoder) {
+    this._provider = provider;
+    this._multisig = multisig;
+    this._decoder = decoder;
+    this._abi = new ethers.utils.Interface(MULTISIG_ABI);
+    this._blocks = {};
+  }
+
+  async load(fromBlock = 0, toBlock) {
+    const lastBlock = toBlock === undefined ? await this._provider.getBlockNumber() : toBlock;
+    const logs = [];
+    for (let start = fromBlock; start <= lastBlock; start += LOG_CHUNK) {
+      const end = Math.min(start + LOG_CHUNK - 1, lastBlock);
+      logs.push(...await this._provider.getLogs({ address: this._multisig, fromBlock: start, toBlock: end }));
+    }
+    logs.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+    const owners = [];
+    let threshold;
+    let nonce;
+    // owners before the transaction of the current log: an executed transaction can change the owners who signed it
+    // (e.g. removeOwner), and its OwnerRemoved log comes before its Executed log
+    let transactionHash;
+    let signingOwners;
+    const entries = [];
+    for (const log of logs) {
+      const parsed = this._abi.parseLog(log);
+      if (log.transactionHash !== transactionHash) {
+        transactionHash = log.transactionHash;
+        signingOwners = [...owners];
+      }
+      if (parsed) {
+        const entry = {
+          event: parsed.name,
+          blockNumber: log.blockNumber,
+          timestamp: await this._timestamp(log.blockNumber),
+          transactionHash: log.transactionHash,
+          logIndex: log.logIndex,
+        };
+        const transaction = await this._provider.getTransaction(log.transactionHash);
+        entry.sender = transaction.from;
+        // the multisig's nonce is only known from its deployment on
+        if ((transaction.creates || "").toLowerCase() === this._multisig.toLowerCase()) nonce = 0;
+        const { values } = parsed;
+        if (parsed.name === "OwnerAdded") {
+          owners.push(values.owner);
+          Object.assign(entry, { owner: values.owner, owners: [...owners], threshold });
+        } else if (parsed.name === "OwnerRemoved") {
+          owners.splice(owners.findIndex((owner) => owner.toLowerCase() === values.owner.toLowerCase()), 1);
+          Object.assign(entry, { owner: values.owner, owners: [...owners], threshold });
+        } else if (parsed.name === "ThresholdChanged") {
+          threshold = values.newThreshold.toNumber();
+          Object.assign(entry, { threshold, owners: [...owners] });
+        } else if (parsed.name === "Executed") {
+          const transactionData = { to: values.destination, value: values.value, data: values.data };
+          const decoded = this._decoder.decode(transactionData);
+          Object.assign(entry, {
+            destination: values.destination,
+            value: values.value.toString(),
+            data: values.data,
+            call: decoded.call,
+            summary: this._decoder.describe(decoded),
+          });
+          const signers = nonce !== undefined && this._signers(transaction, transactionData, nonce);
+          if (signers) {
+            const ownersBefore = signingOwners.map((owner) => owner.toLowerCase());
+            const isOwner = (address) => ownersBefore.includes(address.toLowerCase());
+            entry.signers = signers.map((address) => ({ address, owner: isOwner(address) }));
+          }
+          if (nonce !== undefined) nonce += 1;
+        } else if (parsed.name === "Received") {
+          Object.assign(entry, { value: values.value.toString(), from: values.from });
+        }
+        entries.push(entry);
+      }
+    }
+    return {
+      multisig: this._multisig, fromBlock, toBlock: lastBlock, owners, threshold, entries,
+    };
+  }
+
+  // Addresses which signed an execute transaction for `nonce`, undefined when the transaction did not call execute
+  // with this call directly (e.g. through another contract)
+  _signers(transaction, { to, value, data }, nonce) {
+    let parsed;
+    try {
+      parsed = transaction.to && transaction.to.toLowerCase() === this._multisig.toLowerCase() && this._abi.parseTransaction(transaction);
+    } catch (error) {
+      return undefined;
+    }
+    if (!parsed || parsed.name !== "execute" || parsed.args[0].toLowerCase() !== to.toLowerCase() || parsed.args[2] !== data) return undefined;
+    const signHash = ethers.utils.arrayify(MultisigProposal.signHash(this._multisig, to, value, data, nonce));
+    const signatures = parsed.args[3];
+    const signers = [];
+    for (let index = 0; index < ethers.utils.hexDataLength(signatures) / SIGNATURE_LENGTH; index += 1) {
+      const signature = ethers.utils.hexDataSlice(signatures, index * SIGNATURE_LENGTH, (index + 1) * SIGNATURE_LENGTH);
+      signers.push(ethers.utils.verifyMessage(signHash, signature));
+    }
+    return signers;
+  }
+
+  async _timestamp(blockNumber) {
+    if (!this._blocks[blockNumber]) this._blocks[blockNumber] = this._provider.getBlock(blockNumber);
+    return (await this._blocks[blockNumber]).timestamp;
+  }
+}
+
+module.exports = GovernanceHistory;
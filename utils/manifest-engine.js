@@ -0,0 +1,111 @@
+const Ajv = require("ajv");
+const path = require("path");
+
+const schema = require("./manifest-schema.json");
+
+const ajv = Ajv({ allErrors: true });
+
+const ROOT_DIR = path.join(__dirname, "..");
+
+const getPath = (object, keyPath) => keyPath.split(".").reduce((node, key) => (node === undefined || node === null ? undefined : node[key]), object);
+
+// Executes a deployment manifest (see manifest-schema.json) on top of a DeployManager: deploys its contracts
+// in order (through `checkpoint` when given), wires their managers and owner, and records their addresses in the
+// config. Constructor arguments, managers and owners are literals, config values ({ "$config": "settings.lockPeriod",
+// "default": 0 }, optionally only on some "networks") or addresses of contracts of the manifest ({ "$contract": "GuardianStorage" }).
+class ManifestEngine {
+  constructor(manager, checkpoint) {
+    this._manager = manager;
+    this._checkpoint = checkpoint;
+    this.wrappers = {};
+  }
+
+  static validate(manifest) {
+    if (!ajv.validate(schema, manifest)) {
+      console.log(ajv.errors);
+      throw new Error("Deployment manifest is not valid");
+    }
+    const names = [];
+    const checkValue = (value, name) => {
+      if (value && value.$contract && !names.includes(value.$contract)) {
+        throw new Error(`${name} references ${value.$contract}, which is not deployed before it by the manifest`);
+      }
+    };
+    manifest.contracts.forEach((contract) => {
+      if (names.includes(contract.name)) throw new Error(`${contract.name} is deployed twice by the manifest`);
+      (contract.args || []).forEach((value) => checkValue(value, contract.name));
+      names.push(contract.name);
+      (contract.managers || []).concat(contract.owner || []).forEach((value) => checkValue(value, contract.name));
+    });
+  }
+
+  // Returns the value of a manifest value given the addresses of the contracts deployed so far
+  resolve(value, addresses) {
+    if (value && value.$contract) {
+      return addresses[value.$contract];
+    }
+    if (value && value.$config) {
+      const { network } = this._manager;
+      if (value.networks && !value.networks.includes(network)) return value.default;
+      const resolved = getPath(this._manager.configurator.config, value.$config);
+      if (resolved !== undefined) return resolved;
+      if (value.default === undefined) throw new Error(`Config value ${value.$config} is required by the deployment manifest`);
+      return value.default;
+    }
+    return value;
+  }
+
+  async run(manifest) {
+    ManifestEngine.validate(manifest);
+    const { configurator } = this._manager;
+
+    // Deploy
+    const entries = manifest.contracts.map((contract) => ({
+      name: contract.name,
+      contract: require(path.join(ROOT_DIR, contract.artifact)), // eslint-disable-line global-require, import/no-dynamic-require
+      args: (addresses) => (contract.args || []).map((value) => this.resolve(value, addresses)),
+    }));
+    this.wrappers = await this._manager.deployAll(entries, this._checkpoint);
+    const addresses = {};
+    Object.keys(this.wrappers).forEach((name) => { addresses[name] = this.wrappers[name].contractAddress; });
+
+    // Wire managers, then owners since only the owner can add managers
+    for (const contract of manifest.contracts) {
+      const managers = [].concat(...(contract.managers || []).map((value) => this.resolve(value, addresses)));
+      for (const account of managers) {
+        await this._wire(contract.name, "managers", account, "addManager", `Set ${account} as the manager of the ${contract.name}`);
+      }
+    }
+    for (const contract of manifest.contracts.filter((c) => c.owner)) {
+      const owner = this.resolve(contract.owner, addresses);
+      await this._wire(contract.name, "owner", owner, "changeOwner", `Set ${owner} as the owner of the ${contract.name}`);
+    }
+
+    // Update config
+    manifest.contracts.filter((contract) => contract.config).forEach((contract) => {
+      configurator.set(contract.config, addresses[contract.name], `${contract.name} deployed`);
+    });
+    return this.wrappers;
+  }
+
+  async uploadAbis(manifest) {
+    const { abiUploader } = this._manager;
+    await Promise.all(manifest.contracts
+      .filter((contract) => contract.abiUpload)
+      .map((contract) => abiUploader.upload(this.wrappers[contract.name], contract.abiUpload)));
+  }
+
+  // Sends `method(account)` unless the contract is already wired, e.g. by a previous run of the step
+  async _wire(name, getter, account, method, message) {
+    const wrapper = this.wrappers[name];
+    const current = getter === "owner" ? await wrapper.contract.owner() : await wrapper.contract.managers(account);
+    if (current === true || (typeof current === "string" && current.toLowerCase() === account.toLowerCase())) {
+      console.log(`Skipping ${name}.${method}(${account}), already done`);
+      return;
+    }
+    const tx = await this._manager.gas.send(wrapper.contract, method, [account], { label: message });
+    await wrapper.verboseWaitForTransaction(tx, message);
+  }
+}
+
+module.exports = ManifestEngine;
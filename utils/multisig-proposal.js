@@ -0,0 +1,113 @@
+const ethers = require("ethers");
+const fs = require("fs");
+const path = require("path");
+
+const utils = require("./utilities.js");
+
+// BigNumbers of decoded calls are written as decimal strings
+const toJson = (value) => {
+  if (ethers.utils.BigNumber.isBigNumber(value)) return value.toString();
+  if (Array.isArray(value)) return value.map(toJson);
+  return value;
+};
+
+// A multisig transaction waiting for signatures, saved as a JSON file which signers sign one after another:
+// { chainId, multisig, to, value, data, nonce, signHash, threshold, call: { contract, method, params },
+//   signatures: [{ address, sig }] }
+// `call` is absent for raw calls and transfers. It is only valid for the nonce of the multisig it was proposed at.
+class MultisigProposal {
+  constructor(fields) {
+    Object.assign(this, { value: "0", signatures: [] }, fields);
+  }
+
+  // Hash signed by the owners of `walletAddr` to execute a call to `destinationAddr` (see MultiSigWallet.execute)
+  static signHash(walletAddr, destinationAddr, value, data, nonce) {
+    const input = `0x${[
+      "0x19",
+      "0x00",
+      walletAddr,
+      destinationAddr,
+      ethers.utils.hexZeroPad(ethers.utils.hexlify(ethers.utils.bigNumberify(value)), 32),
+      data,
+      ethers.utils.hexZeroPad(ethers.utils.hexlify(nonce), 32),
+    ].map((hex) => hex.slice(2)).join("")}`;
+
+    return utils.sha3(input);
+  }
+
+  // Proposal of `method(...params)` on a contract wrapper, executed by `multisigWrapper`
+  static async create(multisigWrapper, contractWrapper, method, params, value = 0) {
+    return MultisigProposal.forTransaction(multisigWrapper, {
+      to: contractWrapper.contractAddress,
+      value,
+      data: contractWrapper.contract.interface.functions[method].encode(params),
+      call: { contract: contractWrapper._contract.contractName, method, params },
+    });
+  }
+
+  // Proposal of any transaction { to, value, data } of `multisigWrapper`; `call` describes the decoded call if any
+  static async forTransaction(multisigWrapper, {
+    to, value = 0, data = "0x", call,
+  }) {
+    const { contract, contractAddress } = multisigWrapper;
+    const nonce = (await contract.nonce()).toNumber();
+    const { chainId } = await contract.provider.getNetwork();
+    return new MultisigProposal({
+      chainId,
+      multisig: contractAddress,
+      to,
+      value: ethers.utils.bigNumberify(value).toString(),
+      data,
+      nonce,
+      signHash: MultisigProposal.signHash(contractAddress, to, value, data, nonce),
+      threshold: (await contract.threshold()).toNumber(),
+      call: call && { ...call, params: toJson(call.params) },
+    });
+  }
+
+  // signHash of the transaction of the proposal, to check its `signHash` against
+  get expectedSignHash() {
+    return MultisigProposal.signHash(this.multisig, this.to, this.value, this.data, this.nonce);
+  }
+
+  static load(file) {
+    return new MultisigProposal(JSON.parse(fs.readFileSync(file, "utf8")));
+  }
+
+  save(file) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, `${JSON.stringify(this, null, 2)}\n`);
+  }
+
+  // File name of the proposal in a proposal directory, e.g. 12-ModuleRegistry.registerModule.json, or 12-<to>.json
+  // for calls without artifact and transfers
+  get fileName() {
+    return `${this.nonce}-${this.call ? `${this.call.contract}.${this.call.method}` : this.to}.json`;
+  }
+
+  // Appends the signature of `signer` (an ethers Signer)
+  async sign(signer) {
+    const address = await signer.getAddress();
+    if (this.signatures.some((signature) => signature.address.toLowerCase() === address.toLowerCase())) {
+      throw new Error(`${address} has already signed the proposal`);
+    }
+    // to make sure signature ends with 27/28
+    const sig = ethers.utils.joinSignature(ethers.utils.splitSignature(await signer.signMessage(ethers.utils.arrayify(this.signHash))));
+    this.signatures.push({ address, sig });
+    return sig;
+  }
+
+  // Signatures as expected by MultiSigWallet.execute: concatenated by increasing signer address
+  get packedSignatures() {
+    const sorted = [...this.signatures].sort((s1, s2) => {
+      const bn1 = ethers.utils.bigNumberify(s1.address);
+      const bn2 = ethers.utils.bigNumberify(s2.address);
+      if (bn1.lt(bn2)) return -1;
+      if (bn1.gt(bn2)) return 1;
+      return 0;
+    });
+    return `0x${sorted.map((s) => s.sig.slice(2)).join("")}`;
+  }
+}
+
+module.exports = MultisigProposal;
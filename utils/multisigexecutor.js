@@ -1,93 +1,158 @@
 const ethers = require("ethers");
-const inquirer = require("inquirer");
+const fs = require("fs");
+const path = require("path");
 
-const utils = require("./utilities.js");
+const DeployPlan = require("./deploy-plan.js");
+const { GasStrategy } = require("./gas-strategy.js");
+const MultisigProposal = require("./multisig-proposal.js");
+const ProposalDecoder = require("./proposal-decoder.js");
+
+// Directory of the proposals of multisig transactions waiting for signatures
+const PROPOSAL_DIR = process.env.MULTISIG_PROPOSAL_DIR || path.join(process.cwd(), "proposals");
 
 class MultisigExecutor {
-  constructor(multisigWrapper, ownerWallet, autoSign = true, overrides = {}) {
+  // `gas` is the GasStrategy of the deployment (DeployManager.gas), a fixed default price otherwise.
+  // Without autosign, a call is proposed and the step or script sending it stops, to be run again once the proposal
+  // is signed. Only `resumable` ones may do so: the calls of their next run must be the same, which excludes e.g. the
+  // calls to contracts they deploy, and what their previous runs executed must be skipped.
+  constructor(multisigWrapper, ownerWallet, autoSign = true, gas = new GasStrategy(multisigWrapper.contract.provider), { resumable = false } = {}) {
+    if (autoSign !== true && !resumable && !DeployPlan.active) {
+      throw new Error("multisig.autosign is off and this step cannot be run again once its multisig transactions are signed: "
+        + "propose them with scripts/multisigProposal.js instead");
+    }
     this._multisigWrapper = multisigWrapper;
     this._ownerWallet = ownerWallet;
     this._autoSign = autoSign;
-    this._overrides = Object.assign(overrides, { gasLimit: 1000000 });
+    this._gas = gas;
+    this.proposalDir = PROPOSAL_DIR;
   }
 
   async executeCall(contractWrapper, method, params) {
-    const { contractAddress } = contractWrapper;
-
     // Encode the method call with its parameters
     const data = contractWrapper.contract.interface.functions[method].encode(params);
+    const call = { contract: contractWrapper._contract.contractName, method, params };
+    return this._execute({ to: contractWrapper.contractAddress, data, call }, `${call.contract}.${method}`);
+  }
 
-    // Get the nonce
-    const nonce = (await this._multisigWrapper.contract.nonce()).toNumber();
+  // Call of `data` with `value` wei from the multisig, e.g. to a contract without artifact
+  async executeRaw(to, value, data) {
+    return this._execute({ to, value, data }, `call to ${to} with ${ethers.utils.formatEther(value)} ETH`);
+  }
 
-    // Get the sign Hash
-    const signHash = MultisigExecutor.signHash(this._multisigWrapper.contractAddress, contractAddress, 0, data, nonce);
+  // Transfer of `amount` wei from the multisig
+  async executeTransfer(to, amount) {
+    return this._execute({ to, value: amount, data: "0x" }, `transfer of ${ethers.utils.formatEther(amount)} ETH to ${to}`);
+  }
 
+  async _execute(transaction, description) {
+    const { to, value = 0, data } = transaction;
+    const label = `Multisig Execute Transaction: ${description}`;
+
+    if (DeployPlan.active && this._autoSign !== true) {
+      // Plans run on a fork where the multisig is unlocked: the call is sent as the multisig instead of collecting signatures
+      const multisigSigner = this._multisigWrapper.contract.provider.getSigner(this._multisigWrapper.contractAddress);
+      const gasLimit = await this._gas.gasLimit({
+        from: this._multisigWrapper.contractAddress, to, data, value,
+      }, label);
+      const sent = await multisigSigner.sendTransaction({
+        to, data, value, gasLimit, gasPrice: 0,
+      });
+      return this._multisigWrapper.verboseWaitForTransaction(sent, `${label} (plan)`);
+    }
+
+    const proposal = await MultisigProposal.forTransaction(this._multisigWrapper, transaction);
     if (this._autoSign === true) {
       // Get the off chain signature
-      const signHashBuffer = Buffer.from(signHash.slice(2), "hex");
-      let signature = await this._ownerWallet.signMessage(signHashBuffer);
-
-      // to make sure signature ends with 27/28
-      const split = ethers.utils.splitSignature(signature);
-      signature = ethers.utils.joinSignature(split);
-
-      // Call "execute" on the Multisig wallet with data and signatures
-      const executeTransaction = await this._multisigWrapper.contract.execute(contractAddress, 0, data, signature, this._overrides);
-      const result = await this._multisigWrapper.verboseWaitForTransaction(executeTransaction, "Multisig Execute Transaction");
+      await proposal.sign(this._ownerWallet);
+      return this.submit(proposal, label);
+    }
 
-      return result;
+    // Without autosign, the call is proposed in a file which the owners sign offline (see scripts/multisigProposal.js).
+    // The step stops until the proposal has enough signatures and is run again, which submits it.
+    const file = path.join(this.proposalDir, proposal.fileName);
+    const signed = fs.existsSync(file) && MultisigProposal.load(file);
+    if (signed && signed.signHash === proposal.signHash && signed.signatures.length >= proposal.threshold) {
+      return this.submit(signed, label);
     }
-    // Get the threshold
-    const threshold = (await this._multisigWrapper.contract.threshold()).toNumber();
+    if (!signed || signed.signHash !== proposal.signHash) proposal.save(file);
 
     console.log("******* MultisigExecutor *******");
-    console.log(`Signing data for transaction to ${contractWrapper._contract.contractName} located at ${contractAddress}:`);
+    console.log(`Proposed ${description}:`);
     console.log(`multisig: ${this._multisigWrapper.contractAddress}`);
-    console.log(`to:       ${contractAddress}`);
-    console.log("value:    0");
+    // the call as decoded from the build artifacts, for the signers
+    const decoder = new ProposalDecoder();
+    decoder.render(decoder.decode(proposal)).forEach((line) => console.log(line));
     console.log(`data:     ${data}`);
-    console.log(`nonce:    ${nonce}`);
-    console.log(`SignHash: ${signHash}`);
-    console.log(`Required signatures: ${threshold}`);
+    console.log(`nonce:    ${proposal.nonce}`);
+    console.log(`SignHash: ${proposal.signHash}`);
+    console.log(`Required signatures: ${proposal.threshold}, collected: ${signed ? signed.signatures.length : 0}`);
     console.log("********************************");
+    throw new Error(`The multisig transaction is waiting for signatures in ${file}: sign it with `
+      + `"node scripts/multisigProposal.js sign --proposal ${file} --keystore <keystore>", then run the step again`);
+  }
 
-    const signaturesOutput = await inquirer.prompt(Array(threshold).fill(0).map((value, index) => ({
-      type: "input",
-      name: `signature_${index}`,
-      message: `Please provide signature ${index + 1}/${threshold}`,
-    })));
+  // Executes a proposal signed by at least threshold owners, once its signatures are verified
+  async submit(proposal, label = `Multisig Execute Transaction: ${proposal.fileName.replace(/^\d+-|\.json$/g, "")}`) {
+    const signatures = await this.verify(proposal);
 
-    const parsedSignatures = Object.values(signaturesOutput).map((signature) => JSON.parse(signature));
-    const sortedSignatures = parsedSignatures.sort((s1, s2) => {
-      const bn1 = ethers.utils.bigNumberify(s1.address);
-      const bn2 = ethers.utils.bigNumberify(s2.address);
-      if (bn1.lt(bn2)) return -1;
-      if (bn1.gt(bn2)) return 1;
-      return 0;
-    });
+    // Call "execute" on the Multisig wallet with data and signatures
+    const args = [proposal.to, proposal.value, proposal.data, signatures];
+    const executeTransaction = await this._gas.send(this._multisigWrapper.contract, "execute", args, { label });
+    return this._multisigWrapper.verboseWaitForTransaction(executeTransaction, label);
+  }
 
-    const signatures = `0x${sortedSignatures.map((s) => s.sig.slice(2)).join("")}`;
+  // Checks a proposal against the multisig before it is submitted, as MultiSigWallet.execute would, and returns its
+  // packed signatures. Each signature must recover to the address it was added for, which must be a current owner
+  // signing once, and the proposal must be for the chain of the multisig and its current nonce, with at least
+  // threshold signatures.
+  async verify(proposal) {
+    const { contract, contractAddress } = this._multisigWrapper;
+    if (proposal.multisig.toLowerCase() !== contractAddress.toLowerCase()) {
+      throw new Error(`The proposal is for the multisig ${proposal.multisig}, not ${contractAddress}`);
+    }
+    const { chainId } = await contract.provider.getNetwork();
+    if (proposal.chainId !== chainId) {
+      throw new Error(`The proposal is for the chain ${proposal.chainId}, the multisig is on chain ${chainId}`);
+    }
+    const nonce = (await contract.nonce()).toNumber();
+    if (nonce !== proposal.nonce) {
+      const reason = nonce > proposal.nonce ? "it is stale, another transaction was executed since" : "it is not reached yet";
+      throw new Error(`The proposal was signed for the nonce ${proposal.nonce} and the multisig is at ${nonce}: ${reason}`);
+    }
+    const signHash = proposal.expectedSignHash;
+    if (signHash !== proposal.signHash) {
+      throw new Error(`The signHash of the proposal ${proposal.signHash} does not match its transaction, whose signHash is ${signHash}`);
+    }
 
-    // Call "execute" on the Multisig wallet with data and signatures
-    const executeTransaction = await this._multisigWrapper.contract.execute(contractAddress, 0, data, signatures, this._overrides);
-    const result = await this._multisigWrapper.verboseWaitForTransaction(executeTransaction, "Multisig Execute Transaction");
+    const signers = {};
+    for (const [index, { address, sig }] of proposal.signatures.entries()) {
+      const bad = (reason) => new Error(`Signature ${index + 1} of ${address} (${sig}) ${reason}`);
+      let signer;
+      try {
+        // v is read from the signature itself, as splitSignature normalizes a v of 0 or 1 which the multisig rejects
+        const bytes = ethers.utils.arrayify(sig);
+        if (bytes.length !== 65) throw new Error(`${bytes.length} bytes instead of 65`);
+        if (bytes[64] !== 27 && bytes[64] !== 28) throw new Error(`invalid v ${bytes[64]}`);
+        signer = ethers.utils.verifyMessage(ethers.utils.arrayify(signHash), sig);
+      } catch (error) {
+        throw bad(`is malformed: ${error.message}`);
+      }
+      if (signer.toLowerCase() !== address.toLowerCase()) throw bad(`was made by ${signer}, not by ${address}`);
+      if (signers[signer] !== undefined) throw bad(`is a duplicate of signature ${signers[signer] + 1}, the owner signed twice`);
+      if (!(await contract.isOwner(signer))) throw bad(`was made by ${signer}, which is not an owner of the multisig`);
+      signers[signer] = index;
+    }
 
-    return result;
+    const threshold = (await contract.threshold()).toNumber();
+    if (proposal.signatures.length < threshold) {
+      throw new Error(`The proposal has ${proposal.signatures.length} signature(s), ${threshold} are required`);
+    }
+    return proposal.packedSignatures;
   }
 
+  // Hash signed by the owners, see MultisigProposal.signHash
   static signHash(walletAddr, destinationAddr, value, data, nonce) {
-    const input = `0x${[
-      "0x19",
-      "0x00",
-      walletAddr,
-      destinationAddr,
-      ethers.utils.hexZeroPad(ethers.utils.hexlify(value), 32),
-      data,
-      ethers.utils.hexZeroPad(ethers.utils.hexlify(nonce), 32),
-    ].map((hex) => hex.slice(2)).join("")}`;
-
-    return utils.sha3(input);
+    return MultisigProposal.signHash(walletAddr, destinationAddr, value, data, nonce);
   }
 }
 
@@ -0,0 +1,119 @@
+const ethers = require("ethers");
+
+// Time after which a transaction the node no longer knows is considered dropped and sent again
+const DROP_TIMEOUT = parseInt(process.env.DEPLOY_DROP_TIMEOUT || 300, 10) * 1000;
+const POLL_INTERVAL = 4000;
+// Replacements must pay at least 10% more than the transaction they replace
+const RESEND_PRICE_BUMP = 1.125;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const sameCall = (a, b) => (a.to || "").toLowerCase() === (b.to || "").toLowerCase() && a.data === b.data
+  && ethers.utils.bigNumberify(a.value || 0).eq(b.value || 0);
+
+// Signer assigning the nonces of the transactions it sends itself, so that independent transactions can be sent
+// one after another without waiting for the previous ones to be mined. wait() waits for a transaction sent by
+// the manager and recovers when it is dropped (sent again with the same nonce at a higher price) or replaced by
+// the same call (e.g. sped up from a wallet). A transaction replaced by another call is an error.
+class NonceManager extends ethers.Signer {
+  constructor(signer, { dropTimeout = DROP_TIMEOUT, pollInterval = POLL_INTERVAL } = {}) {
+    super();
+    this.signer = signer;
+    this.provider = signer.provider;
+    this._dropTimeout = dropTimeout;
+    this._pollInterval = pollInterval;
+    this._sent = {};
+  }
+
+  getAddress() {
+    return this.signer.getAddress();
+  }
+
+  signMessage(message) {
+    return this.signer.signMessage(message);
+  }
+
+  // Forgets the next nonce, read again from the pending transactions of the node on the next send
+  reset() {
+    this._nonce = undefined;
+  }
+
+  _takeNonce() {
+    if (!this._nonce) this._nonce = this.getAddress().then((address) => this.provider.getTransactionCount(address, "pending"));
+    const nonce = this._nonce;
+    this._nonce = nonce.then((value) => value + 1);
+    return nonce;
+  }
+
+  async sendTransaction(transaction) {
+    const nonce = this._takeNonce();
+    try {
+      const request = { ...(await ethers.utils.resolveProperties(transaction)), nonce: await nonce };
+      const block = await this.provider.getBlockNumber();
+      const response = await this.signer.sendTransaction(request);
+      this._sent[response.hash] = { request, block };
+      return response;
+    } catch (error) {
+      // the nonce may not have been used
+      this.reset();
+      throw error;
+    }
+  }
+
+  // Returns the receipt of a transaction sent by the manager, or of the transaction which replaced it
+  async wait(transaction) {
+    const { request, block } = this._sent[transaction.hash];
+    let { hash } = transaction;
+    let unknownSince;
+    for (;;) {
+      const receipt = await this.provider.getTransactionReceipt(hash);
+      if (receipt && receipt.blockNumber) {
+        if (receipt.status === 0) throw new Error(`Transaction ${hash} (nonce ${request.nonce}) failed`);
+        return receipt;
+      }
+
+      const mined = await this.provider.getTransactionCount(await this.getAddress(), "latest");
+      if (mined > request.nonce) {
+        // the nonce is used: by this transaction mined in the meantime, or by another one
+        const replacement = await this._findMined(request.nonce, block);
+        if (!replacement || !sameCall(replacement, request)) {
+          throw new Error(`Transaction ${hash} (nonce ${request.nonce}) was replaced by ${replacement ? replacement.hash : "another transaction"}`);
+        }
+        if (replacement.hash !== hash) console.log(`Transaction ${hash} was replaced by ${replacement.hash}, which sends the same call`);
+        hash = replacement.hash;
+      } else {
+        if (await this.provider.getTransaction(hash)) {
+          unknownSince = undefined;
+        } else if (unknownSince === undefined) {
+          unknownSince = Date.now();
+        } else if (Date.now() - unknownSince >= this._dropTimeout) {
+          hash = await this._resend(request);
+          unknownSince = undefined;
+        }
+        await sleep(this._pollInterval);
+      }
+    }
+  }
+
+  // Sends a dropped transaction again, with the same nonce and a higher price
+  async _resend(request) {
+    const price = ethers.utils.bigNumberify(request.gasPrice).mul(Math.round(RESEND_PRICE_BUMP * 1000)).div(1000);
+    Object.assign(request, { gasPrice: price });
+    const response = await this.signer.sendTransaction(request);
+    console.log(`Transaction with nonce ${request.nonce} was dropped, sent again as ${response.hash}`);
+    return response.hash;
+  }
+
+  // Transaction of the manager's account with `nonce` mined since `fromBlock`
+  async _findMined(nonce, fromBlock) {
+    const address = (await this.getAddress()).toLowerCase();
+    const latest = await this.provider.getBlockNumber();
+    for (let number = fromBlock; number <= latest; number += 1) {
+      const { transactions } = await this.provider.getBlock(number, true);
+      const found = transactions.find((tx) => tx.from.toLowerCase() === address && tx.nonce === nonce);
+      if (found) return found;
+    }
+    return undefined;
+  }
+}
+
+module.exports = NonceManager;
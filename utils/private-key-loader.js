@@ -1,20 +1,49 @@
-const AWS = require("aws-sdk");
+const ethers = require("ethers");
+const fs = require("fs");
+const inquirer = require("inquirer");
+const path = require("path");
 
-const kms = new AWS.KMS();
-const s3 = new AWS.S3();
+const DEFAULT_DERIVATION_PATH = "m/44'/60'/0'/0/0";
 
+// Loads the deployment private key declared in `settings.privateKey`, once its secret references are resolved:
+// - plain: { value }
+// - keystore: { path, password }, a V3 JSON keystore; the password is asked when not configured
+// - mnemonic: { mnemonic, path }, a BIP-39 mnemonic and derivation path (m/44'/60'/0'/0/0 by default)
+// Relative keystore paths are resolved from `baseDir`.
 class PrivateKeyLoader {
-  constructor(s3Bucket, s3Key) {
-    this.s3Bucket = s3Bucket;
-    this.s3Key = s3Key;
+  constructor(privateKey, baseDir = process.cwd()) {
+    this.type = privateKey.type;
+    this.options = privateKey.options || {};
+    this.baseDir = baseDir;
   }
 
   async fetch() {
-    const object = await s3.getObject({ Bucket: this.s3Bucket, Key: this.s3Key }).promise();
-    const data = await kms.decrypt({ CiphertextBlob: object.Body }).promise();
-    const pkey = data.Plaintext.toString("utf8");
+    if (this.type === "plain") {
+      return this.options.value;
+    }
+    if (this.type === "keystore") {
+      const keystorePath = path.resolve(this.baseDir, this.options.path);
+      const json = fs.readFileSync(keystorePath, "utf8");
+      const password = this.options.password !== undefined ? this.options.password : await PrivateKeyLoader._askPassword(keystorePath);
+      let wallet;
+      try {
+        wallet = await ethers.Wallet.fromEncryptedJson(json, password);
+      } catch (error) {
+        throw new Error(`Cannot decrypt the keystore ${keystorePath}: ${error.message}`);
+      }
+      return wallet.privateKey;
+    }
+    if (this.type === "mnemonic") {
+      const derivationPath = this.options.path || DEFAULT_DERIVATION_PATH;
+      if (!ethers.utils.HDNode.isValidMnemonic(this.options.mnemonic)) throw new Error("The deployment mnemonic is not a valid BIP-39 mnemonic");
+      return ethers.Wallet.fromMnemonic(this.options.mnemonic, derivationPath).privateKey;
+    }
+    throw new Error(`Unknown private key type ${this.type}`);
+  }
 
-    return pkey;
+  static async _askPassword(keystorePath) {
+    const { password } = await inquirer.prompt([{ type: "password", name: "password", message: `Password of the keystore ${keystorePath}:` }]);
+    return password;
   }
 }
 
@@ -0,0 +1,150 @@
+const ethers = require("ethers");
+
+const BytecodeVerifier = require("./bytecode-verifier.js");
+
+// BigNumbers of decoded arguments are shown as decimal strings
+const toJson = (value) => {
+  if (ethers.utils.BigNumber.isBigNumber(value)) return value.toString();
+  if (Array.isArray(value)) return value.map(toJson);
+  return value;
+};
+const isAddress = (value) => typeof value === "string" && /^0x[0-9a-fA-F]{40}$/.test(value);
+
+// Printable ASCII of a bytes32 holding a short string (e.g. a module name), undefined otherwise
+function ascii(bytes32) {
+  try {
+    const text = ethers.utils.parseBytes32String(bytes32);
+    return /^[\x20-\x7e]+$/.test(text) ? text : undefined;
+  } catch (error) {
+    return undefined;
+  }
+}
+
+// Addresses of a config by lowercase address: the path of the config value holding them, e.g. modules.GuardianManager
+// or multisig.owners[1]. Unset (zero) addresses are skipped.
+function configLabels(config, prefix = "", labels = {}) {
+  Object.entries(config || {}).forEach(([key, value]) => {
+    const name = Array.isArray(config) ? `${prefix}[${key}]` : `${prefix}${prefix ? "." : ""}${key}`;
+    if (isAddress(value) && !/^0x0{40}$/.test(value)) {
+      if (!labels[value.toLowerCase()]) Object.assign(labels, { [value.toLowerCase()]: name });
+    } else if (value && typeof value === "object") {
+      configLabels(value, name, labels);
+    }
+  });
+  return labels;
+}
+
+// Decodes multisig transactions for their signers: the target is named from the network config and the calldata is
+// decoded against the ABIs of the build artifacts (build/ and build-legacy/). The function is looked up in the
+// artifacts of the target's config name first (e.g. ModuleRegistry or ArgentENSManager), then in every artifact with
+// the same selector. Arguments get hints: config names of addresses, ASCII of bytes32 names and decoded nested calls.
+class ProposalDecoder {
+  constructor(config = {}, artifacts = BytecodeVerifier.loadArtifacts()) {
+    this._labels = configLabels(config);
+    // without config, addresses are not named rather than reported as unknown
+    this._unknown = Object.keys(this._labels).length > 0 ? "not in the config" : undefined;
+    this._functions = {};
+    artifacts.filter(({ artifact }) => artifact.abi).forEach(({ file, artifact }) => {
+      const abi = new ethers.utils.Interface(artifact.abi);
+      Object.keys(abi.functions).filter((key) => key.includes("(")).forEach((signature) => {
+        const { sighash } = abi.functions[signature];
+        this._functions[sighash] = this._functions[sighash] || [];
+        this._functions[sighash].push({ contract: artifact.contractName, file, abi });
+      });
+    });
+  }
+
+  // Config path of `address`, e.g. contracts.ModuleRegistry
+  label(address) {
+    return this._labels[address.toLowerCase()];
+  }
+
+  // { to, label, value, call } of a transaction; `call` is undefined for transfers and `{ selector, unknown: true }`
+  // for calldata matching no artifact
+  decode({ to, value = 0, data = "0x" }) {
+    return {
+      to, label: this.label(to), value: ethers.utils.bigNumberify(value).toString(), call: this.decodeCall(to, data),
+    };
+  }
+
+  // { contract, method, signature, args: [{ name, type, value, hint }], ambiguous } of calldata sent to `to`
+  decodeCall(to, data) {
+    if (ethers.utils.hexDataLength(data) === 0) return undefined;
+    const selector = ethers.utils.hexDataSlice(data, 0, 4);
+    const candidates = this._functions[selector] || [];
+    const name = (this.label(to) || "").split(".").pop();
+    const named = candidates.find(({ contract }) => [name, `Argent${name}`].includes(contract));
+    const match = named || candidates[0];
+    if (!match) return { selector, unknown: true };
+
+    let parsed;
+    try {
+      parsed = match.abi.parseTransaction({ data });
+    } catch (error) {
+      return { selector, unknown: true, error: `does not decode as ${match.contract}: ${error.message}` };
+    }
+    const { inputs } = match.abi.functions[parsed.signature];
+    return {
+      contract: match.contract,
+      method: parsed.name,
+      signature: parsed.signature,
+      args: inputs.map((input, index) => {
+        const argValue = toJson(parsed.args[index]);
+        return {
+          name: input.name, type: input.type, value: argValue, hint: this.hint(input.type, argValue),
+        };
+      }),
+      // the target is not a config contract and several contracts have a function with this selector
+      ambiguous: !named && new Set(candidates.map(({ contract }) => contract)).size > 1,
+    };
+  }
+
+  // Human-readable meaning of an argument value, if any
+  hint(type, value) {
+    if (type === "address") return this.label(value) || this._unknown;
+    if (type === "address[]") return value.map((address) => this.label(address) || "?").join(", ");
+    if (type === "bytes32") return ascii(value) && `"${ascii(value)}"`;
+    if (type === "bytes" && ethers.utils.hexDataLength(value) >= 4) {
+      const call = this.decodeCall(ethers.constants.AddressZero, value);
+      return call.unknown ? undefined : `call of ${call.contract}.${call.signature}`;
+    }
+    return undefined;
+  }
+
+  // One line summary of a decoded transaction, e.g. ModuleRegistry.registerModule(modules.GuardianManager, "GuardianManager")
+  describe(decoded) {
+    const { call } = decoded;
+    const value = decoded.value === "0" ? "" : ` with ${ethers.utils.formatEther(decoded.value)} ETH`;
+    if (!call) return `transfer of ${ethers.utils.formatEther(decoded.value)} ETH to ${decoded.label || decoded.to}`;
+    if (call.unknown) return `unknown call ${call.selector} to ${decoded.label || decoded.to}${value}`;
+    const name = (address) => this.label(address) || address;
+    const args = call.args.map(({ type, value: argValue, hint }) => {
+      if (type === "address") return name(argValue);
+      if (type === "address[]") return `[${argValue.map(name).join(", ")}]`;
+      if (type === "bytes32" && hint) return hint;
+      return JSON.stringify(argValue);
+    });
+    return `${call.contract}.${call.method}(${args.join(", ")})${value}`;
+  }
+
+  // Lines describing a decoded transaction, for signers
+  render(decoded) {
+    const label = decoded.label || this._unknown;
+    const lines = [`to:       ${decoded.to}${label ? ` (${label})` : ""}`];
+    lines.push(`value:    ${ethers.utils.formatEther(decoded.value)} ETH`);
+    const { call } = decoded;
+    if (!call) {
+      lines.push("call:     none, ETH transfer");
+    } else if (call.unknown) {
+      lines.push(`call:     unknown function ${call.selector}, ${call.error || "matching no build artifact"}`);
+    } else {
+      lines.push(`call:     ${call.contract}.${call.signature}${call.ambiguous ? " (the selector also matches other contracts)" : ""}`);
+      call.args.forEach((arg) => {
+        lines.push(`  ${arg.name || "_"} (${arg.type}): ${JSON.stringify(arg.value)}${arg.hint ? ` -> ${arg.hint}` : ""}`);
+      });
+    }
+    return lines;
+  }
+}
+
+module.exports = ProposalDecoder;
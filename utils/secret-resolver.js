@@ -0,0 +1,167 @@
+// eslint-disable-next-line max-classes-per-file
+const AWS = require("aws-sdk");
+const crypto = require("crypto");
+const fs = require("fs");
+const inquirer = require("inquirer");
+const path = require("path");
+
+const kms = new AWS.KMS();
+const s3 = new AWS.S3();
+
+const VAULT_PASSWORD_ENVVAR = "SECRET_VAULT_PASSWORD";
+const VAULT_CIPHER = "aes-256-gcm";
+const VAULT_KDF = { N: 16384, r: 8, p: 1 };
+
+const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+// Password-encrypted local store of secrets. Each secret is encrypted with AES-256-GCM under a key derived
+// from the password with scrypt; the file can be committed to a private location without exposing the values.
+class SecretVault {
+  constructor(filePath, password, json) {
+    this.path = filePath;
+    this._json = json || { version: 1, kdf: { ...VAULT_KDF, salt: crypto.randomBytes(16).toString("hex") }, secrets: {} };
+    const { salt, ...params } = this._json.kdf;
+    this._key = crypto.scryptSync(password, Buffer.from(salt, "hex"), 32, params);
+  }
+
+  static open(filePath, password) {
+    const json = fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, "utf8")) : undefined;
+    return new SecretVault(filePath, password, json);
+  }
+
+  get names() {
+    return Object.keys(this._json.secrets);
+  }
+
+  get(name) {
+    const secret = this._json.secrets[name];
+    if (!secret) throw new Error(`Secret ${name} is not in the vault ${this.path}`);
+    const decipher = crypto.createDecipheriv(VAULT_CIPHER, this._key, Buffer.from(secret.iv, "hex"));
+    decipher.setAuthTag(Buffer.from(secret.tag, "hex"));
+    try {
+      return Buffer.concat([decipher.update(Buffer.from(secret.data, "hex")), decipher.final()]).toString("utf8");
+    } catch (error) {
+      throw new Error(`Cannot decrypt secret ${name} of the vault ${this.path}, wrong password?`);
+    }
+  }
+
+  set(name, value) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(VAULT_CIPHER, this._key, iv);
+    const data = Buffer.concat([cipher.update(value, "utf8"), cipher.final()]);
+    this._json.secrets[name] = { iv: iv.toString("hex"), tag: cipher.getAuthTag().toString("hex"), data: data.toString("hex") };
+  }
+
+  delete(name) {
+    delete this._json.secrets[name];
+  }
+
+  save() {
+    fs.writeFileSync(this.path, JSON.stringify(this._json, null, 2));
+  }
+}
+
+// Returns the vault password from the environment, or asks for it
+async function vaultPassword(vaultPath) {
+  if (process.env[VAULT_PASSWORD_ENVVAR]) return process.env[VAULT_PASSWORD_ENVVAR];
+  const { password } = await inquirer.prompt([{ type: "password", name: "password", message: `Password of the secret vault ${vaultPath}:` }]);
+  return password;
+}
+
+// Built-in providers. `resolve(options, resolver)` returns the secret as a string.
+const providers = {
+  // { "provider": "env", "name": "INFURA_KEY" }
+  env: {
+    resolve: async ({ name }) => {
+      if (process.env[name] === undefined) throw new Error(`Environment variable ${name} is not set`);
+      return process.env[name];
+    },
+  },
+  // { "provider": "file", "path": "secrets.json", "key": "infura" }; without key the whole (trimmed) file is the secret
+  file: {
+    resolve: async ({ path: filePath, key }, resolver) => {
+      const content = fs.readFileSync(resolver.resolvePath(filePath), "utf8");
+      if (!key) return content.trim();
+      const value = JSON.parse(content)[key];
+      if (value === undefined) throw new Error(`Key ${key} is not in the secret file ${filePath}`);
+      return value;
+    },
+  },
+  // { "provider": "vault", "name": "infura", "path": "vault.json" }; the password is read from SECRET_VAULT_PASSWORD or asked
+  vault: {
+    resolve: async ({ name, path: filePath = "vault.json" }, resolver) => (await resolver.openVault(filePath)).get(name),
+  },
+  // { "provider": "s3", "bucket": "argent-secrets", "key": "deployer.key" }; the object is a KMS-encrypted ciphertext
+  s3: {
+    resolve: async ({ bucket, key }) => {
+      const object = await s3.getObject({ Bucket: bucket, Key: key }).promise();
+      const data = await kms.decrypt({ CiphertextBlob: object.Body }).promise();
+      return data.Plaintext.toString("utf8");
+    },
+  },
+};
+
+// Resolves the `{ "$secret": { "provider": ..., ... } }` references of a config through pluggable providers.
+// Relative file and vault paths are resolved from `baseDir`.
+class SecretResolver {
+  constructor({ baseDir = process.cwd(), providers: extraProviders = {} } = {}) {
+    this.baseDir = baseDir;
+    this._providers = { ...providers, ...extraProviders };
+    this._vaults = {};
+  }
+
+  static isReference(value) {
+    return isObject(value) && Object.keys(value).length === 1 && isObject(value.$secret);
+  }
+
+  register(name, provider) {
+    this._providers[name] = provider;
+  }
+
+  resolvePath(filePath) {
+    return path.resolve(this.baseDir, filePath);
+  }
+
+  // Vaults are opened, and their password asked, once
+  async openVault(filePath) {
+    const vaultPath = this.resolvePath(filePath);
+    if (!this._vaults[vaultPath]) {
+      if (!fs.existsSync(vaultPath)) throw new Error(`Secret vault ${vaultPath} does not exist`);
+      this._vaults[vaultPath] = SecretVault.open(vaultPath, await vaultPassword(vaultPath));
+    }
+    return this._vaults[vaultPath];
+  }
+
+  async resolveReference(reference) {
+    const { provider: name, ...options } = reference.$secret;
+    const provider = this._providers[name];
+    if (!provider) throw new Error(`Unknown secret provider "${name}"`);
+    return provider.resolve(options, this);
+  }
+
+  // Replaces, in place, the secret references of `config` by their values.
+  // Returns the list of resolved { path, reference } so that they can be kept out of saved configs.
+  async resolve(config, prefix = "") {
+    let resolved = [];
+    for (const key of Object.keys(config)) {
+      const keyPath = prefix ? `${prefix}.${key}` : key;
+      const value = config[key];
+      if (SecretResolver.isReference(value)) {
+        try {
+          config[key] = await this.resolveReference(value); // eslint-disable-line no-param-reassign
+        } catch (error) {
+          throw new Error(`Cannot resolve the secret ${keyPath}: ${error.message}`);
+        }
+        resolved.push({ path: keyPath, reference: value });
+      } else if (isObject(value)) {
+        resolved = resolved.concat(await this.resolve(value, keyPath));
+      }
+    }
+    return resolved;
+  }
+}
+
+module.exports = {
+  SecretResolver,
+  SecretVault,
+};
@@ -0,0 +1,82 @@
+// Checkpoint journal of a deployment step. Every deployment and transaction of the step is recorded, through the
+// config loader, as soon as it completes, so that rerunning a step that crashed skips the completed actions and
+// resumes where it stopped. The journal is deleted once the step completes.
+class StepCheckpoint {
+  constructor(loader, step, deployer) {
+    this._loader = loader;
+    this.step = step;
+    this._deployer = deployer;
+    this._actions = [];
+  }
+
+  async load() {
+    const checkpoint = await this._loader.loadCheckpoint(this.step);
+    this._actions = checkpoint ? checkpoint.actions : [];
+    if (this._actions.length > 0) {
+      console.log(`Resuming ${this.step}: ${this._actions.length} completed actions will be skipped (use --reset-step to start over)`);
+    }
+  }
+
+  // Forgets the completed actions, so that the whole step runs again
+  async reset() {
+    console.log(`Resetting the checkpoint journal of ${this.step}`);
+    this._actions = [];
+    await this._loader.deleteCheckpoint(this.step);
+  }
+
+  async complete() {
+    await this._loader.deleteCheckpoint(this.step);
+  }
+
+  get actions() {
+    return this._actions;
+  }
+
+  // Same as deployer.deploy, returning the wrapper of the previous deployment when it was already completed
+  async deploy(contract, libraries, ...args) {
+    return this.deployAs(contract.contractName, contract, libraries, ...args);
+  }
+
+  // Deployment recorded under `id`, for contracts deployed more than once by a step
+  async deployAs(id, contract, libraries, ...args) {
+    const done = this._find(id, "deploy");
+    if (done) {
+      if (JSON.stringify(done.args) !== JSON.stringify(args)) {
+        throw new Error(`${id} was deployed by ${this.step} with different arguments, use --reset-step to deploy it again`);
+      }
+      const code = await this._deployer.provider.getCode(done.address);
+      if (code === "0x") throw new Error(`${id} recorded at ${done.address} by ${this.step} has no code, use --reset-step`);
+      console.log(`Skipping the deployment of ${id}, deployed at ${done.address}`);
+      return this._deployer.wrapDeployedContract(contract, done.address);
+    }
+
+    const wrapper = await this._deployer.deploy(contract, libraries, ...args);
+    await this._record({
+      id, type: "deploy", address: wrapper.contractAddress, args,
+    });
+    return wrapper;
+  }
+
+  // Runs `action` (e.g. sending a transaction and waiting for it) unless it was already completed.
+  // Returns the action's result, or undefined when it is skipped.
+  async transaction(id, action) {
+    if (this._find(id, "transaction")) {
+      console.log(`Skipping ${id}, already done`);
+      return undefined;
+    }
+    const result = await action();
+    await this._record({ id, type: "transaction", transactionHash: result && result.transactionHash });
+    return result;
+  }
+
+  _find(id, type) {
+    return this._actions.find((action) => action.id === id && action.type === type);
+  }
+
+  async _record(action) {
+    this._actions.push({ ...action, timestamp: Math.floor(Date.now() / 1000) });
+    await this._loader.saveCheckpoint(this.step, { step: this.step, actions: this._actions });
+  }
+}
+
+module.exports = StepCheckpoint;
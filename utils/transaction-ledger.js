@@ -0,0 +1,130 @@
+const ethers = require("ethers");
+const path = require("path");
+
+const CSV_COLUMNS = ["date", "network", "source", "contract", "method", "label", "txHash", "block", "from", "to", "gasUsed", "gasPrice", "cost"];
+
+function csvField(value) {
+  const string = value === undefined || value === null ? "" : String(value);
+  return /[",\n]/.test(string) ? `"${string.replace(/"/g, "\"\"")}"` : string;
+}
+
+// Ledger of the transactions sent to a network by the deployment steps and scripts, kept through the config
+// loader. Every deployment and every transaction waited for with verboseWaitForTransaction is recorded with its
+// gas and cost and the step or script (`source`) which sent it.
+class TransactionLedger {
+  constructor(loader, network, source = path.basename(require.main ? require.main.filename : "unknown", ".js")) {
+    this._loader = loader;
+    this.network = network;
+    this.source = source;
+    this._wrappers = new WeakSet();
+  }
+
+  // Returns `deployer` recording what it deploys and what the contract wrappers it returns wait for. The deployer
+  // itself is left as is, the recording one inherits from it.
+  instrument(deployer) {
+    const ledger = this;
+    let deploying;
+    const instrumented = Object.create(deployer);
+    return Object.assign(instrumented, {
+      async deploy(contract, ...args) {
+        deploying = contract;
+        try {
+          return ledger.instrumentWrapper(await deployer.deploy.call(this, contract, ...args));
+        } finally {
+          deploying = undefined;
+        }
+      },
+      // etherlime hook called with the deployment transaction, which deploy does not return
+      async _waitForDeployTransaction(transaction) {
+        const receipt = await deployer._waitForDeployTransaction.call(this, transaction);
+        await ledger.record(transaction, receipt, TransactionLedger.deployment(deploying, receipt.contractAddress, transaction.data));
+        return receipt;
+      },
+      wrapDeployedContract(contract, address) {
+        return ledger.instrumentWrapper(deployer.wrapDeployedContract.call(this, contract, address));
+      },
+    });
+  }
+
+  // Returns `wrapper` recording the transactions it waits for, inheriting from it like the deployers of instrument()
+  instrumentWrapper(wrapper) {
+    if (this._wrappers.has(wrapper)) return wrapper;
+    const ledger = this;
+    const instrumented = Object.assign(Object.create(wrapper), {
+      async verboseWaitForTransaction(transaction, label) {
+        const receipt = await wrapper.verboseWaitForTransaction.call(this, transaction, label);
+        const call = transaction.data && wrapper.contract.interface.parseTransaction({ data: transaction.data });
+        await ledger.record(transaction, receipt, { contract: wrapper._contract.contractName, method: call ? call.name : undefined, label });
+        return receipt;
+      },
+    });
+    this._wrappers.add(instrumented);
+    return instrumented;
+  }
+
+  // Details of the deployment of `contract` at `address` by `initCode`, for source verification (see scripts/verificationBundle.js)
+  static deployment(contract, address, initCode) {
+    return {
+      contract: contract && contract.contractName,
+      method: "constructor",
+      address,
+      bytecodeHash: contract && ethers.utils.keccak256(contract.bytecode),
+      // library addresses take as many characters as their placeholders
+      constructorArguments: contract && `0x${initCode.slice(contract.bytecode.length)}`,
+    };
+  }
+
+  async record(transaction, receipt, {
+    contract, method, label, ...details
+  } = {}) {
+    const gasPrice = ethers.utils.bigNumberify(transaction.gasPrice || 0);
+    const entry = {
+      timestamp: Math.floor(Date.now() / 1000),
+      network: this.network,
+      source: this.source,
+      contract,
+      method,
+      label,
+      txHash: transaction.hash,
+      block: receipt.blockNumber,
+      from: transaction.from,
+      to: transaction.to || receipt.contractAddress,
+      gasUsed: receipt.gasUsed.toString(),
+      gasPrice: gasPrice.toString(),
+      cost: ethers.utils.formatEther(receipt.gasUsed.mul(gasPrice)),
+      ...details,
+    };
+    // the transaction is mined whatever happens to its record, so a failed write must not fail the step
+    try {
+      await this._loader.appendLedgerEntry(entry);
+    } catch (error) {
+      console.warn(`WARNING: cannot record ${transaction.hash} in the ledger of ${this.network}: ${error.message}`);
+    }
+    return entry;
+  }
+
+  async load() {
+    return this._loader.loadLedger();
+  }
+
+  // Entries sent by `source` (a step or script), to `contract`, between the dates `from` and `to` (inclusive)
+  static filter(entries, {
+    source, contract, from, to,
+  } = {}) {
+    const start = from ? Math.floor(new Date(from).getTime() / 1000) : 0;
+    // a date without time covers the whole day
+    const end = to ? Math.floor(new Date(to).getTime() / 1000) + (/T/.test(to) ? 0 : 24 * 3600 - 1) : Infinity;
+    return entries.filter((entry) => (!source || entry.source === source)
+      && (!contract || entry.contract === contract)
+      && entry.timestamp >= start && entry.timestamp <= end);
+  }
+
+  static toCsv(entries) {
+    const rows = entries.map((entry) => CSV_COLUMNS.map((column) => csvField(column === "date"
+      ? new Date(entry.timestamp * 1000).toISOString()
+      : entry[column])).join(","));
+    return `${[CSV_COLUMNS.join(",")].concat(rows).join("\n")}\n`;
+  }
+}
+
+module.exports = TransactionLedger;
@@ -0,0 +1,213 @@
+const ethers = require("ethers");
+const fs = require("fs");
+const path = require("path");
+
+const BytecodeVerifier = require("./bytecode-verifier.js");
+const ManifestEngine = require("./manifest-engine.js");
+
+const ROOT_DIR = path.join(__dirname, "..");
+
+// Full names of the compiler versions used by the compile scripts, as expected by the block explorers
+const COMPILER_RELEASES = {
+  "0.5.4": "v0.5.4+commit.9549d8ff",
+  "0.6.10": "v0.6.10+commit.00c0fcaf",
+};
+// Settings of the compile scripts of package.json by source directory (first match), for artifacts without metadata
+const COMPILE_SETTINGS = [
+  { dir: "lib/", version: "0.5.4", runs: 200 },
+  { dir: "contracts-legacy/", version: "0.5.4", runs: 999 },
+  { dir: "contracts/infrastructure_0.5/", version: "0.5.4", runs: 999 },
+  { dir: "contracts/", version: "0.6.10", runs: 999 },
+  { dir: "contracts-test/", version: "0.6.10", runs: 999 },
+];
+const OUTPUT_SELECTION = { "*": { "*": ["abi", "evm.bytecode", "evm.deployedBytecode", "metadata"] } };
+const IMPORT = /^\s*import\s+(?:[^"']*\sfrom\s+)?["']([^"']+)["']/gm;
+
+const getPath = (object, keyPath) => keyPath.split(".").reduce((node, key) => (node === undefined || node === null ? undefined : node[key]), object);
+
+// e.g. 0.5.4+commit.9549d8ff.Emscripten.clang => v0.5.4+commit.9549d8ff
+function compilerRelease(version) {
+  const match = version.match(/^v?([0-9]+\.[0-9]+\.[0-9]+)(\+commit\.[0-9a-f]+)?/);
+  if (!match) throw new Error(`Unknown compiler version ${version}`);
+  return match[2] ? `v${match[1]}${match[2]}` : COMPILER_RELEASES[match[1]] || `v${match[1]}`;
+}
+
+// Writes what a block explorer needs to verify the source of deployed contracts, without any network access:
+// the compiler standard-JSON input, the compiler version, the optimizer settings, the ABI-encoded constructor
+// arguments and the address, in a folder per contract. The sources are read from the repository, under the names
+// and with the settings of the artifact's metadata when it has some, otherwise with the settings of the compile
+// scripts (see COMPILE_SETTINGS).
+class VerificationBundle {
+  constructor(artifacts = BytecodeVerifier.loadArtifacts(), rootDir = ROOT_DIR) {
+    this._artifacts = artifacts;
+    this._rootDir = rootDir;
+  }
+
+  // Deployments of the ledger entries sent by `step` (all steps when undefined), the last one by address
+  static fromLedger(entries, step) {
+    const deployments = {};
+    entries
+      .filter((entry) => entry.method === "constructor" && entry.address && (!step || entry.source === step))
+      .forEach((entry) => {
+        deployments[entry.address.toLowerCase()] = {
+          name: entry.contract,
+          address: entry.address,
+          bytecodeHash: entry.bytecodeHash,
+          constructorArguments: entry.constructorArguments,
+          step: entry.source,
+          txHash: entry.txHash,
+        };
+      });
+    return Object.values(deployments);
+  }
+
+  // Deployments of the contracts of a manifest which are recorded in `config`, for deployments older than the
+  // ledger. Constructor arguments are resolved against the config, except those read from a config entry the
+  // manifest itself updates, which no longer holds the value the contract was deployed with.
+  static fromManifest(manifest, config, network, rootDir = ROOT_DIR) {
+    const engine = new ManifestEngine({ network, configurator: { config } });
+    const updated = manifest.contracts.filter((contract) => contract.config).map((contract) => contract.config);
+    const addresses = {};
+    manifest.contracts.filter((contract) => contract.config).forEach((contract) => {
+      addresses[contract.name] = getPath(config, contract.config);
+    });
+    return manifest.contracts.filter((contract) => addresses[contract.name]).map((contract) => {
+      const artifact = JSON.parse(fs.readFileSync(path.join(rootDir, `${contract.artifact}.json`), "utf8"));
+      const deployment = { name: contract.name, address: addresses[contract.name], artifact };
+      const args = contract.args || [];
+      const unknown = args.find((value) => (value && value.$config && updated.includes(value.$config))
+        || (value && value.$contract && !addresses[value.$contract]));
+      if (unknown) {
+        deployment.warnings = [`constructor argument ${JSON.stringify(unknown)} cannot be recovered from the config`];
+        return deployment;
+      }
+      const values = args.map((value) => engine.resolve(value, addresses));
+      deployment.constructorArguments = new ethers.utils.Interface(artifact.abi).deployFunction.encode("0x", values);
+      return deployment;
+    });
+  }
+
+  // Artifact of a deployment: the one with its bytecode hash when recorded, otherwise the first one named after it
+  findArtifact({ name, bytecodeHash }) {
+    const candidates = this._artifacts.filter(({ artifact }) => artifact.contractName === name);
+    const found = (bytecodeHash && candidates.find(({ artifact }) => ethers.utils.keccak256(artifact.bytecode) === bytecodeHash))
+      || (!bytecodeHash && candidates[0]);
+    if (!found) throw new Error(`No artifact of ${name}${bytecodeHash ? ` with bytecode hash ${bytecodeHash}` : ""}`);
+    return found.artifact;
+  }
+
+  // Repository path of a source compiled as `unitName`, which may be an absolute path of the machine that compiled it
+  locate(unitName) {
+    const segments = unitName.split("/").filter((segment) => segment !== "");
+    for (let i = 0; i < segments.length; i += 1) {
+      const candidate = segments.slice(i).join("/");
+      if (fs.existsSync(path.join(this._rootDir, candidate))) return candidate;
+      if (fs.existsSync(path.join(this._rootDir, "node_modules", candidate))) return `node_modules/${candidate}`;
+    }
+    throw new Error(`Cannot find the source ${unitName} in the repository`);
+  }
+
+  _read(unitName) {
+    return fs.readFileSync(path.join(this._rootDir, this.locate(unitName)), "utf8");
+  }
+
+  // Standard-JSON input of an artifact: { input, target, compilerVersion, optimizer, warnings }
+  standardInput(artifact) {
+    const metadata = artifact.metadata && (typeof artifact.metadata === "string" ? JSON.parse(artifact.metadata) : artifact.metadata);
+    return metadata ? this._fromMetadata(artifact, metadata) : this._fromSources(artifact);
+  }
+
+  _fromMetadata(artifact, metadata) {
+    const warnings = [];
+    const sources = {};
+    Object.keys(metadata.sources).forEach((unitName) => {
+      const content = this._read(unitName);
+      const { keccak256 } = metadata.sources[unitName];
+      if (keccak256 && ethers.utils.keccak256(ethers.utils.toUtf8Bytes(content)) !== keccak256) {
+        warnings.push(`${this.locate(unitName)} differs from the source ${artifact.contractName} was compiled from`);
+      }
+      sources[unitName] = { content };
+    });
+    const { compilationTarget, libraries, ...settings } = metadata.settings;
+    // the metadata names libraries "file:Library", the standard input { file: { Library } }
+    const linked = {};
+    Object.keys(libraries || {}).forEach((name) => {
+      const separator = name.lastIndexOf(":");
+      linked[name.slice(0, separator)] = { ...linked[name.slice(0, separator)], [name.slice(separator + 1)]: libraries[name] };
+    });
+    const [file] = Object.keys(compilationTarget);
+    return {
+      input: {
+        language: metadata.language,
+        sources,
+        settings: { ...settings, libraries: linked, outputSelection: OUTPUT_SELECTION },
+      },
+      target: `${file}:${compilationTarget[file]}`,
+      compilerVersion: compilerRelease(metadata.compiler.version),
+      optimizer: settings.optimizer,
+      warnings,
+    };
+  }
+
+  // Without metadata the sources are named by their repository paths (package paths for imports of node_modules),
+  // so only the metadata hash of the compiled code may differ from the deployed one
+  _fromSources(artifact) {
+    const main = this.locate(artifact.sourcePath);
+    const sources = {};
+    const add = (unitName) => {
+      if (sources[unitName]) return;
+      const content = this._read(unitName);
+      sources[unitName] = { content };
+      let match = IMPORT.exec(content);
+      const imports = [];
+      while (match !== null) {
+        imports.push(match[1]);
+        match = IMPORT.exec(content);
+      }
+      imports.forEach((imported) => add(imported.startsWith(".") ? path.posix.join(path.posix.dirname(unitName), imported) : imported));
+    };
+    add(main);
+
+    const settings = COMPILE_SETTINGS.find(({ dir }) => main.startsWith(dir));
+    if (!settings) throw new Error(`No compile script builds ${main}`);
+    const optimizer = { enabled: true, runs: settings.runs };
+    return {
+      input: {
+        language: "Solidity",
+        sources,
+        settings: { optimizer, outputSelection: OUTPUT_SELECTION },
+      },
+      target: `${main}:${artifact.contractName}`,
+      compilerVersion: compilerRelease(artifact.compiler && artifact.compiler.version ? artifact.compiler.version : settings.version),
+      optimizer,
+      warnings: [`${artifact.contractName} has no metadata, its sources are named by their repository paths`],
+    };
+  }
+
+  // Writes the bundle of a deployment ({ name, address, constructorArguments, and bytecodeHash or artifact })
+  // to `outDir`/<name>-<address>/ and returns { dir, warnings }
+  write(outDir, deployment) {
+    const artifact = deployment.artifact || this.findArtifact(deployment);
+    const {
+      input, target, compilerVersion, optimizer, warnings,
+    } = this.standardInput(artifact);
+    const dir = path.join(outDir, `${deployment.name}-${deployment.address}`);
+    const allWarnings = (deployment.warnings || []).concat(warnings);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, "standard-input.json"), JSON.stringify(input, null, 2));
+    fs.writeFileSync(path.join(dir, "verification.json"), JSON.stringify({
+      contract: target,
+      address: deployment.address,
+      compilerVersion,
+      optimizer,
+      // block explorers expect the ABI-encoded arguments without 0x
+      constructorArguments: deployment.constructorArguments === undefined ? null : deployment.constructorArguments.replace(/^0x/, ""),
+      step: deployment.step,
+      txHash: deployment.txHash,
+      warnings: allWarnings,
+    }, null, 2));
+    return { dir, warnings: allWarnings };
+  }
+}
+
+module.exports = VerificationBundle;
@@ -58,7 +58,24 @@ class VersionUploaderLocal {
   }
 }
 
+// Loads through `uploader` and only reports uploads to `record`, for deployment plans (see DeployPlan)
+class VersionUploaderDryRun {
+  constructor(uploader, record) {
+    this._uploader = uploader;
+    this._record = record;
+  }
+
+  async upload(version) {
+    this._record(`version ${version.version} (${version.fingerprint})`);
+  }
+
+  async load(count) {
+    return this._uploader.load(count);
+  }
+}
+
 module.exports = {
   S3: VersionUploaderS3,
   Local: VersionUploaderLocal,
+  DryRun: VersionUploaderDryRun,
 };